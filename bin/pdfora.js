@@ -0,0 +1,737 @@
+#!/usr/bin/env node
+/**
+ * PDFora - Command-line interface
+ * Runs the same PDF tools as the server on local files, for scripts and build pipelines
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const apiKeyManager = require('../services/apiKeyManager');
+const fileManager = require('../services/fileManager');
+const folderWatcher = require('../services/folderWatcher');
+const ghostscriptEngine = require('../services/ghostscriptEngine');
+const pdfInspector = require('../services/pdfInspector');
+const toolRegistry = require('../services/toolRegistry');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILED = 1; // One or more inputs failed
+const EXIT_USAGE = 2; // Bad command line or no inputs
+const EXIT_NO_GHOSTSCRIPT = 3;
+
+// Options understood by every command; tool fields are added per command
+const GLOBAL_FLAGS = ['json', 'recursive', 'verbose', 'help'];
+const GLOBAL_OPTIONS = ['output', 'concurrency', 'password'];
+const QUALITY_OPTIONS = ['preset', 'profile', 'imageResolution', 'downsampleType'];
+const ALIASES = {
+    o: 'output', c: 'concurrency', r: 'recursive', q: 'preset', quality: 'preset', p: 'password', v: 'verbose', h: 'help'
+};
+
+// Results go to stdout; service log lines only appear (on stderr) with --verbose
+const print = console.log.bind(console);
+const verbose = process.argv.includes('--verbose') || process.argv.includes('-v');
+console.log = (...args) => {
+    if (verbose) console.error(...args);
+};
+
+toolRegistry.loadDirectory(path.join(__dirname, '..', 'tools'));
+
+/**
+ * Command-line name of a tool field
+ * Fields named like a global option are prefixed with the tool (split's "output" is --split-output)
+ * @param {Object} tool - Tool
+ * @param {string} name - Field name
+ * @returns {string} Option name in camelCase
+ */
+function optionName(tool, name) {
+    const taken = [...GLOBAL_FLAGS, ...GLOBAL_OPTIONS, ...Object.keys(ALIASES)];
+    return taken.includes(name) ? `${tool.name}${name.charAt(0).toUpperCase()}${name.slice(1)}` : name;
+}
+
+/**
+ * Parse command-line arguments for a tool
+ * Options are --kebab-case (or --name=value); checkbox fields are flags and accept --no-<name>
+ * @param {Array<string>} argv - Arguments after the command
+ * @param {Object} tool - Tool whose fields are accepted
+ * @returns {Object} { inputs, options, fields } or { error }; fields holds tool field values by field name
+ */
+function parseArgs(argv, tool) {
+    const fields = toolRegistry.getFields(tool);
+    const fieldNames = new Map(fields.map(field => [optionName(tool, field.name), field.name]));
+    const flags = new Set([...GLOBAL_FLAGS, ...fields.filter(f => f.type === 'checkbox').map(f => optionName(tool, f.name))]);
+    const valued = new Set([...GLOBAL_OPTIONS, ...fields.filter(f => f.type !== 'checkbox').map(f => optionName(tool, f.name))]);
+    if (tool.quality) {
+        QUALITY_OPTIONS.forEach(name => valued.add(name));
+        flags.add('embedFonts');
+    }
+
+    const inputs = [];
+    const options = {};
+    const values = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            inputs.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            inputs.push(arg);
+            continue;
+        }
+
+        const [rawName, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+        const negated = rawName.startsWith('no-');
+        const camel = (negated ? rawName.slice(3) : rawName).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        const name = ALIASES[camel] || camel;
+
+        let value;
+        if (flags.has(name)) {
+            value = inlineValue !== undefined ? inlineValue : String(!negated);
+        } else if (valued.has(name) && !negated) {
+            value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                return { error: `Option --${rawName} needs a value` };
+            }
+        } else {
+            return { error: `Unknown option ${arg}` };
+        }
+
+        if (fieldNames.has(name)) {
+            values[fieldNames.get(name)] = value;
+        } else if (GLOBAL_FLAGS.includes(name) || GLOBAL_OPTIONS.includes(name)) {
+            options[name] = value;
+        } else {
+            values[name] = value; // Quality options
+        }
+    }
+
+    // The password opens encrypted inputs for the tool as well
+    if (options.password !== undefined) {
+        values.password = options.password;
+    }
+
+    return { inputs, options, fields: values };
+}
+
+/**
+ * Expand file, directory and glob arguments into a sorted list of PDF paths
+ * @param {Array<string>} patterns - Input arguments
+ * @param {boolean} recursive - Descend into subdirectories of directory inputs
+ * @returns {Object} { files } or { error } naming the first input that matched nothing
+ */
+function expandInputs(patterns, recursive) {
+    const files = [];
+
+    for (const pattern of patterns) {
+        let matches;
+        if (/[*?[]/.test(pattern)) {
+            matches = matchGlob(pattern);
+        } else if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+            matches = walk(pattern, recursive).filter(file => /\.pdf$/i.test(file));
+        } else if (fs.existsSync(pattern)) {
+            matches = [pattern];
+        } else {
+            return { error: `No such file: ${pattern}` };
+        }
+
+        if (matches.length === 0) {
+            return { error: `No PDFs match ${pattern}` };
+        }
+        files.push(...matches.sort());
+    }
+
+    return { files: [...new Set(files.map(file => path.resolve(file)))] };
+}
+
+/**
+ * Files under a directory
+ * @param {string} directory - Directory to list
+ * @param {boolean} recursive - Include subdirectories
+ * @returns {Array<string>} File paths
+ */
+function walk(directory, recursive) {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...walk(entryPath, true));
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Match a glob pattern (*, ?, [abc] and ** for any depth) against the file system
+ * @param {string} pattern - Glob such as "scans/**\/*.pdf"
+ * @returns {Array<string>} Matching file paths
+ */
+function matchGlob(pattern) {
+    const parts = pattern.split(/[\\/]/);
+    const firstGlob = parts.findIndex(part => /[*?[]/.test(part));
+    const base = parts.slice(0, firstGlob).join(path.sep) || '.';
+    const rest = parts.slice(firstGlob).join('/');
+
+    let source = '';
+    for (let i = 0; i < rest.length; i++) {
+        const char = rest[i];
+        if (rest.startsWith('**/', i)) {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (rest.startsWith('**', i)) {
+            source += '.*';
+            i += 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && rest.indexOf(']', i) > i) {
+            const end = rest.indexOf(']', i);
+            source += rest.slice(i, end + 1);
+            i = end;
+        } else {
+            source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+    const regex = new RegExp(`^${source}$`);
+
+    if (!fs.existsSync(base)) {
+        return [];
+    }
+    return walk(base, rest.includes('/'))
+        .filter(file => regex.test(path.relative(base, file).split(path.sep).join('/')));
+}
+
+/**
+ * Where an output should be written
+ * -o is a file path for a single output, otherwise a directory; without -o outputs go next
+ * to their input. Existing files are never overwritten: report.pdf taken gives report-2.pdf
+ * @param {Object} context - { outputOption, singleOutput, inputPath, downloadName, toolName, used }
+ * @returns {string} Destination path
+ */
+function destinationFor({ outputOption, singleOutput, inputPath, downloadName, toolName, used }) {
+    let destination;
+    if (outputOption && singleOutput && !isDirectoryTarget(outputOption)) {
+        destination = path.resolve(outputOption);
+    } else {
+        destination = path.join(outputOption ? path.resolve(outputOption) : path.dirname(inputPath), downloadName);
+    }
+
+    if (destination === inputPath) {
+        const { dir, name, ext } = path.parse(destination);
+        destination = path.join(dir, `${name}-${toolName}${ext}`);
+    }
+
+    // Several inputs can share a name (e.g. a/report.pdf and b/report.pdf into one directory),
+    // and earlier runs may have left their outputs behind
+    const { dir, name, ext } = path.parse(destination);
+    for (let n = 2; used.has(destination) || fs.existsSync(destination); n++) {
+        destination = path.join(dir, `${name}-${n}${ext}`);
+    }
+    used.add(destination);
+    return destination;
+}
+
+/**
+ * Whether -o names a directory (existing, or ending in a path separator)
+ * @param {string} target - Value of -o
+ * @returns {boolean} True for a directory
+ */
+function isDirectoryTarget(target) {
+    return /[\\/]$/.test(target) || (fs.existsSync(target) && fs.statSync(target).isDirectory());
+}
+
+/**
+ * Run a tool on one group of inputs and move its outputs into place
+ * @param {Object} tool - Tool
+ * @param {Array<string>} inputPaths - Input PDFs for this run
+ * @param {Object} options - Parsed global options (output, ...)
+ * @param {Object} context - { fields, signal, singleOutput, used }; fields are the tool's field values
+ * @returns {Promise<Object>} Outcome with success, inputs, outputs, result, or error and code
+ */
+async function runTool(tool, inputPaths, options, { fields, signal, singleOutput, used }) {
+    const outcome = { inputs: inputPaths, success: false };
+
+    try {
+        const files = inputPaths.map(inputPath => ({
+            path: inputPath,
+            originalname: path.basename(inputPath),
+            mimetype: 'application/pdf',
+            size: fs.statSync(inputPath).size
+        }));
+
+        for (const file of files) {
+            const check = await pdfInspector.checkStructure(file.path);
+            if (!check.success) {
+                return { ...outcome, error: `${file.originalname}: ${check.message}`, code: check.code };
+            }
+        }
+
+        const validation = await toolRegistry.validate(tool, fields, files);
+        if (!validation.success) {
+            return { ...outcome, error: validation.message, code: validation.code };
+        }
+
+        // Work in the destination directory so outputs only need renaming, never copying
+        let workDir = options.output ? path.resolve(options.output) : path.dirname(inputPaths[0]);
+        if (options.output && singleOutput && !isDirectoryTarget(options.output)) {
+            workDir = path.dirname(workDir);
+        }
+        await fs.promises.mkdir(workDir, { recursive: true });
+
+        const meta = tool.upload.maxFiles > 1
+            ? { originalNames: files.map(file => file.originalname) }
+            : { originalName: files[0].originalname };
+
+        const result = await toolRegistry.run(tool, {
+            ...validation.input,
+            files,
+            outputDir: workDir,
+            namePrefix: files[0].originalname.replace(/\.pdf$/i, '').substring(0, 8),
+            signal
+        });
+
+        const outputs = tool.result === 'files' ? result.files : [result];
+        outcome.outputs = [];
+        for (const output of outputs) {
+            const destination = destinationFor({
+                outputOption: options.output,
+                singleOutput: singleOutput && outputs.length === 1,
+                inputPath: inputPaths[0],
+                downloadName: toolRegistry.downloadName(tool, output, meta),
+                toolName: tool.name,
+                used
+            });
+            // -o taken as a file name becomes a directory when a run produces several outputs
+            await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+            await fs.promises.rename(path.join(workDir, output.filename), destination);
+            output.filename = path.basename(destination);
+            output.path = destination;
+            outcome.outputs.push(destination);
+        }
+
+        return { ...outcome, success: true, result, summary: toolRegistry.summarize(tool, result) };
+    } catch (error) {
+        return { ...outcome, error: error.message, code: error.code };
+    }
+}
+
+/**
+ * Run jobs with at most `limit` in flight, keeping results in input order
+ * @param {Array<Function>} jobs - Functions returning promises
+ * @param {number} limit - Maximum concurrent jobs
+ * @returns {Promise<Array>} Results
+ */
+async function runPool(jobs, limit) {
+    const results = new Array(jobs.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < jobs.length) {
+            const index = next++;
+            results[index] = await jobs[index]();
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, jobs.length) }, worker));
+    return results;
+}
+
+/**
+ * One line describing an outcome for people reading the terminal
+ * @param {Object} outcome - From runTool
+ * @returns {string} Report line
+ */
+function describeOutcome(outcome) {
+    const inputs = outcome.inputs.map(input => path.relative(process.cwd(), input) || input).join(', ');
+    if (!outcome.success) {
+        return `✗ ${inputs}: ${outcome.error}${outcome.code ? ` (${outcome.code})` : ''}`;
+    }
+
+    const outputs = outcome.outputs.map(output => path.relative(process.cwd(), output));
+    const target = outputs.length === 1 ? outputs[0] : `${outputs.length} files`;
+    const { result } = outcome;
+    const sizes = result.compressionRatio !== undefined
+        ? ` (${result.originalSize} → ${result.compressedSize}, ${result.compressionRatio}% smaller)`
+        : '';
+    const summary = outcome.summary ? ` - ${outcome.summary}` : '';
+    return `✓ ${inputs} → ${target}${sizes}${summary}`;
+}
+
+/**
+ * Usage text, listing every registered tool
+ * @returns {string} Help
+ */
+function usage() {
+    const tools = toolRegistry.list().map(tool => `  ${tool.name.padEnd(12)}${tool.description}`).join('\n');
+    return `Usage: pdfora <command> <inputs...> [options]
+
+Inputs are PDF files, directories or glob patterns (quote them, e.g. "scans/**/*.pdf").
+
+Commands:
+${tools}
+  ${'watch'.padEnd(12)}Compress PDFs dropped into a folder until stopped ("pdfora watch --help")
+  ${'keys'.padEnd(12)}Issue, list and revoke API keys for the server ("pdfora keys --help")
+
+Options:
+  -o, --output <path>        Output file (one output) or directory
+  -q, --quality <preset>     Quality preset: ${Object.keys(config.compression.presets).join(', ')}
+  -c, --concurrency <n>      Files processed at once (default ${config.jobs.maxConcurrent})
+  -r, --recursive            Include subdirectories of directory inputs
+  -p, --password <password>  Password for encrypted inputs
+      --json                 Print results as JSON
+  -v, --verbose              Show service log lines on stderr
+  -h, --help                 Show help; "pdfora <command> --help" lists its options
+
+Exit codes: 0 success, 1 some inputs failed, 2 usage error, 3 Ghostscript not found`;
+}
+
+/**
+ * Help for "pdfora watch"
+ * @returns {string} Help
+ */
+function watchUsage() {
+    return `Usage: pdfora watch [<input> -o <output>] [options]
+
+Compresses each PDF that appears in <input> once it has finished writing, until Ctrl+C.
+Without arguments, watches the folders in config.watch.folders.
+
+Options:
+  -o, --output <dir>         Folder for compressed PDFs
+      --error <dir>          Folder for files that failed, with a .log each (default <output>/errors)
+  -q, --quality <preset>     Quality preset: ${Object.keys(config.compression.presets).join(', ')}
+      --profile <name>       Saved compression profile
+  -v, --verbose              Show service log lines on stderr
+  -h, --help                 Show this help`;
+}
+
+/**
+ * Run "pdfora watch" until interrupted
+ * @param {Array<string>} argv - Arguments after the command
+ * @returns {Promise<number>} Exit code
+ */
+async function watch(argv) {
+    const options = {};
+    const inputs = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-')) {
+            inputs.push(arg);
+            continue;
+        }
+        const [rawName, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+        const name = ALIASES[rawName] || rawName;
+        if (name === 'help' || name === 'verbose') {
+            options[name] = true;
+            continue;
+        }
+        if (!['output', 'error', 'preset', 'profile'].includes(name)) {
+            console.error(`Unknown option ${arg}\n\n${watchUsage()}`);
+            return EXIT_USAGE;
+        }
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+            console.error(`${arg} needs a value\n\n${watchUsage()}`);
+            return EXIT_USAGE;
+        }
+        options[name] = value;
+    }
+
+    if (options.help) {
+        print(watchUsage());
+        return EXIT_OK;
+    }
+    if (inputs.length > 1 || (inputs.length === 1) !== Boolean(options.output)) {
+        console.error(`Give one input folder and --output, or neither to use config.watch.folders\n\n${watchUsage()}`);
+        return EXIT_USAGE;
+    }
+
+    const ghostscript = await ghostscriptEngine.initialize();
+    if (!ghostscript.available) {
+        console.error('Ghostscript not found. Install it or set compression.ghostscriptPath in config/config.js');
+        return EXIT_NO_GHOSTSCRIPT;
+    }
+
+    // Progress lines are the point of this command, so they go to stdout even without --verbose
+    console.log = print;
+
+    const folders = inputs.length === 0 ? undefined : [{
+        input: inputs[0],
+        output: options.output,
+        error: options.error,
+        preset: options.preset,
+        profile: options.profile
+    }];
+    const watching = await folderWatcher.start(folders);
+    if (!watching.success) {
+        console.error(watching.message);
+        return EXIT_USAGE;
+    }
+    print(`${watching.message}; press Ctrl+C to stop`);
+
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    print('Stopping after files in progress...');
+    await folderWatcher.stop();
+    return EXIT_OK;
+}
+
+/**
+ * Help for "pdfora keys"
+ * @returns {string} Help
+ */
+function keysUsage() {
+    const tiers = Object.keys(config.auth.tiers).filter(tier => tier !== 'anonymous');
+    return `Usage: pdfora keys <create|list|revoke> [options]
+
+Manages the API keys in ${config.auth.keysFile}. A running server picks up changes
+within ${config.auth.reloadInterval / 1000} seconds.
+
+Commands:
+  create <name>              Issue a key; it is shown once and only its hash is stored
+  list                       List keys with their tier and limits
+  revoke <id>                Revoke a key by the ID shown by "list"
+
+Options for create:
+      --tier <tier>          Limits tier: ${tiers.join(', ')} (default ${config.auth.defaultTier})
+      --requests-per-minute <n>  Override the tier's request rate
+      --max-jobs <n>         Override the tier's jobs queued or running at once
+      --daily-bytes <size>   Override the tier's daily upload limit, e.g. "20 GB"
+
+Options:
+      --json                 Print results as JSON
+  -h, --help                 Show this help`;
+}
+
+/**
+ * Run "pdfora keys"
+ * @param {Array<string>} argv - Arguments after the command
+ * @returns {Promise<number>} Exit code
+ */
+async function keys(argv) {
+    const options = {};
+    const args = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('-')) {
+            args.push(arg);
+            continue;
+        }
+        const [rawName, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+        const name = ALIASES[rawName] || rawName.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        if (name === 'help' || name === 'json') {
+            options[name] = true;
+            continue;
+        }
+        if (!['tier', 'requestsPerMinute', 'maxJobs', 'dailyBytes'].includes(name)) {
+            console.error(`Unknown option ${arg}\n\n${keysUsage()}`);
+            return EXIT_USAGE;
+        }
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+            console.error(`${arg} needs a value\n\n${keysUsage()}`);
+            return EXIT_USAGE;
+        }
+        options[name] = value;
+    }
+
+    const [subcommand, ...rest] = args;
+    if (options.help || !subcommand) {
+        print(keysUsage());
+        return options.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    let result;
+    if (subcommand === 'list' && rest.length === 0) {
+        const records = await apiKeyManager.listKeys();
+        if (options.json) {
+            process.stdout.write(JSON.stringify({ success: true, keys: records }, null, 2) + '\n');
+            return EXIT_OK;
+        }
+        if (records.length === 0) {
+            print('No API keys');
+        }
+        for (const record of records) {
+            const limits = apiKeyManager.limitsFor(record);
+            const status = record.revokedAt ? `revoked ${record.revokedAt.slice(0, 10)}` : 'active';
+            print(`${record.id}  ${record.name.padEnd(24)} ${record.tier.padEnd(10)} ` +
+                `${limits.requestsPerMinute}/min, ${limits.maxConcurrentJobs} jobs, ` +
+                `${fileManager.formatBytes(limits.dailyBytes)}/day  ${status}`);
+        }
+        return EXIT_OK;
+    } else if (subcommand === 'create' && rest.length === 1) {
+        const limits = {};
+        for (const [option, limit] of [['requestsPerMinute', 'requestsPerMinute'], ['maxJobs', 'maxConcurrentJobs']]) {
+            if (options[option] !== undefined) {
+                limits[limit] = Number(options[option]);
+            }
+        }
+        if (options.dailyBytes !== undefined) {
+            limits.dailyBytes = fileManager.parseBytes(options.dailyBytes);
+            if (!limits.dailyBytes) {
+                console.error(`--daily-bytes must be a size such as "20 GB", not "${options.dailyBytes}"`);
+                return EXIT_USAGE;
+            }
+        }
+        result = await apiKeyManager.createKey(rest[0], { tier: options.tier, limits });
+    } else if (subcommand === 'revoke' && rest.length === 1) {
+        result = await apiKeyManager.revokeKey(rest[0]);
+    } else {
+        console.error(`Unknown or incomplete command "keys ${args.join(' ')}"\n\n${keysUsage()}`);
+        return EXIT_USAGE;
+    }
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    } else if (!result.success) {
+        console.error(result.message);
+    } else {
+        print(result.message);
+        if (result.key) {
+            print(`\n  ${result.key}\n\nStore it now: it can't be shown again.`);
+        }
+    }
+    return result.success ? EXIT_OK : EXIT_FAILED;
+}
+
+/**
+ * Options of one tool for "pdfora <command> --help"
+ * @param {Object} tool - Tool
+ * @returns {string} Help
+ */
+function toolUsage(tool) {
+    const kebab = name => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+    const lines = toolRegistry.getFields(tool).map((field) => {
+        const option = kebab(optionName(tool, field.name));
+        const flag = field.type === 'checkbox'
+            ? `--${option} / --no-${option}`
+            : `--${option} <${field.type === 'select' ? field.options.map(o => o.value).join('|') : field.type}>`;
+        const defaultValue = field.default !== undefined ? ` (default ${field.default})` : '';
+        return `  ${flag.padEnd(40)}${field.label}${defaultValue}`;
+    });
+    if (tool.quality) {
+        lines.push(`  ${'--preset, --profile'.padEnd(40)}Quality preset or saved profile`);
+        lines.push(`  ${'--image-resolution, --downsample-type'.padEnd(40)}Custom quality overrides`);
+    }
+
+    const { minFiles, maxFiles } = tool.upload;
+    const inputs = maxFiles > 1 ? `${minFiles}-${maxFiles} PDFs combined in one run` : 'each input is processed separately';
+    return `Usage: pdfora ${tool.name} <inputs...> [options]\n\n${tool.description} (${inputs})\n\n${lines.join('\n') || '  (no tool options)'}`;
+}
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - Arguments after "pdfora"
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    const [command, ...rest] = argv;
+
+    if (!command || command === '--help' || command === '-h' || command === 'help') {
+        print(usage());
+        return command ? EXIT_OK : EXIT_USAGE;
+    }
+    if (command === 'watch') {
+        return watch(rest);
+    }
+    if (command === 'keys') {
+        return keys(rest);
+    }
+
+    const tool = toolRegistry.get(command);
+    if (!tool) {
+        console.error(`Unknown command "${command}"\n\n${usage()}`);
+        return EXIT_USAGE;
+    }
+
+    const parsed = parseArgs(rest, tool);
+    if (parsed.error) {
+        console.error(`${parsed.error}\n\n${toolUsage(tool)}`);
+        return EXIT_USAGE;
+    }
+    const { options } = parsed;
+    if (options.help === 'true') {
+        print(toolUsage(tool));
+        return EXIT_OK;
+    }
+
+    const concurrency = options.concurrency === undefined ? config.jobs.maxConcurrent : Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        console.error('--concurrency must be a whole number of at least 1');
+        return EXIT_USAGE;
+    }
+
+    const expanded = expandInputs(parsed.inputs, options.recursive === 'true');
+    if (expanded.error) {
+        console.error(expanded.error);
+        return EXIT_USAGE;
+    }
+    if (expanded.files.length === 0) {
+        console.error(`No input files\n\n${toolUsage(tool)}`);
+        return EXIT_USAGE;
+    }
+
+    // Multi-file tools (merge) take every input in one run; others run once per input
+    const { minFiles, maxFiles } = tool.upload;
+    const groups = maxFiles > 1 ? [expanded.files] : expanded.files.map(file => [file]);
+    if (maxFiles > 1 && (expanded.files.length < minFiles || expanded.files.length > maxFiles)) {
+        console.error(`${tool.name} takes ${minFiles} to ${maxFiles} PDFs; got ${expanded.files.length}`);
+        return EXIT_USAGE;
+    }
+
+    const ghostscript = await ghostscriptEngine.initialize();
+    if (!ghostscript.available) {
+        console.error('Ghostscript not found. Install it or set compression.ghostscriptPath in config/config.js');
+        return EXIT_NO_GHOSTSCRIPT;
+    }
+
+    // Ctrl+C kills running Ghostscript processes and removes their partial output
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+        const error = new Error('Interrupted');
+        error.code = 'JOB_CANCELLED';
+        controller.abort(error);
+    });
+
+    const used = new Set();
+    const singleOutput = groups.length === 1;
+    const outcomes = await runPool(groups.map(inputs => async () => {
+        const outcome = await runTool(tool, inputs, options, {
+            fields: parsed.fields,
+            signal: controller.signal,
+            singleOutput,
+            used
+        });
+        if (!options.json) {
+            (outcome.success ? print : console.error)(describeOutcome(outcome));
+        }
+        return outcome;
+    }), concurrency);
+
+    const failed = outcomes.filter(outcome => !outcome.success).length;
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify({
+            success: failed === 0,
+            command: tool.name,
+            processed: outcomes.length,
+            failed,
+            results: outcomes.map(outcome => ({ ...outcome, outputs: outcome.outputs || [] }))
+        }, null, 2) + '\n');
+    } else if (outcomes.length > 1) {
+        print(`${outcomes.length - failed} of ${outcomes.length} done${failed ? `, ${failed} failed` : ''}`);
+    }
+
+    return failed > 0 ? EXIT_FAILED : EXIT_OK;
+}
+
+main(process.argv.slice(2))
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((error) => {
+        console.error(error.stack || error.message);
+        process.exitCode = EXIT_FAILED;
+    });
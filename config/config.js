@@ -9,7 +9,10 @@ module.exports = {
     // Server configuration
     server: {
         port: process.env.PORT || 3000,
-        host: 'localhost'
+        host: 'localhost',
+        // Set when behind a reverse proxy so client IPs (and anonymous limits) come from X-Forwarded-For
+        // Takes any Express "trust proxy" value, e.g. 1 for one proxy hop
+        trustProxy: process.env.TRUST_PROXY || false
     },
 
     // File upload settings
@@ -27,6 +30,43 @@ module.exports = {
         cleanupInterval: 15 * 60 * 1000 // Run cleanup every 15 minutes
     },
 
+    // Where finished outputs are kept for download
+    // Ghostscript always works in the upload and compressed directories; outputs are moved
+    // into storage once a job finishes. Use 's3' to keep outputs off the server's own disk
+    // Download links, sessions and quotas stay in this process's memory either way, so this
+    // does not let several server instances share work
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'local', // 'local' or 's3'
+        local: {
+            // Kept apart from upload.compressedDir, which only holds work in progress
+            root: path.join(__dirname, '../outputs')
+        },
+        // Any S3-compatible service; for MinIO set the endpoint and forcePathStyle
+        s3: {
+            bucket: process.env.S3_BUCKET || null,
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || null, // e.g. 'http://localhost:9000'
+            prefix: process.env.S3_PREFIX || '', // Folder inside the bucket
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            accessKeyId: process.env.S3_ACCESS_KEY_ID || null, // Falls back to the AWS SDK's usual credentials
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null
+        }
+    },
+
+    // Background job settings
+    jobs: {
+        maxConcurrent: 2, // Ghostscript processes allowed to run at once
+        maxQueued: 100, // Reject new jobs once this many are waiting
+        retention: 60 * 60 * 1000, // Forget finished jobs after 1 hour
+        timeout: 10 * 60 * 1000, // Stop a job still running after 10 minutes
+        disconnectGrace: 15 * 1000 // Cancel a job 15 seconds after its last progress stream closes
+    },
+
+    // Ghostscript engine checks (the executable path is set under compression)
+    ghostscript: {
+        minVersion: '9.50' // Older releases still run but are reported as unsupported by /api/health
+    },
+
     // Compression settings
     compression: {
         // Manual Ghostscript path (optional)
@@ -42,6 +82,33 @@ module.exports = {
         // /prepress (300 dpi) - high quality, color preserving
         defaultQuality: '/ebook', // Recommended balance
 
+        // Named presets that clients can pick per request (maps to -dPDFSETTINGS)
+        presets: {
+            screen: { quality: '/screen', label: 'Screen', description: '72 dpi - smallest size, lowest quality' },
+            ebook: { quality: '/ebook', label: 'eBook', description: '150 dpi - balanced size and quality' },
+            printer: { quality: '/printer', label: 'Printer', description: '300 dpi - good quality' },
+            prepress: { quality: '/prepress', label: 'Prepress', description: '300 dpi - high quality, color preserving' }
+        },
+
+        // Target-size mode tries these settings in order, mildest first, until the output fits
+        targetSize: {
+            minBytes: 10 * 1024, // Smallest target accepted (10 KB)
+            ladder: [
+                { preset: 'printer' },
+                { preset: 'ebook' },
+                { preset: 'ebook', imageResolution: 100 },
+                { preset: 'screen' },
+                { preset: 'screen', imageResolution: 50, downsampleType: 'Average' }
+            ]
+        },
+
+        // Limits applied when validating custom profiles
+        profileLimits: {
+            minImageResolution: 36,
+            maxImageResolution: 1200,
+            downsampleTypes: ['Bicubic', 'Average', 'Subsample']
+        },
+
         // Additional Ghostscript options
         options: {
             dCompatibilityLevel: '1.4',
@@ -59,9 +126,139 @@ module.exports = {
         }
     },
 
-    // Future: Add configurations for other PDF tools
-    // merge: { ... },
-    // split: { ... },
-    // convert: { ... },
-    // protect: { ... }
+    // Saved compression profiles
+    profiles: {
+        storageFile: path.join(__dirname, '../data/profiles.json'),
+        maxProfiles: 50
+    },
+
+    // Download links: opaque HMAC-signed tokens instead of output filenames
+    downloads: {
+        // Signing key; set DOWNLOAD_SECRET to keep it stable, otherwise a random key is made at startup
+        secret: process.env.DOWNLOAD_SECRET || null,
+        expiry: 60 * 60 * 1000, // Links stop working after 1 hour, matching file cleanup
+        maxDownloads: 5 // Retries allowed per link; the file is deleted after the last one
+    },
+
+    // API keys and per-client limits for /api/* routes (except /api/health)
+    // Requests without a key (such as the web UI's) are limited per IP address in the anonymous tier
+    auth: {
+        enabled: process.env.AUTH_ENABLED !== 'false',
+        allowAnonymous: process.env.AUTH_ALLOW_ANONYMOUS !== 'false', // false requires a key for every request
+        keysFile: path.join(__dirname, '../data/api-keys.json'), // Written by "pdfora keys"
+        reloadInterval: 10 * 1000, // Check the keys file for changes at most every 10 seconds
+        defaultTier: 'standard', // Tier of new keys
+        // Limits per client: requests per minute, jobs queued or running at once, and bytes uploaded per UTC day
+        tiers: {
+            anonymous: { requestsPerMinute: 120, maxConcurrentJobs: 4, dailyBytes: 2 * 1024 * 1024 * 1024 },
+            standard: { requestsPerMinute: 600, maxConcurrentJobs: 8, dailyBytes: 50 * 1024 * 1024 * 1024 }
+        }
+    },
+
+    // Browser session settings (groups a session's outputs for ZIP download)
+    sessions: {
+        maxAge: 60 * 60 * 1000, // Forget sessions after 1 hour, matching file cleanup
+        maxOutputs: 200 // Outputs remembered per session
+    },
+
+    // Merge settings
+    merge: {
+        maxFiles: 20, // Maximum PDFs combined in one request
+        compressByDefault: false // Run the selected preset while merging unless told otherwise
+    },
+
+    // Split settings
+    split: {
+        maxOutputs: 100 // Maximum PDFs produced by one split
+    },
+
+    // Page operations (rotate, delete, reorder) settings
+    pages: {
+        maxOperations: 500, // Operations accepted in one request
+        thumbnailDpi: 24, // Resolution of the page previews (about 200 px tall for A4)
+        maxThumbnails: 200 // Pages previewed; later pages are shown without an image
+    },
+
+    // Text watermark and page-number stamp settings
+    stamp: {
+        font: 'Helvetica-Bold', // One of the standard PostScript fonts, so nothing needs embedding
+        maxTextLength: 200,
+        margin: 36, // Points between the page edge and stamps placed at an edge or corner (0.5 in)
+        defaultColor: '#808080',
+        // Defaults for anything not given: a large diagonal watermark in the centre, small level text elsewhere
+        defaults: {
+            center: { fontSize: 72, opacity: 0.3, angle: 45 },
+            edge: { fontSize: 10, opacity: 1, angle: 0 }
+        }
+    },
+
+    // Colour-space conversion settings
+    color: {
+        // ICC profiles offered for conversion, by name: { path, colorSpace: 'gray' | 'rgb' | 'cmyk' }
+        // e.g. fogra39: { path: '/usr/share/color/icc/ISOcoated_v2_eci.icc', colorSpace: 'cmyk' }
+        iccProfiles: {}
+    },
+
+    // Output size estimates (colour choices, presets)
+    estimate: {
+        samplePages: 6 // Pages run through Ghostscript per setting; shorter documents are run whole
+    },
+
+    // Size breakdown shown before compressing (/api/analyze)
+    analyze: {
+        maxListed: 50 // Largest images and fonts listed; totals still count every one
+    },
+
+    // PDF/A archival output settings
+    pdfa: {
+        defaultLevel: '2b',
+        // RGB ICC profile embedded as the output intent. %rom% is the copy built into Ghostscript;
+        // builds without it need a file path (e.g. /usr/share/color/icc/ghostscript/srgb.icc)
+        iccProfile: process.env.PDFA_ICC_PROFILE || '%rom%iccprofiles/srgb.icc',
+        outputCondition: 'sRGB IEC61966-2.1',
+        // What Ghostscript does with content PDF/A forbids: 1 drops it and carries on, 2 fails the job
+        compatibilityPolicy: 1
+    },
+
+    // Password protection settings
+    protect: {
+        encryptionRevision: 3, // Standard security handler revision (3 = RC4 128-bit)
+        keyLength: 128,
+        minPasswordLength: 4,
+        maxPasswordLength: 127
+    },
+
+    // PDF-to-image conversion settings
+    convert: {
+        formats: {
+            png: { device: 'png16m', extension: 'png', contentType: 'image/png' },
+            jpeg: { device: 'jpeg', extension: 'jpg', contentType: 'image/jpeg' }
+        },
+        defaultFormat: 'png',
+        defaultDpi: 150,
+        minDpi: 36,
+        maxDpi: 600,
+        jpegQuality: 85, // 0-100
+        maxPages: 100, // Maximum pages rendered by one conversion
+        previewDpi: 100, // Resolution of before/after page previews of compressed files
+        maxPreviewPages: 3 // Pages rendered for a before/after comparison
+    },
+
+    // Document metadata (info dictionary and XMP) reading and editing
+    metadata: {
+        maxFieldLength: 1000, // Longest title, author, subject, keywords or creator accepted
+        maxXmpBytes: 1024 * 1024 // Larger XMP packets are skipped when reading
+    },
+
+    // Watch folders: compress PDFs dropped into an input folder (e.g. by a scanner) without the UI
+    watch: {
+        enabled: false, // Start watching when the server starts ("pdfora watch" works either way)
+        // Each entry: input, output, optional error folder (default <output>/errors),
+        // and a preset, saved profile or custom profile fields
+        // Example: { input: '/srv/scans/in', output: '/srv/scans/out', preset: 'ebook' }
+        folders: [],
+        pollInterval: 5 * 1000, // Check the folders every 5 seconds
+        stableTime: 10 * 1000, // A file is ready once its size and date are unchanged for 10 seconds
+        ledgerFile: path.join(__dirname, '../data/watch-ledger.json') // Files already handled
+    }
 };
@@ -18,11 +18,52 @@ const fileName = document.getElementById('file-name');
 const fileSize = document.getElementById('file-size');
 const removeFileBtn = document.getElementById('remove-file-btn');
 const compressBtn = document.getElementById('compress-btn');
+const presetSelect = document.getElementById('preset-select');
+const presetOptions = document.getElementById('preset-options');
+const profileOptions = document.getElementById('profile-options');
+const compressBtnLabel = document.getElementById('compress-btn-label');
+const fileList = document.getElementById('file-list');
+const toolFields = document.getElementById('tool-fields');
+const presetPicker = document.querySelector('.preset-picker');
+const passwordPrompt = document.getElementById('password-prompt');
+const passwordPromptMessage = document.getElementById('password-prompt-message');
+const pdfPasswordInput = document.getElementById('pdf-password');
+const fileMetadata = document.getElementById('file-metadata');
+const pageGridContainer = document.getElementById('page-grid-container');
+const pageGrid = document.getElementById('page-grid');
+const pageGridStatus = document.getElementById('page-grid-status');
+const fileAnalysis = document.getElementById('file-analysis');
+const fileAnalysisStatus = document.getElementById('file-analysis-status');
+const analyzeBtn = document.getElementById('analyze-btn');
+const fileAnalysisBreakdown = document.getElementById('file-analysis-breakdown');
+const fileAnalysisDetails = document.getElementById('file-analysis-details');
+const fileAnalysisEstimates = document.getElementById('file-analysis-estimates');
+const colorEstimates = document.getElementById('color-estimates');
+const colorEstimatesStatus = document.getElementById('color-estimates-status');
+const colorEstimatesList = document.getElementById('color-estimates-list');
+
+const modeTabsNav = document.getElementById('mode-tabs');
+const uploadHint = document.getElementById('upload-hint');
+const resultTitle = document.getElementById('result-title');
+const outputSizeLabel = document.getElementById('output-size-label');
 
 const originalSizeEl = document.getElementById('original-size');
 const compressedSizeEl = document.getElementById('compressed-size');
 const savedSizeEl = document.getElementById('saved-size');
 const compressionRatioEl = document.getElementById('compression-ratio');
+const savingsText = document.getElementById('savings-text');
+const resultSummary = document.getElementById('result-summary');
+const previewCompare = document.getElementById('preview-compare');
+const previewPagesNav = document.getElementById('preview-pages');
+const previewMode = document.getElementById('preview-mode');
+const previewZoom = document.getElementById('preview-zoom');
+const previewStage = document.getElementById('preview-stage');
+const previewOriginal = document.getElementById('preview-original');
+const previewOutput = document.getElementById('preview-output');
+const previewSlider = document.getElementById('preview-slider');
+const retryPreset = document.getElementById('retry-preset');
+const retryPresetSelect = document.getElementById('retry-preset-select');
+const retryBtn = document.getElementById('retry-btn');
 const downloadBtn = document.getElementById('download-btn');
 const compressAnotherBtn = document.getElementById('compress-another-btn');
 
@@ -36,11 +77,43 @@ const currentFileEl = document.getElementById('current-file');
 const totalFilesEl = document.getElementById('total-files');
 const processingTitle = document.getElementById('processing-title');
 const processingStatus = document.getElementById('processing-status');
+const pageStatusEl = document.getElementById('page-status');
+const cancelBtn = document.getElementById('cancel-btn');
 
 // State
 let selectedFiles = [];
 let compressedFiles = [];
-const MAX_FILES = 3;
+let tools = [];
+let currentTool = null;
+let activeRun = null; // { controller, jobIds } while a tool is running
+let sessionId = createSessionId();
+const MAX_BATCH_FILES = 3; // Single-file tools queue one job per file, up to this many
+const PASSWORD_ERROR_CODES = ['PASSWORD_REQUIRED', 'INVALID_PASSWORD'];
+let metadataRun = null; // AbortController of the metadata job being followed
+let pageEdits = null; // { pages: [{ page, rotate, deleted, url }] } in the page grid's order
+let thumbnailRun = null; // AbortController of the page preview job being followed
+const PAGE_GRID_TOOL = 'pages'; // Tool whose operations are built with the page grid
+let previews = []; // Before/after page images of the last result ({ page, originalUrl, outputUrl })
+const PREVIEW_TOOL = 'compress'; // Tool that renders before/after pages of a single file
+const DEFAULT_PREVIEW_PAGES = '1'; // Pages compared when the preview field is left empty
+let analysisRun = null; // AbortController of the analysis job being followed
+const ANALYZE_TOOL = 'compress'; // Tool whose file card shows the size breakdown and preset estimates
+const BREAKDOWN_LABELS = { images: 'Images', fonts: 'Fonts', attachments: 'Attachments', metadata: 'Metadata', other: 'Pages and structure' };
+let estimateRun = null; // AbortController of the colour size estimate being followed
+const COLOR_TOOL = 'color'; // Tool whose colour spaces are compared by estimated size
+const COLOR_SPACE_LABELS = { gray: 'Grayscale', rgb: 'RGB', cmyk: 'CMYK' };
+
+// Document info shown in the file card, by field
+const METADATA_LABELS = {
+    title: 'Title',
+    author: 'Author',
+    subject: 'Subject',
+    keywords: 'Keywords',
+    creator: 'Creator tool',
+    producer: 'Producer',
+    creationDate: 'Created',
+    modDate: 'Modified'
+};
 
 // API Base URL
 const API_BASE = window.location.origin;
@@ -66,17 +139,143 @@ function init() {
 
     // Buttons
     removeFileBtn.addEventListener('click', resetToUpload);
-    compressBtn.addEventListener('click', compressPDF);
+    compressBtn.addEventListener('click', runTool);
     downloadBtn.addEventListener('click', downloadPDF);
     compressAnotherBtn.addEventListener('click', resetToUpload);
     tryAgainBtn.addEventListener('click', resetToUpload);
+    cancelBtn.addEventListener('click', cancelRun);
+    retryBtn.addEventListener('click', retryWithPreset);
+
+    // Before/after comparison
+    previewPagesNav.addEventListener('click', handlePreviewPagePick);
+    previewMode.addEventListener('change', updatePreviewView);
+    previewZoom.addEventListener('change', updatePreviewView);
+    previewSlider.addEventListener('input', updatePreviewView);
+
+    // Tool modes
+    modeTabsNav.addEventListener('click', (e) => {
+        const tab = e.target.closest('.mode-tab');
+        if (tab) setMode(tab.dataset.mode);
+    });
+    toolFields.addEventListener('change', updateQualityPicker);
+    toolFields.addEventListener('change', handleEstimateInputChange);
+    presetSelect.addEventListener('change', handleEstimateInputChange);
+    colorEstimatesList.addEventListener('click', handleEstimatePick);
+    analyzeBtn.addEventListener('click', () => loadAnalysis(selectedFiles[0]));
+    fileAnalysisEstimates.addEventListener('click', handleAnalysisPick);
+    presetSelect.addEventListener('change', markSelectedPreset);
+
+    // Merge file reordering
+    fileList.addEventListener('dragstart', handleListDragStart);
+    fileList.addEventListener('dragover', handleListDragOver);
+    fileList.addEventListener('drop', handleListDrop);
+    fileList.addEventListener('dragend', handleListDragEnd);
+
+    // Page grid: rotate and delete buttons, drag to reorder
+    pageGrid.addEventListener('click', handlePageAction);
+    pageGrid.addEventListener('dragstart', handlePageDragStart);
+    pageGrid.addEventListener('dragover', handlePageDragOver);
+    pageGrid.addEventListener('drop', handlePageDrop);
+    pageGrid.addEventListener('dragend', handlePageDragEnd);
+
+    loadTools();
+    loadPresets();
+}
+
+/**
+ * Switch to another registered tool
+ */
+function setMode(name) {
+    currentTool = tools.find(tool => tool.name === name);
+    modeTabsNav.querySelectorAll('.mode-tab')
+        .forEach(tab => tab.classList.toggle('active', tab.dataset.mode === name));
+
+    const { minFiles } = currentTool.upload;
+    const maxFiles = maxSelectableFiles(currentTool);
+    if (minFiles > 1) {
+        uploadHint.textContent = `${minFiles} to ${maxFiles} files`;
+    } else {
+        uploadHint.textContent = maxFiles === 1 ? 'one file' : `up to ${maxFiles} files`;
+    }
+    compressBtnLabel.textContent = currentTool.action;
+
+    resetToUpload();
+}
+
+/**
+ * Load the registered tools and show a tab for each
+ */
+async function loadTools() {
+    try {
+        const response = await fetch(`${API_BASE}/api/tools`);
+        ({ tools } = await response.json());
+
+        modeTabsNav.innerHTML = '';
+        for (const tool of tools) {
+            const tab = document.createElement('button');
+            tab.className = 'mode-tab';
+            tab.dataset.mode = tool.name;
+            tab.textContent = tool.label;
+            tab.title = tool.description;
+            modeTabsNav.appendChild(tab);
+        }
+
+        setMode(tools[0].name);
+    } catch (error) {
+        console.error('Failed to load tools:', error);
+        showError('Could not reach the server. Please refresh the page.');
+    }
+}
+
+/**
+ * Most files the current tool accepts in one go
+ */
+function maxSelectableFiles(tool) {
+    // Page operations refer to one document's pages
+    if (tool.name === PAGE_GRID_TOOL) return 1;
+    return tool.upload.maxFiles > 1 ? tool.upload.maxFiles : MAX_BATCH_FILES;
+}
+
+/**
+ * Populate the quality picker with presets and saved profiles
+ */
+async function loadPresets() {
+    try {
+        const [presetsRes, profilesRes] = await Promise.all([
+            fetch(`${API_BASE}/api/presets`),
+            fetch(`${API_BASE}/api/profiles`)
+        ]);
+        const { presets } = await presetsRes.json();
+        const { profiles } = await profilesRes.json();
+        const selected = presetSelect.value;
+
+        presetOptions.innerHTML = '';
+        for (const preset of presets) {
+            const option = new Option(preset.label, `preset:${preset.name}`);
+            option.title = preset.description;
+            presetOptions.appendChild(option);
+        }
+
+        profileOptions.innerHTML = '';
+        for (const profile of profiles) {
+            const option = new Option(profile.name, `profile:${profile.name}`);
+            option.title = profile.description || '';
+            profileOptions.appendChild(option);
+        }
+        profileOptions.hidden = profiles.length === 0;
+
+        presetSelect.value = selected;
+    } catch (error) {
+        // Keep the built-in default option if the lists can't be loaded
+        console.error('Failed to load presets:', error);
+    }
 }
 
 /**
  * Handle file selection from input
  */
 function handleFileSelect(e) {
-    const files = Array.from(e.target.files).slice(0, MAX_FILES);
+    const files = Array.from(e.target.files).slice(0, maxSelectableFiles(currentTool));
     if (files.length > 0) {
         processFiles(files);
     }
@@ -107,7 +306,7 @@ function handleDrop(e) {
 
     const files = Array.from(e.dataTransfer.files)
         .filter(f => f.type === 'application/pdf')
-        .slice(0, MAX_FILES);
+        .slice(0, maxSelectableFiles(currentTool));
 
     if (files.length > 0) {
         processFiles(files);
@@ -136,9 +335,22 @@ function processFiles(files) {
 
     if (validFiles.length === 0) return;
 
+    if (validFiles.length < currentTool.upload.minFiles) {
+        showError(`Select at least ${currentTool.upload.minFiles} PDFs`);
+        return;
+    }
+
     selectedFiles = validFiles;
 
-    // Update UI
+    // Update UI; tools taking several files in one job show them as a reorderable list
+    const ordered = currentTool.upload.maxFiles > 1;
+    fileList.classList.toggle('hidden', !ordered);
+    if (ordered) {
+        renderFileList();
+    }
+    passwordPrompt.classList.add('hidden');
+    updateQualityPicker();
+
     if (validFiles.length === 1) {
         fileName.textContent = validFiles[0].name;
         fileSize.textContent = formatBytes(validFiles[0].size);
@@ -148,79 +360,1133 @@ function processFiles(files) {
         fileSize.textContent = formatBytes(totalSize);
     }
 
+    if (validFiles.length === 1) {
+        loadMetadata(validFiles[0]);
+    } else {
+        clearMetadata();
+    }
+
+    if (currentTool.name === PAGE_GRID_TOOL) {
+        loadPageGrid(validFiles[0]);
+    } else {
+        clearPageGrid();
+    }
+
+    // Analysis uploads the file and runs Ghostscript, so it waits to be asked for
+    if (currentTool.name === ANALYZE_TOOL && validFiles.length === 1) {
+        offerAnalysis();
+    } else {
+        clearAnalysis();
+    }
+
+    if (currentTool.name === COLOR_TOOL && validFiles.length === 1) {
+        loadColorEstimates(validFiles[0]);
+    } else {
+        clearColorEstimates();
+    }
+
     showSection('file-info');
 }
 
 /**
- * Compress PDFs with progress animation
+ * Read the selected PDF's document info and XMP for the file card
+ */
+async function loadMetadata(file) {
+    clearMetadata();
+    const run = new AbortController();
+    metadataRun = run;
+
+    const formData = new FormData();
+    formData.append('pdf', file);
+
+    try {
+        const response = await fetch(`${API_BASE}/api/metadata`, {
+            method: 'POST',
+            body: formData,
+            signal: run.signal
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || 'Metadata could not be read');
+            error.code = data.code;
+            throw error;
+        }
+
+        renderMetadata(await waitForJob(data.jobId, () => {}, run.signal));
+    } catch (error) {
+        if (run.signal.aborted) return;
+        console.error('Error loading metadata:', error);
+        renderMetadata(null, PASSWORD_ERROR_CODES.includes(error.code)
+            ? 'Metadata is hidden until the PDF is unlocked'
+            : 'Metadata could not be read');
+    } finally {
+        if (metadataRun === run) {
+            metadataRun = null;
+        }
+    }
+}
+
+/**
+ * Hide the metadata list, stopping any metadata job still being followed
+ */
+function clearMetadata() {
+    if (metadataRun) {
+        metadataRun.abort();
+        metadataRun = null;
+    }
+    fileMetadata.innerHTML = '';
+    fileMetadata.classList.add('hidden');
+}
+
+/**
+ * Show metadata in the file card, or a note when there is none
+ * Fields of the metadata tool show the current values as placeholders
+ */
+function renderMetadata(metadata, note) {
+    const rows = [];
+
+    if (metadata) {
+        for (const [name, label] of Object.entries(METADATA_LABELS)) {
+            let value = metadata.info[name];
+            if (!value) continue;
+            if (name.endsWith('Date') && !Number.isNaN(Date.parse(value))) {
+                value = new Date(value).toLocaleString();
+            }
+            rows.push([label, value]);
+
+            const input = document.getElementById(`field-${name}`);
+            if (input && input.type === 'text') {
+                input.placeholder = value;
+            }
+        }
+        if (metadata.xmp) {
+            rows.push(['XMP', `Embedded (${formatBytes(metadata.xmp.bytes)})`]);
+        }
+        if (rows.length === 0) {
+            note = 'No document metadata';
+        }
+    }
+
+    fileMetadata.innerHTML = '';
+    for (const [label, value] of rows) {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        detail.title = value;
+        fileMetadata.append(term, detail);
+    }
+    if (note) {
+        const detail = document.createElement('dd');
+        detail.className = 'file-metadata-note';
+        detail.textContent = note;
+        fileMetadata.appendChild(detail);
+    }
+    fileMetadata.classList.remove('hidden');
+}
+
+/**
+ * Run the current tool on the selected files
+ * Tools that take several files get them all in one job; others queue one job per file
  */
-async function compressPDF() {
+async function runTool() {
     if (selectedFiles.length === 0) return;
 
+    const tool = currentTool;
+    const groups = tool.upload.maxFiles > 1 ? [selectedFiles] : selectedFiles.map(file => [file]);
+    const run = { controller: new AbortController(), jobIds: [] };
+    activeRun = run;
+    cancelBtn.disabled = false;
+
     showSection('processing');
     compressedFiles = [];
+    pageStatusEl.textContent = '';
 
-    // Update UI for batch processing
-    totalFilesEl.textContent = selectedFiles.length;
+    totalFilesEl.textContent = groups.length;
+    currentFileEl.textContent = 1;
     processingTitle.textContent = selectedFiles.length === 1
-        ? 'Compressing your PDF...'
-        : 'Compressing your PDFs...';
+        ? 'Processing your PDF...'
+        : `Processing ${selectedFiles.length} PDFs...`;
 
     try {
-        // Process files in batches of 3 (parallel processing)
-        const results = [];
-
-        for (let i = 0; i < selectedFiles.length; i++) {
-            currentFileEl.textContent = i + 1;
-
-            // Animate progress
-            const progress = ((i + 1) / selectedFiles.length) * 100;
-            updateProgress(progress);
-
-            const file = selectedFiles[i];
-            const formData = new FormData();
-            formData.append('pdf', file);
+        // Upload every group first; the server queues them and limits concurrency
+        const jobIds = run.jobIds;
 
-            const response = await fetch(`${API_BASE}/api/compress`, {
+        for (const files of groups) {
+            const response = await fetch(`${API_BASE}${tool.endpoint}`, {
                 method: 'POST',
-                body: formData
+                headers: { 'X-Session-Id': sessionId },
+                body: buildToolForm(tool, files),
+                signal: run.controller.signal
             });
 
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || 'Compression failed');
+                throw new Error(data.error || `${tool.label} failed`);
             }
 
-            results.push(data);
-            compressedFiles.push(data);
+            jobIds.push(data.jobId);
+        }
+
+        // Wait for all jobs, combining their page progress into one indicator
+        const fractions = jobIds.map(() => 0);
+        let finished = 0;
+        currentFileEl.textContent = 1;
+
+        const results = await Promise.all(jobIds.map(async (jobId, index) => {
+            const result = await waitForJob(jobId, (job) => {
+                if (job.progress && job.progress.totalPages) {
+                    fractions[index] = job.progress.page / job.progress.totalPages;
+                    showPageStatus(index, job.progress);
+                }
+                renderJobProgress(fractions);
+            }, run.controller.signal);
+
+            fractions[index] = 1;
+            finished++;
+            currentFileEl.textContent = Math.min(finished + 1, jobIds.length);
+            renderJobProgress(fractions);
+            return result;
+        }));
+
+        showResults(tool, results);
+
+    } catch (error) {
+        // Cancelled from the processing card: back to the selected files
+        if (run.controller.signal.aborted) {
+            showSection('file-info');
+            return;
+        }
+        console.error(`${tool.label} error:`, error);
+        if (PASSWORD_ERROR_CODES.includes(error.code)) {
+            showPasswordPrompt(error.message);
+            return;
+        }
+        showError(error.message || `${tool.label} failed. Please try again.`);
+    } finally {
+        if (activeRun === run) {
+            activeRun = null;
+        }
+    }
+}
+
+/**
+ * Stop the running tool: abort uploads and cancel queued or running jobs on the server
+ */
+function cancelRun() {
+    if (!activeRun) return;
+
+    cancelBtn.disabled = true;
+    activeRun.controller.abort();
+    for (const jobId of activeRun.jobIds) {
+        fetch(`${API_BASE}/api/jobs/${jobId}/cancel`, { method: 'POST' })
+            .catch(error => console.error('Cancel failed:', error));
+    }
+}
+
+/**
+ * Build the upload form for one job from the tool's fields
+ */
+function buildToolForm(tool, files) {
+    const formData = new FormData();
+
+    for (const field of tool.fields.filter(f => !f.hidden)) {
+        const input = document.getElementById(`field-${field.name}`);
+        if (field.type === 'checkbox') {
+            formData.append(field.name, input.checked);
+        } else if (input.value.trim() !== '') {
+            formData.append(field.name, input.value.trim());
+        }
+    }
+
+    if (tool.name === PAGE_GRID_TOOL && pageEdits) {
+        formData.append('operations', JSON.stringify(pageOperations()));
+    }
+    if (tool.name === PREVIEW_TOOL && selectedFiles.length === 1 && !formData.has('previewPages')) {
+        formData.append('previewPages', DEFAULT_PREVIEW_PAGES);
+    }
+    if (tool.quality && !presetPicker.classList.contains('hidden')) {
+        appendQualitySelection(formData);
+    }
+    if (tool.password) {
+        appendPassword(formData);
+    }
+    for (const file of files) {
+        formData.append(tool.upload.field, file);
+    }
+
+    return formData;
+}
+
+/**
+ * Show the outcome of a tool's jobs
+ */
+function showResults(tool, results) {
+    const outputs = results.flatMap(result => (tool.result === 'files' ? result.files : [result]));
+    compressedFiles.push(...outputs);
+
+    const totalOriginal = selectedFiles.reduce((sum, f) => sum + f.size, 0);
+    const totalOutput = outputs.reduce((sum, o) => sum + (o.compressedBytes !== undefined ? o.compressedBytes : o.bytes), 0);
+    originalSizeEl.textContent = formatBytes(totalOriginal);
+    compressedSizeEl.textContent = formatBytes(totalOutput);
+
+    // Savings only mean something for tools that report a compression ratio
+    const compressed = results.every(result => result.compressionRatio !== undefined);
+    outputSizeLabel.textContent = compressed ? 'Compressed' : 'Output';
+    savingsText.classList.toggle('hidden', !compressed);
+    if (compressed) {
+        const totalSaved = totalOriginal - totalOutput;
+        savedSizeEl.textContent = formatBytes(Math.max(0, totalSaved));
+        compressionRatioEl.textContent = Math.max(0, (totalSaved / totalOriginal) * 100).toFixed(1) + '%';
+    }
+
+    // One line per job, naming the file when there were several
+    const notes = results
+        .filter(result => result.summary)
+        .map(result => (results.length > 1 ? `${result.originalName}: ${result.summary}` : result.summary));
+    resultSummary.classList.toggle('hidden', notes.length === 0);
+    resultSummary.textContent = notes.join(' · ');
+
+    renderPreviews(results.length === 1 && results[0].previews ? results[0].previews : []);
+    updateRetryPreset(tool);
+
+    resultTitle.textContent = outputs.length === 1 ? 'Your file is ready!' : 'Your files are ready!';
+    setDownloadLabel(outputs.length === 1
+        ? `Download ${describeOutput(outputs[0].filename)}`
+        : `Download All (${outputs.length} files as ZIP)`);
+
+    showSection('result');
+}
+
+/**
+ * Show the before/after pages of a result, starting with the first
+ */
+function renderPreviews(pages) {
+    previews = pages;
+    previewCompare.classList.toggle('hidden', previews.length === 0);
+    previewPagesNav.innerHTML = '';
+    if (previews.length === 0) {
+        previewOriginal.removeAttribute('src');
+        previewOutput.removeAttribute('src');
+        return;
+    }
+
+    for (const [index, preview] of previews.entries()) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.index = index;
+        button.textContent = `Page ${preview.page}`;
+        previewPagesNav.appendChild(button);
+    }
+    showPreviewPage(0);
+    updatePreviewView();
+}
+
+/**
+ * Load one page's original and processed images into the comparison
+ */
+function showPreviewPage(index) {
+    const preview = previews[index];
+    previewOriginal.src = `${API_BASE}${preview.originalUrl}`;
+    previewOutput.src = `${API_BASE}${preview.outputUrl}`;
+    previewPagesNav.querySelectorAll('button')
+        .forEach(button => button.classList.toggle('selected', Number(button.dataset.index) === index));
+}
+
+/**
+ * Switch the compared page
+ */
+function handlePreviewPagePick(e) {
+    const button = e.target.closest('button[data-index]');
+    if (button) showPreviewPage(Number(button.dataset.index));
+}
+
+/**
+ * Apply the comparison mode, zoom and slider position
+ * Both images share one scroll area, so zoomed views pan together
+ */
+function updatePreviewView() {
+    const side = previewMode.value === 'side';
+    previewStage.classList.toggle('slider', !side);
+    previewStage.classList.toggle('side', side);
+    previewCompare.classList.toggle('side', side);
+    previewStage.style.setProperty('--zoom', previewZoom.value);
+    previewStage.style.setProperty('--split', `${previewSlider.value}%`);
+}
+
+/**
+ * Offer the other presets and saved profiles for a second attempt on the same files
+ */
+function updateRetryPreset(tool) {
+    const show = tool.quality && !presetPicker.classList.contains('hidden') && selectedFiles.length > 0;
+    retryPreset.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    retryPresetSelect.innerHTML = '';
+    for (const group of presetSelect.querySelectorAll('optgroup:not([hidden])')) {
+        const copy = group.cloneNode(true);
+        copy.removeAttribute('id');
+        retryPresetSelect.appendChild(copy);
+    }
+    retryPresetSelect.value = presetSelect.value;
+}
+
+/**
+ * Run the tool again on the selected files with the quality chosen in the result card
+ * A new session keeps the earlier outputs out of the ZIP download
+ */
+function retryWithPreset() {
+    presetSelect.value = retryPresetSelect.value;
+    sessionId = createSessionId();
+    runTool();
+}
+
+/**
+ * Name the kind of an output file for the download button
+ */
+function describeOutput(filename) {
+    const extension = filename.split('.').pop().toLowerCase();
+    if (extension === 'pdf') return 'PDF';
+    if (extension === 'zip') return 'ZIP';
+    return 'Image';
+}
+
+/**
+ * Render the current tool's fields with their defaults
+ */
+function renderToolFields(tool) {
+    toolFields.innerHTML = '';
+
+    for (const field of tool.fields.filter(f => !f.hidden)) {
+        const label = document.createElement('label');
+        const caption = document.createElement('span');
+        caption.textContent = field.label;
+
+        if (field.type === 'checkbox') {
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = `field-${field.name}`;
+            input.checked = Boolean(field.default);
+            label.className = 'tool-checkbox';
+            label.append(input, caption);
+        } else {
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                for (const option of field.options) {
+                    input.appendChild(new Option(option.label, option.value));
+                }
+            } else {
+                input = document.createElement('input');
+                input.type = field.type;
+                if (field.placeholder) input.placeholder = field.placeholder;
+                if (field.min !== undefined) input.min = field.min;
+                if (field.max !== undefined) input.max = field.max;
+                if (field.step !== undefined) input.step = field.step;
+                if (field.minLength !== undefined) input.minLength = field.minLength;
+                if (field.maxLength !== undefined) input.maxLength = field.maxLength;
+                if (field.type === 'password') input.autocomplete = 'new-password';
+            }
+            input.id = `field-${field.name}`;
+            if (field.default !== undefined) input.value = field.default;
+            caption.className = 'preset-label';
+            label.className = 'tool-field';
+            label.append(caption, input);
+        }
+
+        toolFields.appendChild(label);
+    }
+}
+
+/**
+ * Show the quality picker for tools that accept it
+ * Tools with a "compress" switch only use it when the switch is on
+ */
+function updateQualityPicker() {
+    const compressSwitch = document.getElementById('field-compress');
+    const show = currentTool.quality && (!compressSwitch || compressSwitch.checked);
+    presetPicker.classList.toggle('hidden', !show);
+}
+
+/**
+ * Ask for the password of an encrypted PDF, keeping the selected files
+ */
+function showPasswordPrompt(message) {
+    passwordPromptMessage.textContent = message;
+    passwordPrompt.classList.remove('hidden');
+    pdfPasswordInput.value = '';
+    showSection('file-info');
+    pdfPasswordInput.focus();
+}
+
+/**
+ * Add the password for encrypted inputs to an upload form, if one was entered
+ */
+function appendPassword(formData) {
+    if (pdfPasswordInput.value) {
+        formData.append('password', pdfPasswordInput.value);
+    }
+}
+
+/**
+ * Render the merge file list in its current order
+ */
+function renderFileList() {
+    fileList.innerHTML = '';
+
+    selectedFiles.forEach((file, index) => {
+        const item = document.createElement('li');
+        item.className = 'file-list-item';
+        item.draggable = true;
+        item.dataset.index = index;
+
+        const position = document.createElement('span');
+        position.className = 'file-list-position';
+        position.textContent = index + 1;
+
+        const name = document.createElement('span');
+        name.className = 'file-list-name';
+        name.textContent = file.name;
+
+        const size = document.createElement('span');
+        size.className = 'file-list-size';
+        size.textContent = formatBytes(file.size);
+
+        const handle = document.createElement('span');
+        handle.className = 'file-list-handle';
+        handle.textContent = '⋮⋮';
+        handle.title = 'Drag to reorder';
+
+        item.append(position, name, size, handle);
+        fileList.appendChild(item);
+    });
+}
+
+/**
+ * Start dragging a file in the merge list
+ */
+function handleListDragStart(e) {
+    const item = e.target.closest('.file-list-item');
+    if (!item) return;
+
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.dataset.index);
+    item.classList.add('dragging');
+}
+
+/**
+ * Highlight the drop position in the merge list
+ */
+function handleListDragOver(e) {
+    const item = e.target.closest('.file-list-item');
+    if (!item) return;
+
+    e.preventDefault();
+    fileList.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    item.classList.add('drop-target');
+}
+
+/**
+ * Move the dragged file to its new position
+ */
+function handleListDrop(e) {
+    const item = e.target.closest('.file-list-item');
+    if (!item) return;
+
+    e.preventDefault();
+    const from = Number(e.dataTransfer.getData('text/plain'));
+    const to = Number(item.dataset.index);
+
+    if (from !== to) {
+        const [moved] = selectedFiles.splice(from, 1);
+        selectedFiles.splice(to, 0, moved);
+    }
+    renderFileList();
+}
+
+/**
+ * Clear drag styling when dragging ends
+ */
+function handleListDragEnd() {
+    fileList.querySelectorAll('.dragging, .drop-target')
+        .forEach(el => el.classList.remove('dragging', 'drop-target'));
+}
+
+/**
+ * Render previews of every page for the page grid
+ */
+async function loadPageGrid(file) {
+    clearPageGrid();
+    const run = new AbortController();
+    thumbnailRun = run;
+
+    pageGridContainer.classList.remove('hidden');
+    pageGridStatus.textContent = 'Loading page previews...';
+
+    const formData = new FormData();
+    appendPassword(formData);
+    formData.append('pdf', file);
+
+    try {
+        const response = await fetch(`${API_BASE}/api/pages/thumbnails`, {
+            method: 'POST',
+            body: formData,
+            signal: run.signal
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || 'Page previews failed');
+            error.code = data.code;
+            throw error;
+        }
+
+        const result = await waitForJob(data.jobId, () => {}, run.signal);
+        const urls = new Map(result.pages.map(page => [page.page, page.url]));
+        pageEdits = {
+            pages: Array.from({ length: result.totalPages }, (_, i) => ({
+                page: i + 1,
+                rotate: 0,
+                deleted: false,
+                url: urls.get(i + 1) || null
+            }))
+        };
+        pageGridStatus.textContent = 'Drag pages to reorder them. ↻ turns a page clockwise, ✕ removes it.';
+        renderPageGrid();
+    } catch (error) {
+        if (run.signal.aborted) return;
+        console.error('Page preview error:', error);
+        pageGridStatus.textContent = PASSWORD_ERROR_CODES.includes(error.code)
+            ? 'Enter the PDF password above, then select the file again to preview its pages.'
+            : error.message;
+        if (PASSWORD_ERROR_CODES.includes(error.code)) {
+            passwordPrompt.classList.remove('hidden');
         }
+    } finally {
+        if (thumbnailRun === run) {
+            thumbnailRun = null;
+        }
+    }
+}
+
+/**
+ * Remove the page grid, stopping any preview job still running
+ */
+function clearPageGrid() {
+    if (thumbnailRun) {
+        thumbnailRun.abort();
+        thumbnailRun = null;
+    }
+    pageEdits = null;
+    pageGrid.innerHTML = '';
+    pageGridContainer.classList.add('hidden');
+    updatePageActions();
+}
+
+/**
+ * Render the page grid in its current order
+ */
+function renderPageGrid() {
+    pageGrid.innerHTML = '';
+
+    pageEdits.pages.forEach((entry, index) => {
+        const item = document.createElement('li');
+        item.className = 'page-grid-item';
+        item.classList.toggle('deleted', entry.deleted);
+        item.draggable = true;
+        item.dataset.index = index;
+
+        const preview = document.createElement('div');
+        preview.className = 'page-grid-preview';
+        if (entry.url) {
+            const image = document.createElement('img');
+            image.src = entry.url;
+            image.alt = `Page ${entry.page}`;
+            image.draggable = false;
+            image.style.transform = `rotate(${entry.rotate}deg)`;
+            preview.appendChild(image);
+        } else {
+            preview.textContent = entry.page;
+        }
+
+        const label = document.createElement('span');
+        label.className = 'page-grid-label';
+        label.textContent = entry.rotate ? `${entry.page} · ${entry.rotate}°` : entry.page;
+
+        const rotate = document.createElement('button');
+        rotate.type = 'button';
+        rotate.dataset.action = 'rotate';
+        rotate.title = 'Rotate 90° clockwise';
+        rotate.textContent = '↻';
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.dataset.action = 'delete';
+        remove.title = entry.deleted ? 'Keep this page' : 'Delete this page';
+        remove.textContent = entry.deleted ? '↺' : '✕';
+
+        const actions = document.createElement('div');
+        actions.className = 'page-grid-actions';
+        actions.append(rotate, remove);
+
+        item.append(preview, label, actions);
+        pageGrid.appendChild(item);
+    });
+
+    updatePageActions();
+}
+
+/**
+ * Rotate or delete (or restore) a page from its buttons
+ */
+function handlePageAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const entry = pageEdits.pages[Number(button.closest('.page-grid-item').dataset.index)];
+    if (button.dataset.action === 'rotate') {
+        entry.rotate = (entry.rotate + 90) % 360;
+    } else {
+        entry.deleted = !entry.deleted;
+    }
+    renderPageGrid();
+}
+
+/**
+ * Start dragging a page in the grid
+ */
+function handlePageDragStart(e) {
+    const item = e.target.closest('.page-grid-item');
+    if (!item) return;
+
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.dataset.index);
+    item.classList.add('dragging');
+}
+
+/**
+ * Highlight the drop position in the page grid
+ */
+function handlePageDragOver(e) {
+    const item = e.target.closest('.page-grid-item');
+    if (!item) return;
+
+    e.preventDefault();
+    pageGrid.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+    item.classList.add('drop-target');
+}
+
+/**
+ * Move the dragged page to its new position
+ */
+function handlePageDrop(e) {
+    const item = e.target.closest('.page-grid-item');
+    if (!item) return;
+
+    e.preventDefault();
+    const from = Number(e.dataTransfer.getData('text/plain'));
+    const to = Number(item.dataset.index);
+
+    if (from !== to) {
+        const [moved] = pageEdits.pages.splice(from, 1);
+        pageEdits.pages.splice(to, 0, moved);
+    }
+    renderPageGrid();
+}
+
+/**
+ * Clear drag styling when dragging a page ends
+ */
+function handlePageDragEnd() {
+    pageGrid.querySelectorAll('.dragging, .drop-target')
+        .forEach(el => el.classList.remove('dragging', 'drop-target'));
+}
+
+/**
+ * Operation list for the page grid's changes, in the API's format
+ */
+function pageOperations() {
+    const operations = [];
 
-        // Calculate totals
-        const totalOriginal = results.reduce((sum, r) => sum + r.originalBytes, 0);
-        const totalCompressed = results.reduce((sum, r) => sum + r.compressedBytes, 0);
-        const totalSaved = totalOriginal - totalCompressed;
-        const avgRatio = ((totalSaved / totalOriginal) * 100).toFixed(1);
-
-        // Update result UI
-        originalSizeEl.textContent = formatBytes(totalOriginal);
-        compressedSizeEl.textContent = formatBytes(totalCompressed);
-        savedSizeEl.textContent = formatBytes(totalSaved);
-        compressionRatioEl.textContent = avgRatio + '%';
-
-        // Update download button for multiple files
-        if (selectedFiles.length > 1) {
-            downloadBtn.textContent = `Download ${selectedFiles.length} Compressed PDFs`;
+    for (const angle of [90, 180, 270]) {
+        const pages = pageEdits.pages.filter(entry => !entry.deleted && entry.rotate === angle).map(entry => entry.page);
+        if (pages.length > 0) {
+            operations.push({ op: 'rotate', pages, angle });
         }
+    }
+
+    const deleted = pageEdits.pages.filter(entry => entry.deleted).map(entry => entry.page);
+    if (deleted.length > 0) {
+        operations.push({ op: 'delete', pages: deleted });
+    }
+
+    // Kept pages listed in grid order and moved to the front give the new order
+    const order = pageEdits.pages.filter(entry => !entry.deleted).map(entry => entry.page);
+    if (order.some((page, index) => index > 0 && page < order[index - 1])) {
+        operations.push({ op: 'move', pages: order, to: 1 });
+    }
+
+    return operations;
+}
 
-        showSection('result');
+/**
+ * Only allow running the page tool once the grid has a change to apply
+ */
+function updatePageActions() {
+    const isPageTool = currentTool && currentTool.name === PAGE_GRID_TOOL;
+    const kept = pageEdits ? pageEdits.pages.filter(entry => !entry.deleted).length : 0;
+    compressBtn.disabled = isPageTool && (!pageEdits || kept === 0 || pageOperations().length === 0);
+}
 
+/**
+ * Show the Analyze button for the selected PDF
+ */
+function offerAnalysis() {
+    clearAnalysis();
+    fileAnalysis.classList.remove('hidden');
+    fileAnalysisStatus.textContent = 'See what takes up space and each preset\'s estimated size.';
+    analyzeBtn.textContent = 'Analyze';
+    analyzeBtn.classList.remove('hidden');
+}
+
+/**
+ * Analyze the selected PDF: what takes up space, and the estimated size after each preset
+ */
+async function loadAnalysis(file) {
+    clearAnalysis();
+    const run = new AbortController();
+    analysisRun = run;
+
+    fileAnalysis.classList.remove('hidden');
+    analyzeBtn.classList.add('hidden');
+    fileAnalysisStatus.textContent = 'Analyzing what takes up space...';
+
+    const formData = new FormData();
+    appendPassword(formData);
+    formData.append('pdf', file);
+
+    try {
+        const response = await fetch(`${API_BASE}/api/analyze`, {
+            method: 'POST',
+            body: formData,
+            signal: run.signal
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || 'Analysis failed');
+            error.code = data.code;
+            throw error;
+        }
+
+        const result = await waitForJob(data.jobId, (job) => {
+            if (job.progress && job.progress.percent !== null) {
+                fileAnalysisStatus.textContent = `Estimating compressed sizes... ${job.progress.percent}%`;
+            }
+        }, run.signal);
+        renderAnalysis(result);
     } catch (error) {
-        console.error('Compression error:', error);
-        showError(error.message || 'Failed to compress PDF. Please try again.');
+        if (run.signal.aborted) return;
+        console.error('Analysis error:', error);
+        fileAnalysisStatus.textContent = PASSWORD_ERROR_CODES.includes(error.code)
+            ? 'Enter the PDF password above, then analyze again.'
+            : error.message;
+        if (PASSWORD_ERROR_CODES.includes(error.code)) {
+            passwordPrompt.classList.remove('hidden');
+        }
+        analyzeBtn.textContent = 'Analyze again';
+        analyzeBtn.classList.remove('hidden');
+    } finally {
+        if (analysisRun === run) {
+            analysisRun = null;
+        }
     }
 }
 
+/**
+ * Remove the analysis, stopping any analysis job still running
+ */
+function clearAnalysis() {
+    if (analysisRun) {
+        analysisRun.abort();
+        analysisRun = null;
+    }
+    fileAnalysisBreakdown.innerHTML = '';
+    fileAnalysisDetails.innerHTML = '';
+    fileAnalysisEstimates.innerHTML = '';
+    fileAnalysis.classList.add('hidden');
+}
+
+/**
+ * Show the size breakdown, largest images, fonts and attachments, and a button per preset estimate
+ */
+function renderAnalysis(result) {
+    const largest = result.breakdown.reduce((max, part) => (part.bytes > max.bytes ? part : max));
+    fileAnalysisStatus.textContent = `${result.pageCount} page${result.pageCount === 1 ? '' : 's'}; `
+        + `mostly ${BREAKDOWN_LABELS[largest.name].toLowerCase()} (${largest.share}%)`
+        + (result.estimates.exact ? '' : `; sizes estimated from ${result.estimates.sampledPages} pages`);
+
+    fileAnalysisBreakdown.innerHTML = '';
+    for (const part of result.breakdown.filter(entry => entry.bytes > 0)) {
+        const bar = document.createElement('li');
+        bar.className = `part-${part.name}`;
+        bar.style.flexGrow = part.bytes;
+        bar.title = `${BREAKDOWN_LABELS[part.name]}: ${part.size} (${part.share}%)`;
+        fileAnalysisBreakdown.appendChild(bar);
+    }
+
+    const rows = [];
+    const { images, fonts, attachments } = result;
+    if (images.count > 0) {
+        const top = images.items[0];
+        rows.push(['Images', `${images.count} (${formatBytes(images.bytes)}); largest ${top.width}×${top.height} `
+            + `${top.encoding}, ${top.size}, at least ${top.minDpi} dpi`]);
+    }
+    if (fonts.count > 0) {
+        const missing = fonts.count - fonts.embedded;
+        rows.push(['Fonts', `${fonts.count} (${formatBytes(fonts.bytes)})${missing > 0 ? `, ${missing} not embedded` : ''}`]);
+    }
+    if (attachments.count > 0) {
+        rows.push(['Attachments', `${attachments.count} (${formatBytes(attachments.bytes)})`]);
+    }
+
+    fileAnalysisDetails.innerHTML = '';
+    for (const [label, value] of rows) {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        detail.title = value;
+        fileAnalysisDetails.append(term, detail);
+    }
+
+    fileAnalysisEstimates.innerHTML = '';
+    for (const estimate of result.estimates.presets) {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.preset = estimate.name;
+
+        const name = document.createElement('strong');
+        const option = presetOptions.querySelector(`option[value="preset:${estimate.name}"]`);
+        name.textContent = option ? option.textContent : estimate.name;
+        const change = document.createElement('small');
+        change.textContent = estimate.keptOriginal
+            ? 'No smaller; original kept'
+            : `~${estimate.size} (−${estimate.ratio}%)`;
+
+        button.append(name, change);
+        item.appendChild(button);
+        fileAnalysisEstimates.appendChild(item);
+    }
+    markSelectedPreset();
+}
+
+/**
+ * Select the preset whose estimate was clicked
+ */
+function handleAnalysisPick(e) {
+    const button = e.target.closest('button[data-preset]');
+    if (!button) return;
+
+    presetSelect.value = `preset:${button.dataset.preset}`;
+    markSelectedPreset();
+}
+
+/**
+ * Highlight the estimate of the preset chosen in the quality picker
+ */
+function markSelectedPreset() {
+    fileAnalysisEstimates.querySelectorAll('button')
+        .forEach(entry => entry.classList.toggle('selected', presetSelect.value === `preset:${entry.dataset.preset}`));
+}
+
+/**
+ * Estimate the converted size for each colour space and list them in the file card
+ * Uses the compression settings too when the tool's compress switch is on
+ */
+async function loadColorEstimates(file) {
+    clearColorEstimates();
+    const run = new AbortController();
+    estimateRun = run;
+
+    colorEstimates.classList.remove('hidden');
+    colorEstimatesStatus.textContent = 'Estimating sizes...';
+
+    const formData = new FormData();
+    appendPassword(formData);
+    const compressSwitch = document.getElementById('field-compress');
+    if (compressSwitch && compressSwitch.checked) {
+        formData.append('compress', 'true');
+        appendQualitySelection(formData);
+    }
+    formData.append('pdf', file);
+
+    try {
+        const response = await fetch(`${API_BASE}/api/color/estimate`, {
+            method: 'POST',
+            body: formData,
+            signal: run.signal
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error || 'Size estimate failed');
+            error.code = data.code;
+            throw error;
+        }
+
+        const result = await waitForJob(data.jobId, () => {}, run.signal);
+        colorEstimatesStatus.textContent = result.exact
+            ? 'Size after conversion:'
+            : `Estimated size after conversion (from ${result.sampledPages} of ${result.totalPages} pages):`;
+        renderColorEstimates(result.estimates);
+    } catch (error) {
+        if (run.signal.aborted) return;
+        console.error('Size estimate error:', error);
+        colorEstimatesStatus.textContent = PASSWORD_ERROR_CODES.includes(error.code)
+            ? 'Enter the PDF password above, then select the file again to estimate sizes.'
+            : error.message;
+        if (PASSWORD_ERROR_CODES.includes(error.code)) {
+            passwordPrompt.classList.remove('hidden');
+        }
+    } finally {
+        if (estimateRun === run) {
+            estimateRun = null;
+        }
+    }
+}
+
+/**
+ * Remove the size estimates, stopping any estimate job still running
+ */
+function clearColorEstimates() {
+    if (estimateRun) {
+        estimateRun.abort();
+        estimateRun = null;
+    }
+    colorEstimatesList.innerHTML = '';
+    colorEstimates.classList.add('hidden');
+}
+
+/**
+ * List each colour space with its size and change; picking one selects it in the form
+ */
+function renderColorEstimates(estimates) {
+    const select = document.getElementById('field-colorSpace');
+    colorEstimatesList.innerHTML = '';
+
+    for (const estimate of estimates) {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.colorSpace = estimate.name;
+        button.classList.toggle('selected', select && select.value === estimate.name);
+
+        const name = document.createElement('strong');
+        name.textContent = COLOR_SPACE_LABELS[estimate.name] || estimate.name;
+        const change = document.createElement('small');
+        change.textContent = `${estimate.size} (${estimate.ratio > 0 ? '−' : '+'}${Math.abs(estimate.ratio)}%)`;
+
+        button.append(name, change);
+        item.appendChild(button);
+        colorEstimatesList.appendChild(item);
+    }
+}
+
+/**
+ * Select the colour space whose estimate was clicked
+ */
+function handleEstimatePick(e) {
+    const button = e.target.closest('button[data-color-space]');
+    const select = document.getElementById('field-colorSpace');
+    if (!button || !select) return;
+
+    select.value = button.dataset.colorSpace;
+    colorEstimatesList.querySelectorAll('button')
+        .forEach(entry => entry.classList.toggle('selected', entry === button));
+}
+
+/**
+ * Re-estimate when the compression settings the estimate used change
+ */
+function handleEstimateInputChange(e) {
+    if (currentTool.name !== COLOR_TOOL || selectedFiles.length !== 1) return;
+
+    if (e.target.id === 'field-colorSpace') {
+        colorEstimatesList.querySelectorAll('button')
+            .forEach(entry => entry.classList.toggle('selected', entry.dataset.colorSpace === e.target.value));
+        return;
+    }
+    const compressSwitch = document.getElementById('field-compress');
+    if (e.target === compressSwitch || (e.target === presetSelect && compressSwitch && compressSwitch.checked)) {
+        loadColorEstimates(selectedFiles[0]);
+    }
+}
+
+/**
+ * Follow a background job over Server-Sent Events until it finishes
+ * @param {Function} onUpdate - Called with each job status update
+ * @param {AbortSignal} signal - Stops following the job when aborted
+ * @returns {Promise<Object>} The job result
+ */
+function waitForJob(jobId, onUpdate, signal) {
+    return new Promise((resolve, reject) => {
+        const events = new EventSource(`${API_BASE}/api/jobs/${jobId}/events`);
+
+        signal.addEventListener('abort', () => {
+            events.close();
+            reject(new Error('Cancelled'));
+        });
+
+        events.onmessage = (event) => {
+            const job = JSON.parse(event.data);
+            onUpdate(job);
+
+            if (job.status === 'done') {
+                events.close();
+                resolve(job.result);
+            } else if (job.status === 'failed' || job.status === 'cancelled') {
+                events.close();
+                const error = new Error(job.error || 'Compression failed');
+                error.code = job.code;
+                reject(error);
+            }
+        };
+
+        events.onerror = () => {
+            // EventSource retries on its own unless the stream was closed for good
+            if (events.readyState === EventSource.CLOSED) {
+                reject(new Error('Lost connection to the server'));
+            }
+        };
+    });
+}
+
+/**
+ * Show the combined progress of all running jobs
+ */
+function renderJobProgress(fractions) {
+    const total = fractions.reduce((sum, f) => sum + f, 0);
+    updateProgress((total / fractions.length) * 100);
+}
+
+/**
+ * Show "page X of Y" for the file currently being processed
+ */
+function showPageStatus(index, progress) {
+    currentFileEl.textContent = index + 1;
+    pageStatusEl.textContent = progress.page > 0
+        ? ` · page ${progress.page} of ${progress.totalPages}`
+        : ` · ${progress.totalPages} pages`;
+}
+
+/**
+ * Add the selected preset or saved profile to an upload form
+ */
+function appendQualitySelection(formData) {
+    const [kind, name] = presetSelect.value.split(':');
+    formData.append(kind === 'profile' ? 'profile' : 'preset', name);
+}
+
 /**
  * Update progress indicator
  */
@@ -240,21 +1506,18 @@ async function downloadPDF() {
     if (compressedFiles.length === 0) return;
 
     try {
-        // Download each file
-        for (const fileData of compressedFiles) {
-            const downloadUrl = `${API_BASE}/api/download/${fileData.filename}`;
+        // Several outputs come back as one ZIP of the whole session
+        const downloads = compressedFiles.length > 1
+            ? [{ url: `${API_BASE}/api/sessions/${sessionId}/download`, name: '' }]
+            : [{ url: `${API_BASE}${compressedFiles[0].downloadUrl}`, name: compressedFiles[0].downloadName }];
 
+        for (const download of downloads) {
             const link = document.createElement('a');
-            link.href = downloadUrl;
-            link.download = fileData.filename;
+            link.href = download.url;
+            link.download = download.name;
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
-
-            // Small delay between downloads to avoid browser blocking
-            if (compressedFiles.length > 1) {
-                await new Promise(resolve => setTimeout(resolve, 300));
-            }
         }
 
         // Show success feedback
@@ -319,16 +1582,50 @@ function showError(message) {
 function resetToUpload() {
     selectedFiles = [];
     compressedFiles = [];
+    sessionId = createSessionId();
     fileInput.value = '';
+    pdfPasswordInput.value = '';
+    clearMetadata();
+    clearPageGrid();
+    clearColorEstimates();
+    clearAnalysis();
+    renderPreviews([]);
+    if (currentTool) {
+        renderToolFields(currentTool);
+    }
     updateProgress(0);
+    savingsText.classList.remove('hidden');
+    resultSummary.classList.add('hidden');
+    showSection('upload');
+}
+
+/**
+ * Reset the download button to its icon and the given label
+ */
+function setDownloadLabel(label) {
     downloadBtn.innerHTML = `
     <svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg">
       <path d="M10 3V13M10 13L6 9M10 13L14 9" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
       <path d="M17 13V15C17 16.1046 16.1046 17 15 17H5C3.89543 17 3 16.1046 3 15V13" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
     </svg>
-    Download Compressed PDF
+    ${label}
   `;
-    showSection('upload');
+}
+
+/**
+ * Create a random session ID grouping this batch's outputs for ZIP download
+ */
+function createSessionId() {
+    if (window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+
+    // randomUUID is only available in secure contexts
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
 }
 
 /**
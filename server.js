@@ -6,20 +6,46 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const { pipeline } = require('stream');
 const cors = require('cors');
 const config = require('./config/config');
 const fileManager = require('./services/fileManager');
+const storage = require('./services/storage');
+const ghostscriptEngine = require('./services/ghostscriptEngine');
+const profileManager = require('./services/profileManager');
+const jobQueue = require('./services/jobQueue');
+const sessionManager = require('./services/sessionManager');
+const downloadManager = require('./services/downloadManager');
+const apiKeyManager = require('./services/apiKeyManager');
+const rateLimiter = require('./services/rateLimiter');
+const pdfInspector = require('./services/pdfInspector');
+const pdfConverter = require('./services/pdfConverter');
+const pdfMetadata = require('./services/pdfMetadata');
 const pdfCompressor = require('./services/pdfCompressor');
+const pdfColorConverter = require('./services/pdfColorConverter');
+const pdfAnalyzer = require('./services/pdfAnalyzer');
+const sizeEstimator = require('./services/sizeEstimator');
+const toolRegistry = require('./services/toolRegistry');
+const folderWatcher = require('./services/folderWatcher');
 
 const app = express();
+app.set('trust proxy', config.server.trustProxy);
+
+// Register every tool module; routes and the UI are built from these definitions
+toolRegistry.loadDirectory(path.join(__dirname, 'tools'));
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// API keys and per-client limits; requests without a key (the web UI's) use the anonymous tier
+app.use('/api', (req, res, next) => {
+    authenticateRequest(req, res, next).catch(next);
+});
+
 // Configure multer for file uploads
-const storage = multer.diskStorage({
+const uploadStorage = multer.diskStorage({
     destination: (req, file, cb) => {
         cb(null, config.upload.uploadDir);
     },
@@ -31,7 +57,7 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({
-    storage: storage,
+    storage: uploadStorage,
     limits: {
         fileSize: config.upload.maxFileSize
     }
@@ -42,87 +68,320 @@ const upload = multer({
  */
 
 // Health check endpoint
+// Reports 503 when Ghostscript is missing so monitoring can alert on it
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', message: 'PDF Compression Tool is running' });
+    const ghostscript = ghostscriptEngine.status();
+
+    if (!ghostscript.available) {
+        return res.status(503).json({
+            status: 'degraded',
+            message: 'Ghostscript is not available; PDF processing will fail',
+            ghostscript
+        });
+    }
+
+    res.json({
+        status: ghostscript.supportedVersion ? 'ok' : 'degraded',
+        message: ghostscript.supportedVersion
+            ? 'PDF Compression Tool is running'
+            : `Ghostscript ${ghostscript.version} is older than the supported ${ghostscript.minVersion}`,
+        ghostscript
+    });
 });
 
-// Upload and compress PDF
-app.post('/api/compress', upload.single('pdf'), async (req, res) => {
-    try {
-        // Validate file
-        const validation = fileManager.validateFile(req.file);
-        if (!validation.success) {
-            // Clean up uploaded file if validation fails
-            if (req.file) {
-                await fileManager.deleteFile(req.file.path);
-            }
-            return res.status(400).json({ error: validation.message });
+// List registered PDF tools with their input schemas
+app.get('/api/tools', (req, res) => {
+    res.json({ tools: toolRegistry.list().map(tool => toolRegistry.describe(tool)) });
+});
+
+// Upload files for any registered tool and queue the job
+app.post('/api/tools/:name', limitJobs, (req, res, next) => {
+    const tool = toolRegistry.get(req.params.name);
+    if (!tool) {
+        return res.status(404).json({ error: `Unknown tool "${req.params.name}"` });
+    }
+    upload.array(tool.upload.field, tool.upload.maxFiles)(req, res, (error) => {
+        if (error) {
+            return next(error);
         }
+        handleToolRequest(tool, req, res);
+    });
+});
 
-        const inputPath = req.file.path;
+// Each tool's original endpoint (e.g. /api/compress) works the same as /api/tools/:name
+for (const tool of toolRegistry.list().filter(t => t.route)) {
+    app.post(tool.route, limitJobs, upload.array(tool.upload.field, tool.upload.maxFiles), (req, res) => {
+        handleToolRequest(tool, req, res);
+    });
+}
 
-        // Generate output filename: comp + first 8 chars of original name
-        const originalName = req.file.originalname.replace('.pdf', '');
-        const namePrefix = originalName.substring(0, 8);
-        const timestamp = Date.now();
-        const outputFilename = `comp${namePrefix}-${timestamp}.pdf`;
-        const outputPath = path.join(config.upload.compressedDir, outputFilename);
+// Render page previews for the page editor's grid
+// Queued like a tool so rendering shares the worker pool; each image gets its own download link
+app.post('/api/pages/thumbnails', limitJobs, upload.single('pdf'), (req, res) => {
+    queueFileJob(req, res, {
+        type: 'thumbnails',
+        label: 'Thumbnail',
+        errorMessage: 'Failed to render page previews. Please ensure the file is a valid PDF.',
+        work: async (job, { password }) => {
+            const result = await pdfConverter.thumbnails(req.file.path, config.upload.compressedDir, {
+                dpi: config.pages.thumbnailDpi,
+                maxPages: config.pages.maxThumbnails,
+                password,
+                onProgress: (progress) => jobQueue.setProgress(job, progress),
+                signal: job.signal
+            });
 
-        // Compress the PDF
-        const result = await pdfCompressor.compress(inputPath, outputPath);
+            if (job.signal.aborted) {
+                await Promise.all(result.pages.map(page =>
+                    fileManager.deleteFile(path.join(config.upload.compressedDir, page.filename))));
+                throw job.signal.reason;
+            }
 
-        // Delete original uploaded file
-        await fileManager.deleteFile(inputPath);
+            await fileManager.storeOutputs(result.pages.map(page => page.filename));
+
+            return {
+                totalPages: result.totalPages,
+                pages: result.pages.map((page) => {
+                    const link = downloadManager.issue({ filename: page.filename, downloadName: `page-${page.page}.jpg` });
+                    return { page: page.page, url: link.url, expiresAt: link.expiresAt };
+                })
+            };
+        }
+    });
+});
+
+// Estimate the output size of each colour space for the color tool
+// Samples a few pages rather than converting the whole document; quality fields apply when compress is set
+app.post('/api/color/estimate', limitJobs, upload.single('pdf'), (req, res) => {
+    queueFileJob(req, res, {
+        type: 'color-estimate',
+        label: 'Color estimate',
+        errorMessage: 'Failed to estimate converted sizes. Please ensure the file is a valid PDF.',
+        validate: async (body) => {
+            const compress = body.compress === true || body.compress === 'true';
+            if (!compress) {
+                return { success: true, settings: pdfCompressor.passthroughSettings, compress };
+            }
+            const resolved = await profileManager.resolveSettings(body);
+            return resolved.success ? { success: true, settings: resolved.settings, compress } : resolved;
+        },
+        work: async (job, { password, settings, compress }) => {
+            const result = await sizeEstimator.estimate(req.file.path, pdfColorConverter.estimateVariants(settings), {
+                password,
+                onProgress: (progress) => jobQueue.setProgress(job, progress),
+                signal: job.signal
+            });
+            return { ...result, compressed: compress };
+        }
+    });
+});
+
+// Break down what takes up space in a PDF and estimate each preset's output
+// Queued since the estimates run Ghostscript once per preset on sampled pages
+app.post('/api/analyze', limitJobs, upload.single('pdf'), (req, res) => {
+    queueFileJob(req, res, {
+        type: 'analyze',
+        label: 'Analysis',
+        errorMessage: 'Failed to analyze the PDF. Please ensure the file is a valid PDF.',
+        work: (job, { password }) => pdfAnalyzer.analyze(req.file.path, {
+            password,
+            onProgress: (progress) => jobQueue.setProgress(job, progress),
+            signal: job.signal
+        })
+    });
+});
 
-        // Send response with compression results
-        res.json({
+// Read a PDF's document info and XMP metadata
+// Queued like a tool so Ghostscript runs share the worker pool, job limits and timeout
+app.post('/api/metadata', limitJobs, upload.single('pdf'), (req, res) => {
+    queueFileJob(req, res, {
+        type: 'metadata-read',
+        label: 'Metadata',
+        errorMessage: 'Failed to read metadata. Please ensure the file is a valid PDF.',
+        work: async (job, { password }) => ({
             success: true,
-            filename: outputFilename,
-            originalName: req.file.originalname,
-            ...result
-        });
+            ...await pdfMetadata.read(req.file.path, { password, signal: job.signal })
+        })
+    });
+});
+
+// Get background job status
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(jobQueue.toJSON(job));
+});
+
+// Cancel a queued or running job, killing its Ghostscript process
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!jobQueue.cancel(job)) {
+        return res.status(409).json({ ...jobQueue.toJSON(job), error: 'Job has already finished' });
+    }
+    res.json(jobQueue.toJSON(job));
+});
+
+// Stream job status and page progress as Server-Sent Events
+// A job nobody is streaming any more is cancelled (see jobQueue.removeWatcher)
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
 
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (current) => {
+        res.write(`data: ${JSON.stringify(jobQueue.toJSON(current))}\n\n`);
+    };
+
+    const onUpdate = (updated) => {
+        if (updated.id !== job.id) return;
+        send(updated);
+        if (jobQueue.isFinished(updated)) {
+            cleanup();
+            res.end();
+        }
+    };
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    let watching = false;
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        jobQueue.off('update', onUpdate);
+        if (watching) {
+            watching = false;
+            jobQueue.removeWatcher(job);
+        }
+    };
+
+    send(job);
+    if (jobQueue.isFinished(job)) {
+        cleanup();
+        return res.end();
+    }
+
+    jobQueue.on('update', onUpdate);
+    jobQueue.addWatcher(job);
+    watching = true;
+    req.on('close', cleanup);
+});
+
+// List built-in compression presets
+app.get('/api/presets', (req, res) => {
+    res.json({ presets: profileManager.listPresets() });
+});
+
+// List saved compression profiles
+app.get('/api/profiles', async (req, res) => {
+    try {
+        const profiles = await profileManager.listProfiles();
+        res.json({ profiles });
     } catch (error) {
-        console.error('Compression error:', error);
+        console.error('Profile error:', error);
+        res.status(500).json({ error: 'Failed to load profiles' });
+    }
+});
 
-        // Clean up files on error
-        if (req.file) {
-            await fileManager.deleteFile(req.file.path);
+// Get a saved compression profile
+app.get('/api/profiles/:name', async (req, res) => {
+    try {
+        const profile = await profileManager.getProfile(req.params.name);
+        if (!profile) {
+            return res.status(404).json({ error: 'Profile not found' });
         }
+        res.json({ profile });
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ error: 'Failed to load profile' });
+    }
+});
 
-        // Provide helpful error message
-        let errorMessage = 'Failed to compress PDF. Please ensure the file is a valid PDF.';
+// Create a saved compression profile
+app.post('/api/profiles', async (req, res) => {
+    try {
+        const { name, ...data } = req.body || {};
+        const result = await profileManager.saveProfile(name, data);
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        res.status(result.status).json({ profile: result.profile });
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ error: 'Failed to save profile' });
+    }
+});
 
-        if (error.message.includes('Ghostscript not found')) {
-            errorMessage = 'Ghostscript is not installed. Please install Ghostscript to enable PDF compression. Visit: https://www.ghostscript.com/download/gsdnld.html';
+// Create or replace a saved compression profile
+app.put('/api/profiles/:name', async (req, res) => {
+    try {
+        const result = await profileManager.saveProfile(req.params.name, req.body, { overwrite: true });
+        if (!result.success) {
+            return res.status(result.status).json({ error: result.message });
         }
+        res.status(result.status).json({ profile: result.profile });
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ error: 'Failed to save profile' });
+    }
+});
 
-        res.status(500).json({
-            error: errorMessage,
-            details: error.message
-        });
+// Delete a saved compression profile
+app.delete('/api/profiles/:name', async (req, res) => {
+    try {
+        const deleted = await profileManager.deleteProfile(req.params.name);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ error: 'Failed to delete profile' });
     }
 });
 
-// Download compressed PDF
-app.get('/api/download/:filename', async (req, res) => {
+// Download an output through its signed link, saved under a name based on the upload
+app.get('/api/download/:token', async (req, res) => {
     try {
-        const filename = req.params.filename;
-        const filePath = path.join(config.upload.compressedDir, filename);
+        const redeemed = downloadManager.redeem(req.params.token);
+        if (!redeemed.success) {
+            return res.status(redeemed.status).json({ error: redeemed.message, code: redeemed.code });
+        }
 
-        // Check if file exists
-        const exists = await fileManager.fileExists(filePath);
-        if (!exists) {
-            return res.status(404).json({ error: 'File not found' });
+        // The stored name comes from the server, but storage still refuses keys that aren't plain names
+        const key = redeemed.link.filename;
+        const stored = await storage.stat(key);
+        if (!stored) {
+            return res.status(404).json({ error: 'File not found', code: 'FILE_NOT_FOUND' });
         }
 
-        // Send file for download with clean name
-        res.download(filePath, filename, async (err) => {
+        const stream = await storage.getStream(key);
+        res.set('Cache-Control', 'private, no-store');
+        res.set('Content-Length', String(stored.bytes));
+        res.attachment(redeemed.link.downloadName);
+        pipeline(stream, res, async (err) => {
             if (err) {
                 console.error('Download error:', err);
-            } else {
-                // Delete file after successful download
-                await fileManager.deleteFile(filePath);
+            } else if (redeemed.last) {
+                // Keep the file for retries until the link's last allowed download
+                try {
+                    await storage.delete(key);
+                    console.log(`✓ Deleted file: ${key}`);
+                } catch (error) {
+                    console.error(`Error deleting file ${key}:`, error);
+                }
             }
         });
 
@@ -132,31 +391,458 @@ app.get('/api/download/:filename', async (req, res) => {
     }
 });
 
+// Download every output of a session as a single ZIP, streamed as it is built
+app.get('/api/sessions/:id/download', async (req, res) => {
+    try {
+        const sessionId = req.params.id;
+        if (!sessionManager.isValidId(sessionId)) {
+            return res.status(400).json({ error: 'Invalid session ID' });
+        }
+
+        // Only include outputs that still exist, with unique names inside the archive
+        const entries = [];
+        const usedNames = new Set();
+        for (const output of sessionManager.getOutputs(sessionId.toLowerCase())) {
+            if (!(await storage.exists(output.filename))) continue;
+
+            const downloadName = output.downloadName || output.filename;
+            let name = downloadName;
+            for (let n = 2; usedNames.has(name); n++) {
+                name = downloadName.replace(/(\.\w+)?$/, `-${n}$1`);
+            }
+            usedNames.add(name);
+            // Opened one at a time as the archive reaches it
+            entries.push({ open: () => storage.getStream(output.filename), name });
+        }
+
+        if (entries.length === 0) {
+            return res.status(404).json({ error: 'No files found for this session' });
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        res.attachment(`pdfora-${date}.zip`);
+        await fileManager.streamZip(entries, res);
+
+    } catch (error) {
+        console.error('ZIP download error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to create ZIP archive' });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+/**
+ * Validate an upload for a tool, queue its job and reply with the status URLs
+ * Uploads are deleted if the request is rejected, and once the job finishes
+ */
+async function handleToolRequest(tool, req, res) {
+    const files = req.files || [];
+    const deleteUploads = () => Promise.all(files.map(file => fileManager.deleteFile(file.path)));
+    const { minFiles, maxFiles } = tool.upload;
+
+    try {
+        // Validate every file
+        if (files.length < minFiles) {
+            await deleteUploads();
+            const error = minFiles === 1 ? 'No file uploaded' : `Upload at least ${minFiles} PDFs`;
+            return res.status(400).json({ error });
+        }
+        for (const file of files) {
+            const validation = fileManager.validateFile(file);
+            if (!validation.success) {
+                await deleteUploads();
+                const error = files.length > 1 ? `${file.originalname}: ${validation.message}` : validation.message;
+                return res.status(400).json({ error });
+            }
+        }
+
+        // Check the content really is a PDF, not just its declared type
+        const contentError = await checkPdfContent(files);
+        if (contentError) {
+            await deleteUploads();
+            return res.status(400).json(contentError);
+        }
+
+        // Tool fields, quality settings and the tool's own checks
+        const validation = await toolRegistry.validate(tool, req.body, files);
+        if (!validation.success) {
+            await deleteUploads();
+            const body = { error: validation.message };
+            if (validation.code) {
+                body.code = validation.code;
+            }
+            return res.status(400).json(body);
+        }
+
+        const originalNames = files.map(file => file.originalname);
+        const meta = maxFiles > 1 ? { originalNames } : { originalName: originalNames[0] };
+        const namePrefix = originalNames[0].replace('.pdf', '').substring(0, 8);
+        const sessionId = sessionManager.getSessionId(req);
+
+        // Queue the job; the worker pool limits concurrent Ghostscript runs
+        const job = jobQueue.submit(tool.name, async (job) => {
+            try {
+                const result = await toolRegistry.run(tool, {
+                    ...validation.input,
+                    files,
+                    outputDir: config.upload.compressedDir,
+                    namePrefix,
+                    onProgress: (progress) => jobQueue.setProgress(job, progress),
+                    signal: job.signal
+                });
+
+                const outputs = tool.result === 'files' ? result.files : [result];
+                const previewImages = (result.previews || []).flatMap(preview => [preview.original, preview.output]);
+
+                // Cancelled after Ghostscript finished: the outputs will never be downloaded
+                if (job.signal.aborted) {
+                    await Promise.all([...outputs.map(output => output.filename), ...previewImages].map(filename =>
+                        fileManager.deleteFile(path.join(config.upload.compressedDir, filename))));
+                    throw job.signal.reason;
+                }
+
+                await fileManager.storeOutputs([...outputs.map(output => output.filename), ...previewImages]);
+
+                // Each output gets its own signed link; filenames alone no longer download anything
+                for (const output of outputs) {
+                    output.downloadName = toolRegistry.downloadName(tool, output, meta);
+                    const link = downloadManager.issue(output);
+                    output.downloadUrl = link.url;
+                    output.expiresAt = link.expiresAt;
+                }
+
+                // Before/after page images are linked too, but left out of the session's ZIP
+                if (result.previews) {
+                    result.previews = result.previews.map((preview) => {
+                        const original = downloadManager.issue({ filename: preview.original, downloadName: `original-page-${preview.page}.jpg` });
+                        const output = downloadManager.issue({ filename: preview.output, downloadName: `output-page-${preview.page}.jpg` });
+                        return { page: preview.page, originalUrl: original.url, outputUrl: output.url, expiresAt: output.expiresAt };
+                    });
+                }
+
+                sessionManager.addOutputs(sessionId, outputs.map(output => ({
+                    filename: output.filename,
+                    originalName: meta.originalName,
+                    downloadName: output.downloadName
+                })));
+
+                return {
+                    ...meta,
+                    ...result,
+                    summary: toolRegistry.summarize(tool, result)
+                };
+            } catch (error) {
+                if (job.signal.aborted) {
+                    console.log(`✓ ${tool.label} job ${job.id} stopped: ${error.message}`);
+                } else {
+                    console.error(`${tool.label} error:`, error);
+                }
+                throw toJobError(error, tool.errorMessage);
+            }
+        }, meta, { cleanup: deleteUploads, client: req.client && req.client.id });
+
+        if (!job) {
+            await deleteUploads();
+            return res.status(503).json({ error: 'Server is busy. Please try again in a few minutes.' });
+        }
+        chargeUpload(req, res, files);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`
+        });
+
+    } catch (error) {
+        console.error(`${tool.label} error:`, error);
+        await deleteUploads();
+
+        res.status(500).json({
+            error: `Failed to queue ${tool.label.toLowerCase()} job.`,
+            details: error.message
+        });
+    }
+}
+
+/**
+ * Validate a single uploaded PDF, queue work on it and reply with the status URLs
+ * For endpoints outside the tool registry; the upload is deleted if the request is
+ * rejected, and once the job finishes
+ * @param {Object} options - { type, label, errorMessage, validate(body), work(job, input) }
+ *   validate may reject the request with { success: false, message, code }; otherwise its
+ *   result is passed to work along with the password
+ */
+async function queueFileJob(req, res, { type, label, errorMessage, validate, work }) {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+    const deleteUpload = () => fileManager.deleteFile(req.file.path);
+
+    try {
+        const validation = fileManager.validateFile(req.file);
+        if (!validation.success) {
+            await deleteUpload();
+            return res.status(400).json({ error: validation.message });
+        }
+
+        const contentError = await checkPdfContent([req.file]);
+        if (contentError) {
+            await deleteUpload();
+            return res.status(400).json(contentError);
+        }
+
+        const input = validate ? await validate(req.body) : { success: true };
+        if (!input.success) {
+            await deleteUpload();
+            const body = { error: input.message };
+            if (input.code) {
+                body.code = input.code;
+            }
+            return res.status(400).json(body);
+        }
+
+        const meta = { originalName: req.file.originalname };
+        const password = req.body.password || undefined;
+        const job = jobQueue.submit(type, async (job) => {
+            try {
+                return { ...meta, ...await work(job, { ...input, password }) };
+            } catch (error) {
+                if (!job.signal.aborted) {
+                    console.error(`${label} error:`, error);
+                }
+                throw toJobError(error, errorMessage);
+            }
+        }, meta, { cleanup: deleteUpload, client: req.client && req.client.id });
+
+        if (!job) {
+            await deleteUpload();
+            return res.status(503).json({ error: 'Server is busy. Please try again in a few minutes.' });
+        }
+        chargeUpload(req, res, [req.file]);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`
+        });
+
+    } catch (error) {
+        console.error(`${label} error:`, error);
+        await deleteUpload();
+        res.status(500).json({ error: `Failed to queue ${label.toLowerCase()} job.`, details: error.message });
+    }
+}
+
+/**
+ * Identify the client of an /api request by its API key, or as anonymous by IP address,
+ * and apply its request rate and daily upload limits
+ * Every response carries the client's remaining quota in X-RateLimit-* and X-Quota-Bytes-* headers
+ */
+async function authenticateRequest(req, res, next) {
+    if (!config.auth.enabled || req.path === '/health') {
+        return next();
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const key = req.get('X-API-Key') || (authorization.match(/^Bearer\s+(\S+)$/i) || [])[1];
+
+    if (key) {
+        const record = await apiKeyManager.authenticate(key);
+        if (!record) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return res.status(401).json({ error: 'Invalid or revoked API key', code: 'INVALID_API_KEY' });
+        }
+        req.client = { id: `key:${record.id}`, tier: record.tier, limits: apiKeyManager.limitsFor(record) };
+    } else if (config.auth.allowAnonymous) {
+        req.client = { id: `ip:${req.ip}`, tier: 'anonymous', limits: apiKeyManager.anonymousLimits() };
+    } else {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+            error: 'An API key is required: send it as "Authorization: Bearer <key>" or an X-API-Key header',
+            code: 'API_KEY_REQUIRED'
+        });
+    }
+
+    const { id, limits } = req.client;
+    const rate = rateLimiter.hit(id, limits.requestsPerMinute);
+    res.set({
+        'X-RateLimit-Tier': req.client.tier,
+        'X-RateLimit-Limit': String(rate.limit),
+        'X-RateLimit-Remaining': String(rate.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(rate.reset / 1000))
+    });
+    if (!rate.allowed) {
+        return rejectOverLimit(res, rate.reset, 'RATE_LIMITED',
+            `Too many requests: the limit is ${rate.limit} per minute`);
+    }
+
+    // Uploads that can't fit in today's quota are refused before their body is read;
+    // the bytes are only counted once the upload's job is queued (see chargeUpload)
+    if (req.is('multipart/form-data')) {
+        const length = parseInt(req.get('Content-Length'), 10) || 0;
+        const quota = rateLimiter.checkBytes(id, length, limits.dailyBytes);
+        setQuotaHeaders(res, quota);
+        if (!quota.allowed) {
+            return rejectOverLimit(res, quota.reset, 'DAILY_QUOTA_EXCEEDED',
+                `This upload would go over the daily limit of ${fileManager.formatBytes(quota.limit)} ` +
+                `(${fileManager.formatBytes(quota.remaining)} left today)`);
+        }
+    }
+
+    next();
+}
+
+/**
+ * Count a queued job's uploaded files against the client's daily bytes
+ * Only called once the job is submitted, so rejected and failed-to-queue uploads are free
+ */
+function chargeUpload(req, res, files) {
+    if (!req.client) {
+        return;
+    }
+    const bytes = files.reduce((sum, file) => sum + file.size, 0);
+    setQuotaHeaders(res, rateLimiter.chargeBytes(req.client.id, bytes, req.client.limits.dailyBytes));
+}
+
+/**
+ * Report a client's daily upload quota in response headers
+ */
+function setQuotaHeaders(res, quota) {
+    res.set({
+        'X-Quota-Bytes-Limit': String(quota.limit),
+        'X-Quota-Bytes-Remaining': String(quota.remaining),
+        'X-Quota-Reset': String(Math.ceil(quota.reset / 1000))
+    });
+}
+
+/**
+ * Refuse a job request while the client already has its limit of jobs queued or running
+ * Uploads still in progress count too, so parallel requests can't slip past the limit
+ */
+function limitJobs(req, res, next) {
+    if (!req.client) {
+        return next();
+    }
+
+    const { id, limits } = req.client;
+    const active = jobQueue.countActive(id) + rateLimiter.pendingUploads(id);
+    res.set('X-Jobs-Limit', String(limits.maxConcurrentJobs));
+    if (active >= limits.maxConcurrentJobs) {
+        return rejectOverLimit(res, Date.now() + 5000, 'TOO_MANY_JOBS',
+            `Too many jobs in progress (${active} of ${limits.maxConcurrentJobs} allowed); wait for one to finish`);
+    }
+
+    // Once the response is sent, the job (if any) is queued and counted by the job queue instead
+    res.once('close', rateLimiter.startUpload(id));
+    next();
+}
+
+/**
+ * Reply 429 with a Retry-After header
+ * @param {number} retryAt - When the client may try again, in ms since the epoch
+ */
+function rejectOverLimit(res, retryAt, code, message) {
+    const seconds = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({ error: `${message}. Try again in ${formatWait(seconds)}.`, code, retryAfter: seconds });
+}
+
+/**
+ * Format a wait in seconds as "45 seconds", "12 minutes" or "3 hours"
+ */
+function formatWait(seconds) {
+    if (seconds < 90) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    if (seconds < 90 * 60) return `${Math.round(seconds / 60)} minutes`;
+    return `${Math.round(seconds / 3600)} hours`;
+}
+
+/**
+ * Convert a processing error into a job failure with a helpful message
+ * The original error message is kept as details
+ */
+function toJobError(error, fallbackMessage = 'Failed to compress PDF. Please ensure the file is a valid PDF.') {
+    let errorMessage = error.expose ? error.message : fallbackMessage;
+
+    if (error.message.includes('Ghostscript not found')) {
+        errorMessage = 'Ghostscript is not installed. Please install Ghostscript to enable PDF compression. Visit: https://www.ghostscript.com/download/gsdnld.html';
+    }
+
+    const jobError = new Error(errorMessage);
+    jobError.code = error.code;
+    jobError.details = error.message;
+    return jobError;
+}
+
+/**
+ * Check uploaded files are real PDFs (header, trailer) before queuing them
+ * Returns the error response body for the first bad file, or null if all are fine
+ */
+async function checkPdfContent(files) {
+    for (const file of files) {
+        const check = await pdfInspector.checkStructure(file.path);
+        if (!check.success) {
+            const error = files.length > 1 ? `${file.originalname}: ${check.message}` : check.message;
+            return { error, code: check.code };
+        }
+    }
+    return null;
+}
+
 /**
  * Server initialization
  */
 async function startServer() {
     try {
-        // Initialize storage directories
+        // Initialize working directories and the storage outputs are kept in
         await fileManager.initializeDirectories();
+        console.log(`✓ Storing outputs in ${await storage.initialize()}`);
 
-        // Validate Ghostscript installation
-        const gsInstalled = await pdfCompressor.validateGhostscript();
-        if (!gsInstalled) {
+        // Find Ghostscript once; every job reuses the executable found here
+        const ghostscript = await ghostscriptEngine.initialize();
+        if (!ghostscript.available) {
             console.warn('⚠ WARNING: Ghostscript not detected. PDF compression will not work.');
             console.warn('Please install Ghostscript from: https://www.ghostscript.com/download/gsdnld.html');
         } else {
-            console.log('✓ Ghostscript detected');
+            console.log(`✓ Ghostscript ${ghostscript.version} detected (${ghostscript.path})`);
+            if (!ghostscript.supportedVersion) {
+                console.warn(`⚠ WARNING: Ghostscript ${ghostscript.minVersion} or newer is recommended`);
+            }
+            const missing = ['pdfwrite', 'png16m', 'jpeg'].filter(device => !ghostscript.devices.includes(device));
+            if (missing.length > 0) {
+                console.warn(`⚠ WARNING: Ghostscript is missing devices: ${missing.join(', ')}`);
+            }
         }
 
+        console.log(`✓ ${toolRegistry.list().length} PDF tools registered`);
+
         // Start cleanup scheduler if enabled
         if (config.cleanup.enabled) {
             setInterval(() => {
                 fileManager.cleanupOldFiles();
+                jobQueue.pruneFinished();
+                sessionManager.pruneExpired();
+                downloadManager.pruneExpired();
+                rateLimiter.pruneExpired();
             }, config.cleanup.cleanupInterval);
             console.log('✓ File cleanup scheduler started');
         }
 
+        // Start watch folders if enabled
+        if (config.watch.enabled) {
+            const watching = await folderWatcher.start();
+            if (watching.success) {
+                console.log(`✓ ${watching.message}`);
+            } else {
+                console.warn(`⚠ WARNING: Watch folders not started: ${watching.message}`);
+            }
+        }
+
         // Start server
         app.listen(config.server.port, () => {
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -164,6 +850,7 @@ async function startServer() {
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
             console.log(`📍 URL: http://${config.server.host}:${config.server.port}`);
             console.log(`📁 Upload limit: ${config.upload.maxFileSize / (1024 * 1024)} MB`);
+            console.log(`⚙️  Concurrent jobs: ${config.jobs.maxConcurrent}`);
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
         });
 
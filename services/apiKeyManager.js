@@ -0,0 +1,221 @@
+/**
+ * API Key Manager Service
+ * Issues, revokes and checks API keys, stored hashed in a JSON file
+ * The server only reads the file; "pdfora keys" writes it, and changes are picked up
+ * without a restart
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+
+// pdfora_<id>_<secret>: the id finds the record, the secret is checked against its hash
+const KEY_PATTERN = /^pdfora_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+const NAME_PATTERN = /^[\w .@-]{1,64}$/;
+const LIMIT_NAMES = ['requestsPerMinute', 'maxConcurrentJobs', 'dailyBytes'];
+
+class ApiKeyManager {
+    constructor() {
+        this.settings = config.auth;
+        this.keysFile = config.auth.keysFile;
+        this.keys = null;
+        this.loadedMtime = null;
+        this.loadFailed = false;
+        this.checkedAt = 0;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Find the key record for a presented API key
+     * @param {string} key - Key from the request
+     * @returns {Promise<Object|null>} Record ({ id, name, tier, limits, createdAt }), or null if the key
+     *   is malformed, unknown or revoked
+     */
+    async authenticate(key) {
+        const match = typeof key === 'string' && key.match(KEY_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const keys = await this._load();
+        const record = keys[match[1]];
+        if (!record || record.revokedAt) {
+            return null;
+        }
+
+        const hash = Buffer.from(this._hash(match[2]), 'hex');
+        const stored = Buffer.from(record.hash, 'hex');
+        return hash.length === stored.length && crypto.timingSafeEqual(hash, stored) ? record : null;
+    }
+
+    /**
+     * Limits that apply to a key: its tier's, with the key's own overrides on top
+     * @param {Object} record - Key record
+     * @returns {Object} { requestsPerMinute, maxConcurrentJobs, dailyBytes }
+     */
+    limitsFor(record) {
+        // Keys of a tier since removed from the config fall back to the default tier
+        const tier = this.settings.tiers[record.tier] || this.settings.tiers[this.settings.defaultTier];
+        return { ...tier, ...record.limits };
+    }
+
+    /**
+     * Limits of requests made without a key
+     * @returns {Object} { requestsPerMinute, maxConcurrentJobs, dailyBytes }
+     */
+    anonymousLimits() {
+        return { ...this.settings.tiers.anonymous };
+    }
+
+    /**
+     * List every key, without secrets
+     * @returns {Promise<Array<Object>>} Records, oldest first
+     */
+    async listKeys() {
+        const keys = await this._load();
+        return Object.values(keys)
+            .map(({ hash, ...record }) => record)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Issue a new key
+     * The key itself is only returned here; just its hash is stored
+     * @param {string} name - Who the key is for
+     * @param {Object} options - { tier, limits }: limits override the tier's per key
+     * @returns {Promise<Object>} Result with success status, message, and on success the key and its record
+     */
+    async createKey(name, { tier = this.settings.defaultTier, limits = {} } = {}) {
+        const label = String(name || '').trim();
+        if (!NAME_PATTERN.test(label)) {
+            return { success: false, message: 'Key name must be 1-64 letters, numbers, spaces or ". @ - _"' };
+        }
+
+        const tiers = Object.keys(this.settings.tiers).filter(t => t !== 'anonymous');
+        if (!tiers.includes(tier)) {
+            return { success: false, message: `Tier must be one of: ${tiers.join(', ')}` };
+        }
+
+        for (const [limit, value] of Object.entries(limits)) {
+            if (!LIMIT_NAMES.includes(limit) || !Number.isInteger(value) || value < 1) {
+                return { success: false, message: `${limit} must be a whole number of at least 1` };
+            }
+        }
+
+        return this._update(async (keys) => {
+            let id;
+            do {
+                id = crypto.randomBytes(6).toString('hex');
+            } while (keys[id]);
+            const secret = crypto.randomBytes(32).toString('base64url');
+
+            keys[id] = {
+                id,
+                name: label,
+                tier,
+                limits,
+                createdAt: new Date().toISOString(),
+                revokedAt: null,
+                hash: this._hash(secret)
+            };
+
+            const { hash, ...record } = keys[id];
+            return { success: true, message: `Key ${id} created for ${label}`, key: `pdfora_${id}_${secret}`, record };
+        });
+    }
+
+    /**
+     * Revoke a key; requests using it are refused once the server notices the change
+     * @param {string} id - Key ID (the part after "pdfora_")
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async revokeKey(id) {
+        return this._update(async (keys) => {
+            const record = keys[id];
+            if (!record) {
+                return { success: false, message: `No key with ID "${id}"` };
+            }
+            if (record.revokedAt) {
+                return { success: false, message: `Key ${id} was already revoked` };
+            }
+
+            record.revokedAt = new Date().toISOString();
+            return { success: true, message: `Key ${id} (${record.name}) revoked` };
+        });
+    }
+
+    /**
+     * Load keys from disk, reloading when the file has changed
+     * The file is checked at most once per reloadInterval
+     * @private
+     */
+    async _load() {
+        if (this.keys && Date.now() - this.checkedAt < this.settings.reloadInterval) {
+            return this.keys;
+        }
+        this.checkedAt = Date.now();
+
+        try {
+            const stats = await fs.stat(this.keysFile);
+            if (this.keys && stats.mtimeMs === this.loadedMtime) {
+                return this.keys;
+            }
+            const content = await fs.readFile(this.keysFile, 'utf8');
+            this.keys = JSON.parse(content);
+            this.loadedMtime = stats.mtimeMs;
+            this.loadFailed = false;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.keys = {};
+                this.loadedMtime = null;
+                this.loadFailed = false;
+            } else {
+                this.loadFailed = true;
+                console.error('Error reading API keys:', error.message);
+                // Keep the keys already loaded rather than locking everyone out over a bad write
+                this.keys = this.keys || {};
+            }
+        }
+
+        return this.keys;
+    }
+
+    /**
+     * Apply a mutation and persist the result
+     * Writes are serialized, and always start from the file's current contents
+     * @private
+     */
+    _update(mutate) {
+        const run = this.writeQueue.then(async () => {
+            this.checkedAt = 0;
+            const keys = await this._load();
+            // Writing now would drop every key the file holds
+            if (this.loadFailed) {
+                throw new Error(`Cannot update ${this.keysFile}: it could not be read`);
+            }
+            const result = await mutate(keys);
+
+            if (result.success) {
+                await fs.mkdir(path.dirname(this.keysFile), { recursive: true });
+                await fs.writeFile(this.keysFile, JSON.stringify(keys, null, 2), { mode: 0o600 });
+            }
+
+            return result;
+        });
+
+        // Keep the queue alive even if this write fails
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * SHA-256 of a key's secret part
+     * @private
+     */
+    _hash(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+}
+
+module.exports = new ApiKeyManager();
@@ -0,0 +1,127 @@
+/**
+ * Download Manager Service
+ * Issues opaque, HMAC-signed download links for output files
+ * with an expiry and a download limit
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// <id>.<expiry in base 36>.<signature>
+const TOKEN_PATTERN = /^([A-Za-z0-9_-]{16})\.([0-9a-z]{1,12})\.([A-Za-z0-9_-]{43})$/;
+
+class DownloadManager {
+    constructor() {
+        this.expiry = config.downloads.expiry;
+        this.maxDownloads = config.downloads.maxDownloads;
+        this.secret = config.downloads.secret || crypto.randomBytes(32).toString('hex');
+        this.links = new Map();
+    }
+
+    /**
+     * Create a download link for an output file
+     * @param {Object} output - { filename, downloadName }
+     *   filename: storage key of the output; downloadName: name the browser saves it as
+     * @returns {Object} { token, url, expiresAt, maxDownloads }
+     */
+    issue({ filename, downloadName }) {
+        const id = crypto.randomBytes(12).toString('base64url');
+        const expiresAt = Date.now() + this.expiry;
+        const payload = `${id}.${expiresAt.toString(36)}`;
+        const token = `${payload}.${this._sign(payload)}`;
+
+        this.links.set(id, {
+            filename,
+            downloadName: downloadName || filename,
+            expiresAt,
+            downloads: 0
+        });
+
+        return {
+            token,
+            url: `/api/download/${token}`,
+            expiresAt: new Date(expiresAt).toISOString(),
+            maxDownloads: this.maxDownloads
+        };
+    }
+
+    /**
+     * Check a download token and count the download
+     * @param {string} token - Token from issue()
+     * @returns {Object} Result with success status; on failure an HTTP status, code and message,
+     *   otherwise the link ({ filename, downloadName }) and whether this was its last download
+     */
+    redeem(token) {
+        const match = typeof token === 'string' && token.match(TOKEN_PATTERN);
+        if (!match) {
+            return { success: false, status: 404, code: 'INVALID_LINK', message: 'Download link not found' };
+        }
+
+        const [, id, expiry, signature] = match;
+        if (!this._verify(`${id}.${expiry}`, signature)) {
+            return { success: false, status: 403, code: 'INVALID_LINK', message: 'Download link is not valid' };
+        }
+
+        const link = this.links.get(id);
+        if (parseInt(expiry, 36) <= Date.now()) {
+            this.links.delete(id);
+            return { success: false, status: 410, code: 'LINK_EXPIRED', message: 'This download link has expired' };
+        }
+        if (!link) {
+            return { success: false, status: 404, code: 'INVALID_LINK', message: 'Download link not found' };
+        }
+        if (link.downloads >= this.maxDownloads) {
+            return {
+                success: false,
+                status: 410,
+                code: 'DOWNLOAD_LIMIT_REACHED',
+                message: `This file has already been downloaded ${this.maxDownloads} times`
+            };
+        }
+
+        link.downloads++;
+        return {
+            success: true,
+            link: { filename: link.filename, downloadName: link.downloadName },
+            last: link.downloads >= this.maxDownloads
+        };
+    }
+
+    /**
+     * Forget expired links
+     * @returns {number} Number of links removed
+     */
+    pruneExpired() {
+        const now = Date.now();
+        let count = 0;
+
+        for (const [id, link] of this.links) {
+            if (link.expiresAt <= now) {
+                this.links.delete(id);
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * HMAC of a token payload
+     * @private
+     */
+    _sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    /**
+     * Compare a signature in constant time
+     * @private
+     */
+    _verify(payload, signature) {
+        const expected = Buffer.from(this._sign(payload));
+        const actual = Buffer.from(signature);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+}
+
+module.exports = new DownloadManager();
@@ -4,9 +4,12 @@
  * Designed to be reusable for future PDF tools (merge, split, etc.)
  */
 
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const archiver = require('archiver');
 const config = require('../config/config');
+const storage = require('./storage');
 
 class FileManager {
     constructor() {
@@ -87,7 +90,39 @@ class FileManager {
     }
 
     /**
-     * Clean up old files from upload and compressed directories
+     * Parse a human-readable size such as "10 MB", "500kb" or a plain byte count
+     * @param {string|number} value - Size to parse
+     * @returns {number|null} Size in bytes, or null if the value is not a size
+     */
+    parseBytes(value) {
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(B|BYTES|KB|MB|GB)?$/i);
+        if (!match) return null;
+
+        const units = { B: 0, BYTES: 0, KB: 1, MB: 2, GB: 3 };
+        const exponent = units[(match[2] || 'B').toUpperCase()];
+        const bytes = Math.floor(parseFloat(match[1]) * Math.pow(1024, exponent));
+        return bytes > 0 ? bytes : null;
+    }
+
+    /**
+     * Unique part for output filenames
+     * Jobs run side by side, so a timestamp alone can give two outputs the same name
+     * @returns {string} Timestamp plus random hex, e.g. "1770873453123-9f3a1c2e"
+     */
+    outputStamp() {
+        return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    }
+
+    /**
+     * Move finished outputs from the compressed directory into storage
+     * @param {Array<string>} filenames - Output file names, which become their storage keys
+     */
+    async storeOutputs(filenames) {
+        await Promise.all(filenames.map(filename => storage.put(filename, path.join(this.compressedDir, filename))));
+    }
+
+    /**
+     * Clean up old files from upload and compressed directories and from storage
      * Removes files older than maxFileAge
      */
     async cleanupOldFiles() {
@@ -98,7 +133,10 @@ class FileManager {
             // Clean upload directory
             cleanedCount += await this._cleanDirectory(this.uploadDir, now);
 
-            // Clean compressed directory
+            // Clean stored outputs, wherever the storage driver keeps them
+            cleanedCount += await this._cleanStorage();
+
+            // Clean compressed directory of outputs whose jobs never finished storing them
             cleanedCount += await this._cleanDirectory(this.compressedDir, now);
 
             if (cleanedCount > 0) {
@@ -139,6 +177,18 @@ class FileManager {
         return count;
     }
 
+    /**
+     * Helper method to clean old files from storage
+     * @private
+     */
+    async _cleanStorage() {
+        const keys = await storage.listOlderThan(this.maxFileAge);
+        for (const key of keys) {
+            await storage.delete(key);
+        }
+        return keys.length;
+    }
+
     /**
      * Delete a specific file
      * @param {string} filePath - Path to file to delete
@@ -152,6 +202,78 @@ class FileManager {
         }
     }
 
+    /**
+     * Stream a ZIP archive of files to a writable stream
+     * Entries are read as the archive is written, so nothing is buffered in full
+     * @param {Array<Object>} entries - Files to include: { path, name } for a local file
+     *   or { open, name } where open() resolves to a readable stream (e.g. from storage);
+     *   each one is only opened once the entries before it are written, so a large archive
+     *   holds one stream (and connection) at a time
+     * @param {Stream} destination - Writable stream (e.g. an Express response)
+     * @returns {Promise<number>} Total bytes written once the archive is finished
+     */
+    streamZip(entries, destination) {
+        return new Promise((resolve, reject) => {
+            // PDFs and images are already compressed, so store them as-is
+            const archive = archiver('zip', { store: true });
+            let appended = 0;
+            let written = 0;
+            let stopped = false;
+            let wake = null;
+
+            // Resolves once every entry appended so far has been written
+            const drained = () => (stopped || written === appended
+                ? Promise.resolve()
+                : new Promise((resume) => { wake = resume; }));
+            const stop = () => {
+                stopped = true;
+                if (wake) wake();
+            };
+
+            archive.on('entry', () => {
+                written++;
+                if (wake && written === appended) {
+                    wake();
+                    wake = null;
+                }
+            });
+            archive.on('warning', (error) => {
+                if (error.code !== 'ENOENT') {
+                    stop();
+                    reject(error);
+                }
+            });
+            archive.on('error', (error) => {
+                stop();
+                reject(error);
+            });
+            destination.on('finish', () => resolve(archive.pointer()));
+            destination.on('close', () => {
+                stop();
+                resolve(archive.pointer());
+            });
+
+            archive.pipe(destination);
+            (async () => {
+                for (const entry of entries) {
+                    if (entry.open) {
+                        await drained();
+                        if (stopped) return;
+                        archive.append(await entry.open(), { name: entry.name });
+                    } else {
+                        archive.file(entry.path, { name: entry.name });
+                    }
+                    appended++;
+                }
+                archive.finalize();
+            })().catch((error) => {
+                stop();
+                archive.abort();
+                reject(error);
+            });
+        });
+    }
+
     /**
      * Check if file exists
      * @param {string} filePath - Path to file
@@ -0,0 +1,361 @@
+/**
+ * Folder Watcher Service
+ * Compresses PDFs dropped into watched input folders (e.g. by a scanning station)
+ * Folders are polled rather than watched with fs.watch, which misses events on network shares
+ */
+
+const fs = require('fs').promises;
+const fsConstants = require('fs').constants;
+const path = require('path');
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const jobQueue = require('./jobQueue');
+const pdfCompressor = require('./pdfCompressor');
+const pdfInspector = require('./pdfInspector');
+const profileManager = require('./profileManager');
+
+class FolderWatcher {
+    constructor() {
+        this.settings = config.watch;
+        this.folders = [];
+        this.ledger = null;
+        this.candidates = new Map();
+        this.active = new Set();
+        this.timer = null;
+        this.scanning = false;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Start polling the configured folders
+     * @param {Array<Object>} folders - { input, output, error, preset | profile } entries
+     *   (defaults to config.watch.folders)
+     * @returns {Promise<Object>} Result with success status and message
+     */
+    async start(folders = this.settings.folders) {
+        if (this.timer) {
+            return { success: false, message: 'Folder watcher is already running' };
+        }
+        if (!folders || folders.length === 0) {
+            return { success: false, message: 'No watch folders configured (config.watch.folders)' };
+        }
+
+        const resolved = [];
+        for (const folder of folders) {
+            const validation = await this._resolveFolder(folder);
+            if (!validation.success) {
+                return validation;
+            }
+            resolved.push(validation.folder);
+        }
+
+        this.folders = resolved;
+        await this._loadLedger();
+
+        this.timer = setInterval(() => this.scan(), this.settings.pollInterval);
+        this.scan();
+
+        return { success: true, message: `Watching ${resolved.length} folder${resolved.length === 1 ? '' : 's'}` };
+    }
+
+    /**
+     * Stop polling and wait for files being compressed to finish
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        while (this.active.size > 0 || this.scanning) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        await this.writeQueue;
+    }
+
+    /**
+     * Check every folder once and queue files that have finished writing
+     * @returns {Promise<void>}
+     */
+    async scan() {
+        if (this.scanning) return;
+        this.scanning = true;
+
+        try {
+            for (const folder of this.folders) {
+                await this._scanFolder(folder);
+            }
+        } catch (error) {
+            console.error('Watch folder scan failed:', error.message);
+        } finally {
+            this.scanning = false;
+        }
+    }
+
+    /**
+     * Look for new PDFs in one folder
+     * A file is ready once its size and modification time have not changed for stableTime
+     * @private
+     */
+    async _scanFolder(folder) {
+        let entries;
+        try {
+            entries = await fs.readdir(folder.input, { withFileTypes: true });
+        } catch (error) {
+            console.error(`⚠ Cannot read watch folder ${folder.input}:`, error.message);
+            return;
+        }
+
+        const now = Date.now();
+        const present = new Set();
+        for (const entry of entries) {
+            if (!entry.isFile() || !/\.pdf$/i.test(entry.name) || entry.name.startsWith('.')) continue;
+
+            const inputPath = path.join(folder.input, entry.name);
+            present.add(inputPath);
+            if (this.active.has(inputPath)) continue;
+
+            let stats;
+            try {
+                stats = await fs.stat(inputPath);
+            } catch (error) {
+                continue; // Removed since the directory was listed
+            }
+
+            const key = this._ledgerKey(inputPath, stats);
+            if (this.ledger[key]) continue;
+
+            // Track the file until it stops changing
+            const seen = this.candidates.get(inputPath);
+            if (!seen || seen.key !== key) {
+                this.candidates.set(inputPath, { key, since: now });
+                continue;
+            }
+            if (now - seen.since < this.settings.stableTime) continue;
+
+            this.candidates.delete(inputPath);
+            this._queue(folder, inputPath, key);
+        }
+
+        await this._forgetRemoved(folder, present);
+    }
+
+    /**
+     * Drop ledger entries for files no longer in the input folder, so the ledger stays small
+     * and a file dropped in again later is processed again
+     * @private
+     */
+    async _forgetRemoved(folder, present) {
+        let removed = 0;
+        for (const [key, entry] of Object.entries(this.ledger)) {
+            if (path.dirname(entry.input) === folder.input && !present.has(entry.input)) {
+                delete this.ledger[key];
+                removed++;
+            }
+        }
+        for (const inputPath of this.candidates.keys()) {
+            if (path.dirname(inputPath) === folder.input && !present.has(inputPath)) {
+                this.candidates.delete(inputPath);
+            }
+        }
+
+        if (removed > 0) {
+            await this._save();
+        }
+    }
+
+    /**
+     * Hand a ready file to the job queue, sharing the worker pool with the server
+     * @private
+     */
+    _queue(folder, inputPath, key) {
+        this.active.add(inputPath);
+
+        const job = jobQueue.submit('watch', (job) => this._process(folder, inputPath, key, job), {
+            originalName: path.basename(inputPath)
+        }, {
+            cleanup: () => this.active.delete(inputPath)
+        });
+
+        // Queue full: try again on a later scan
+        if (!job) {
+            this.active.delete(inputPath);
+        }
+    }
+
+    /**
+     * Compress one file into the output folder, or move it to the error folder with a log
+     * @private
+     */
+    async _process(folder, inputPath, key, job) {
+        const name = path.basename(inputPath);
+        // Written under a hidden name first so nothing picks up a half-written output;
+        // the job ID keeps jobs for inputs of the same name apart
+        const partialPath = path.join(folder.output, `.${name}.${job.id}.partial`);
+
+        try {
+            await pdfInspector.assertValid(inputPath);
+
+            const result = await pdfCompressor.compress(inputPath, partialPath, folder.settings, {
+                signal: job.signal
+            });
+            const outputPath = await this._moveUnique(partialPath, folder.output, name);
+
+            await this._record(key, {
+                status: 'done',
+                input: inputPath,
+                output: outputPath,
+                preset: result.preset,
+                originalBytes: result.originalBytes,
+                compressedBytes: result.compressedBytes
+            });
+            console.log(`✓ Watch: ${name} → ${outputPath} (${result.compressionRatio}% smaller)`);
+            return result;
+        } catch (error) {
+            await fs.unlink(partialPath).catch(() => {});
+            const errorPath = await this._fail(folder, inputPath, error);
+            await this._record(key, {
+                status: 'failed',
+                input: inputPath,
+                error: error.message,
+                code: error.code || null,
+                movedTo: errorPath
+            });
+            console.error(`⚠ Watch: ${name} failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a failed input to the error folder and write a log beside it
+     * @private
+     */
+    async _fail(folder, inputPath, error) {
+        try {
+            const errorPath = await this._moveUnique(inputPath, folder.error, path.basename(inputPath));
+
+            const log = [
+                `File: ${path.basename(inputPath)}`,
+                `Source: ${inputPath}`,
+                `Failed at: ${new Date().toISOString()}`,
+                `Code: ${error.code || 'PROCESSING_FAILED'}`,
+                `Error: ${error.message}`,
+                ''
+            ].join('\n');
+            await fs.writeFile(`${errorPath}.log`, log);
+
+            return errorPath;
+        } catch (moveError) {
+            console.error(`⚠ Watch: could not move ${inputPath} to the error folder:`, moveError.message);
+            return null;
+        }
+    }
+
+    /**
+     * Move a file into a directory under the first free name (report.pdf, report-2.pdf, ...)
+     * Names are claimed with a hard link or an exclusive copy, both of which fail rather than
+     * overwrite, so jobs finishing together can't take the same name
+     * @private
+     * @returns {Promise<string>} Path the file was moved to
+     */
+    async _moveUnique(from, directory, name) {
+        const { name: base, ext } = path.parse(name);
+        for (let n = 1; ; n++) {
+            const candidate = path.join(directory, n === 1 ? name : `${base}-${n}${ext}`);
+            try {
+                try {
+                    await fs.link(from, candidate);
+                } catch (error) {
+                    if (error.code === 'EEXIST') throw error;
+                    // Another device, or a file system without hard links
+                    await fs.copyFile(from, candidate, fsConstants.COPYFILE_EXCL);
+                }
+            } catch (error) {
+                if (error.code === 'EEXIST') continue;
+                throw error;
+            }
+
+            await fileManager.deleteFile(from);
+            return candidate;
+        }
+    }
+
+    /**
+     * Check a folder entry, create its output and error folders and resolve its settings
+     * @private
+     */
+    async _resolveFolder(folder) {
+        if (!folder.input || !folder.output) {
+            return { success: false, message: 'Each watch folder needs an input and an output directory' };
+        }
+
+        const input = path.resolve(folder.input);
+        const output = path.resolve(folder.output);
+        const error = path.resolve(folder.error || path.join(folder.output, 'errors'));
+        if (output === input || error === input) {
+            return { success: false, message: `Output and error folders must differ from the input folder (${input})` };
+        }
+
+        // A saved profile, a preset, or custom profile fields (imageResolution, ...) on the entry itself
+        const resolved = await profileManager.resolveSettings(folder);
+        if (!resolved.success) {
+            return { success: false, message: `Watch folder ${input}: ${resolved.message}` };
+        }
+
+        await fs.mkdir(input, { recursive: true });
+        await fs.mkdir(output, { recursive: true });
+        await fs.mkdir(error, { recursive: true });
+
+        return { success: true, folder: { input, output, error, settings: resolved.settings } };
+    }
+
+    /**
+     * Identify a version of a file: a new scan saved under an old name is processed again
+     * @private
+     */
+    _ledgerKey(inputPath, stats) {
+        return `${inputPath}|${stats.size}|${Math.round(stats.mtimeMs)}`;
+    }
+
+    /**
+     * Load the ledger of handled files so a restart doesn't reprocess them
+     * @private
+     */
+    async _loadLedger() {
+        try {
+            this.ledger = JSON.parse(await fs.readFile(this.settings.ledgerFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading watch ledger, starting empty:', error.message);
+            }
+            this.ledger = {};
+        }
+    }
+
+    /**
+     * Record a handled file and persist the ledger
+     * @private
+     */
+    _record(key, entry) {
+        this.ledger[key] = { ...entry, at: new Date().toISOString() };
+        return this._save();
+    }
+
+    /**
+     * Write the ledger to disk
+     * Writes are serialized, and go through a temporary file so a crash can't truncate the ledger
+     * @private
+     */
+    _save() {
+        const run = this.writeQueue.then(async () => {
+            const file = this.settings.ledgerFile;
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(`${file}.tmp`, JSON.stringify(this.ledger, null, 2));
+            await fs.rename(`${file}.tmp`, file);
+        });
+
+        // Keep the queue alive even if this write fails
+        this.writeQueue = run.catch((error) => console.error('Error saving watch ledger:', error.message));
+        return this.writeQueue;
+    }
+}
+
+module.exports = new FolderWatcher();
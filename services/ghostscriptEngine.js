@@ -0,0 +1,359 @@
+/**
+ * Ghostscript Engine
+ * Finds the Ghostscript executable once, records what it can do and runs it
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+const NOT_FOUND_MESSAGE =
+    'Ghostscript not found. Please install Ghostscript and ensure it is in your PATH. ' +
+    'Visit https://www.ghostscript.com/download/gsdnld.html';
+
+// Spawn errors meaning "this candidate is not a usable binary", not "this job failed"
+const MISSING_BINARY_CODES = ['ENOENT', 'EACCES', 'ENOTDIR'];
+
+class GhostscriptEngine {
+    constructor() {
+        this.settings = config.ghostscript;
+        this.executable = null;
+        this.version = null;
+        this.devices = [];
+        this.features = {};
+        this.error = null;
+        this.checkedAt = null;
+        this._discovery = null;
+    }
+
+    /**
+     * Find Ghostscript and record its version, devices and features
+     * Runs once; later calls return the same discovery
+     * @returns {Promise<Object>} Engine status (see status())
+     */
+    initialize() {
+        if (!this._discovery) {
+            this._discovery = this._discover();
+        }
+        return this._discovery;
+    }
+
+    /**
+     * Whether a usable Ghostscript was found
+     * @returns {boolean} True if Ghostscript can run jobs
+     */
+    isAvailable() {
+        return Boolean(this.executable);
+    }
+
+    /**
+     * Whether the installed Ghostscript supports a feature
+     * @param {string} name - Feature name (see _detectFeatures)
+     * @returns {boolean} True if supported
+     */
+    supports(name) {
+        return Boolean(this.features[name]);
+    }
+
+    /**
+     * Engine details for health checks
+     * @returns {Object} Availability, path, version, devices and features
+     */
+    status() {
+        return {
+            available: this.isAvailable(),
+            path: this.executable,
+            version: this.version,
+            minVersion: this.settings.minVersion,
+            supportedVersion: this.version ? this._compareVersions(this.version, this.settings.minVersion) >= 0 : false,
+            devices: this.devices,
+            features: this.features,
+            error: this.error,
+            checkedAt: this.checkedAt ? new Date(this.checkedAt).toISOString() : null
+        };
+    }
+
+    /**
+     * Run Ghostscript with the discovered executable
+     * A non-zero exit is a processing failure and is never retried with another binary
+     * @param {Array<string>} args - Ghostscript arguments
+     * @param {Object} options - { onLine(line), signal }
+     *   onLine is called for each stdout/stderr line; aborting signal kills the process
+     *   and deletes its partial output
+     * @returns {Promise<string>} Captured stdout
+     * @throws {Error} With code GHOSTSCRIPT_NOT_FOUND, the signal's abort reason,
+     *   or exitCode and stderr when Ghostscript fails
+     */
+    async run(args, { onLine, signal } = {}) {
+        await this.initialize();
+        if (!this.executable) {
+            throw this._notFoundError();
+        }
+        if (signal && signal.aborted) {
+            throw signal.reason;
+        }
+
+        try {
+            const { code, stdout, stderr } = await this._spawn(this.executable, args, onLine, signal);
+            if (code !== 0) {
+                const error = new Error(`Ghostscript exited with code ${code}: ${stderr}`);
+                error.exitCode = code;
+                error.stderr = stderr;
+                throw error;
+            }
+            return stdout;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                await this._removeOutput(args);
+                throw signal.reason instanceof Error ? signal.reason : error;
+            }
+            // The binary disappeared since startup (e.g. uninstalled); look again next time
+            if (MISSING_BINARY_CODES.includes(error.code)) {
+                this._discovery = null;
+                this.executable = null;
+                this.error = error.message;
+                throw this._notFoundError();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Delete what a killed process wrote to its -sOutputFile (every page for %d patterns)
+     * @private
+     */
+    async _removeOutput(args) {
+        const output = args.find(arg => arg.startsWith('-sOutputFile='));
+        if (!output) return;
+
+        const outputPath = output.slice('-sOutputFile='.length);
+        const directory = path.dirname(outputPath);
+        const base = path.basename(outputPath);
+
+        try {
+            if (!/%\d*d/.test(base)) {
+                await fs.promises.unlink(outputPath);
+                return;
+            }
+
+            const [before, after] = base.split(/%\d*d/);
+            const pages = (await fs.promises.readdir(directory))
+                .filter(name => name.startsWith(before) && name.endsWith(after)
+                    && /^\d+$/.test(name.slice(before.length, name.length - after.length)));
+            await Promise.all(pages.map(name => fs.promises.unlink(path.join(directory, name))));
+        } catch (error) {
+            // Nothing was written yet
+        }
+    }
+
+    /**
+     * Try each candidate until one reports a version
+     * @private
+     */
+    async _discover() {
+        this.executable = null;
+        this.version = null;
+        this.devices = [];
+        this.features = {};
+        this.error = null;
+
+        for (const candidate of this._candidates()) {
+            let result;
+            try {
+                result = await this._spawn(candidate, ['--version']);
+            } catch (error) {
+                if (MISSING_BINARY_CODES.includes(error.code)) {
+                    continue;
+                }
+                this.error = `${candidate}: ${error.message}`;
+                continue;
+            }
+
+            const version = result.stdout.trim().match(/^\d+\.\d+(\.\d+)?/);
+            if (result.code !== 0 || !version) {
+                this.error = `${candidate} did not report a Ghostscript version`;
+                continue;
+            }
+
+            this.executable = candidate;
+            this.version = version[0];
+            this.devices = await this._listDevices(candidate);
+            this.features = this._detectFeatures(this.version, this.devices);
+            this.error = null;
+            break;
+        }
+
+        if (!this.executable && !this.error) {
+            this.error = 'No Ghostscript executable found';
+        }
+        this.checkedAt = Date.now();
+        return this.status();
+    }
+
+    /**
+     * Executables to try, in order: configured path, PATH commands, then Windows install folders
+     * @private
+     */
+    _candidates() {
+        const candidates = [];
+
+        if (config.compression.ghostscriptPath) {
+            candidates.push(config.compression.ghostscriptPath);
+        }
+
+        candidates.push('gs', 'gswin64c', 'gswin32c');
+
+        if (process.platform === 'win32') {
+            const commonPaths = [
+                'C:\\Program Files\\gs',
+                'C:\\Program Files (x86)\\gs',
+                process.env.ProgramFiles + '\\gs',
+                process.env['ProgramFiles(x86)'] + '\\gs'
+            ];
+
+            for (const basePath of commonPaths) {
+                try {
+                    if (!fs.existsSync(basePath)) continue;
+                    // Newest version first (folders are named like gs10.02.1)
+                    const versions = fs.readdirSync(basePath).sort((a, b) =>
+                        this._compareVersions(b.replace(/^gs/, ''), a.replace(/^gs/, '')));
+                    for (const version of versions) {
+                        const binPath = path.join(basePath, version, 'bin');
+                        candidates.push(path.join(binPath, 'gswin64c.exe'), path.join(binPath, 'gswin32c.exe'));
+                    }
+                } catch (err) {
+                    // Ignore errors reading directories
+                }
+            }
+        }
+
+        return [...new Set(candidates)];
+    }
+
+    /**
+     * Read the output devices from `gs -h`
+     * @private
+     */
+    async _listDevices(executable) {
+        try {
+            const { stdout } = await this._spawn(executable, ['-h']);
+            const section = stdout.match(/Available devices:\s*\n((?:[ \t]+.*\n?)+)/);
+            return section ? section[1].trim().split(/\s+/).sort() : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Features the rest of the app checks before using newer Ghostscript options
+     * @private
+     */
+    _detectFeatures(version, devices) {
+        const atLeast = (minimum) => this._compareVersions(version, minimum) >= 0;
+        return {
+            pdfwrite: devices.includes('pdfwrite'),
+            png: devices.includes('png16m'),
+            jpeg: devices.includes('jpeg'),
+            // --permit-file-read arrived with the SAFER rework in 9.50
+            permitFileRead: atLeast('9.50'),
+            // PDF/A-2 and PDF/A-3 output from pdfwrite
+            pdfa: devices.includes('pdfwrite') && atLeast('9.10'),
+            // -dOmitInfoDate and -dOmitXMP, used to scrub metadata
+            omitMetadata: devices.includes('pdfwrite') && atLeast('9.56'),
+            // .setfillconstantalpha, used for translucent watermarks
+            fillAlpha: atLeast('9.53'),
+            // The C-based PDF interpreter became the default in 10.0
+            newInterpreter: atLeast('10.0')
+        };
+    }
+
+    /**
+     * Compare dotted version strings numerically
+     * @private
+     */
+    _compareVersions(a, b) {
+        const left = String(a).split('.').map(n => parseInt(n, 10) || 0);
+        const right = String(b).split('.').map(n => parseInt(n, 10) || 0);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (left[i] || 0) - (right[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    /**
+     * Spawn an executable and collect its output
+     * Resolves with the exit code; rejects if the process could not start, or once it
+     * has exited after signal was aborted
+     * @private
+     */
+    _spawn(command, args, onLine, signal) {
+        return new Promise((resolve, reject) => {
+            const gs = spawn(command, args, { signal });
+
+            let stdout = '';
+            let stderr = '';
+
+            // Ghostscript reports "Page N" as it goes; split output into lines for listeners
+            const lineReader = () => {
+                let buffer = '';
+                return (data) => {
+                    if (!onLine) return;
+                    buffer += data.toString();
+                    const lines = buffer.split(/\r?\n/);
+                    buffer = lines.pop();
+                    lines.forEach(line => onLine(line.trim()));
+                };
+            };
+            const readStdoutLine = lineReader();
+            const readStderrLine = lineReader();
+
+            gs.stdout.on('data', (data) => {
+                stdout += data.toString();
+                readStdoutLine(data);
+            });
+
+            gs.stderr.on('data', (data) => {
+                stderr += data.toString();
+                readStderrLine(data);
+            });
+
+            // 'error' (failed to start) and 'close' can both fire; settle once.
+            // An abort is only reported after exit so no more output gets written
+            let settled = false;
+            let abortError = null;
+            gs.on('error', (error) => {
+                if (error.name === 'AbortError') {
+                    abortError = error;
+                    return;
+                }
+                if (settled) return;
+                settled = true;
+                reject(error);
+            });
+
+            gs.on('close', (code) => {
+                if (settled) return;
+                settled = true;
+                if (abortError) {
+                    reject(abortError);
+                } else {
+                    resolve({ code, stdout, stderr });
+                }
+            });
+        });
+    }
+
+    /**
+     * Error for a missing Ghostscript installation
+     * @private
+     */
+    _notFoundError() {
+        const error = new Error(NOT_FOUND_MESSAGE);
+        error.code = 'GHOSTSCRIPT_NOT_FOUND';
+        return error;
+    }
+}
+
+module.exports = new GhostscriptEngine();
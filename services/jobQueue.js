@@ -0,0 +1,318 @@
+/**
+ * Job Queue Service
+ * Runs PDF operations in the background with a bounded worker pool
+ * so only a configured number of Ghostscript processes run at once
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config/config');
+
+class JobQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.maxConcurrent = config.jobs.maxConcurrent;
+        this.maxQueued = config.jobs.maxQueued;
+        this.retention = config.jobs.retention;
+        this.timeout = config.jobs.timeout;
+        this.disconnectGrace = config.jobs.disconnectGrace;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+
+        // Every open progress stream listens for updates
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Submit a job for background processing
+     * @param {string} type - Operation name (e.g. 'compress')
+     * @param {Function} handler - Async function receiving the job and returning its result
+     * @param {Object} meta - Extra details exposed with the job status
+     * @param {Object} options - { cleanup, client }: cleanup is called once the job ends for any
+     *   reason, including cancellation before it started; client identifies who submitted it,
+     *   for per-client job limits
+     * @returns {Object|null} The queued job, or null if the queue is full
+     */
+    submit(type, handler, meta = {}, { cleanup, client = null } = {}) {
+        if (this.pending.length >= this.maxQueued) {
+            return null;
+        }
+
+        // Handlers pass job.signal on to Ghostscript so cancelling kills the process
+        const controller = new AbortController();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            meta,
+            progress: null,
+            result: null,
+            error: null,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            handler,
+            cleanup,
+            client,
+            controller,
+            signal: controller.signal,
+            timer: null,
+            watchers: 0,
+            abandonTimer: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pending.push(job);
+        this._next();
+
+        return job;
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} id - Job ID
+     * @returns {Object|null} Job or null if unknown
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Record progress for a running job and notify listeners
+     * @param {Object} job - Job object
+     * @param {Object} progress - { page, totalPages }
+     */
+    setProgress(job, { page, totalPages }) {
+        job.progress = {
+            page,
+            totalPages: totalPages || null,
+            percent: totalPages ? Math.min(100, Math.round((page / totalPages) * 100)) : null
+        };
+        this.emit('update', job);
+    }
+
+    /**
+     * Whether a job has reached a final state
+     * @param {Object} job - Job object
+     * @returns {boolean} True if the job is done or failed
+     */
+    isFinished(job) {
+        return job.status === 'done' || job.status === 'failed' || job.status === 'cancelled';
+    }
+
+    /**
+     * Cancel a queued or running job
+     * A running job's Ghostscript process is killed and the job ends as 'cancelled'
+     * @param {Object} job - Job object
+     * @param {string} reason - Why the job was cancelled, shown as its error
+     * @returns {boolean} True if the job was cancelled, false if it had already finished
+     */
+    cancel(job, reason = 'Cancelled by the user') {
+        if (this.isFinished(job) || job.signal.aborted) {
+            return false;
+        }
+
+        const error = new Error(reason);
+        error.code = 'JOB_CANCELLED';
+        error.expose = true;
+
+        if (job.status === 'queued') {
+            this.pending.splice(this.pending.indexOf(job), 1);
+            job.error = { message: error.message, code: error.code };
+            job.status = 'cancelled';
+            job.controller.abort(error);
+            this._finish(job);
+            return true;
+        }
+
+        job.controller.abort(error);
+        return true;
+    }
+
+    /**
+     * Note that a client is following a job (e.g. an open progress stream)
+     * @param {Object} job - Job object
+     */
+    addWatcher(job) {
+        job.watchers++;
+        clearTimeout(job.abandonTimer);
+        job.abandonTimer = null;
+    }
+
+    /**
+     * Note that a client stopped following a job
+     * Once nobody has followed an unfinished job for the grace period, it is cancelled;
+     * the grace period lets a dropped stream reconnect
+     * @param {Object} job - Job object
+     */
+    removeWatcher(job) {
+        job.watchers = Math.max(0, job.watchers - 1);
+        if (job.watchers > 0 || this.isFinished(job)) {
+            return;
+        }
+
+        clearTimeout(job.abandonTimer);
+        job.abandonTimer = setTimeout(() => {
+            job.abandonTimer = null;
+            if (job.watchers === 0 && this.cancel(job, 'Cancelled because the client disconnected')) {
+                console.log(`✓ Cancelled job ${job.id}: client disconnected`);
+            }
+        }, this.disconnectGrace);
+    }
+
+    /**
+     * Public view of a job for API responses
+     * @param {Object} job - Job object
+     * @returns {Object} Serializable job status
+     */
+    toJSON(job) {
+        const view = {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            ...job.meta,
+            createdAt: new Date(job.createdAt).toISOString()
+        };
+
+        if (job.status === 'queued') {
+            view.position = this.pending.indexOf(job) + 1;
+        }
+        if (job.progress) {
+            view.progress = job.progress;
+        }
+        if (job.startedAt) {
+            view.startedAt = new Date(job.startedAt).toISOString();
+        }
+        if (job.finishedAt) {
+            view.finishedAt = new Date(job.finishedAt).toISOString();
+        }
+        if (job.status === 'done') {
+            view.result = job.result;
+        }
+        if (job.status === 'failed' || job.status === 'cancelled') {
+            view.error = job.error.message;
+            if (job.error.code) {
+                view.code = job.error.code;
+            }
+            if (job.error.details) {
+                view.details = job.error.details;
+            }
+        }
+
+        return view;
+    }
+
+    /**
+     * Count a client's jobs that are queued or running
+     * @param {string} client - Client identifier given to submit()
+     * @returns {number} Unfinished jobs
+     */
+    countActive(client) {
+        let count = 0;
+        for (const job of this.jobs.values()) {
+            if (job.client === client && !this.isFinished(job)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Forget finished jobs older than the retention period
+     * @returns {number} Number of jobs removed
+     */
+    pruneFinished() {
+        const cutoff = Date.now() - this.retention;
+        let count = 0;
+
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && job.finishedAt < cutoff) {
+                this.jobs.delete(id);
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Start queued jobs while worker slots are free
+     * @private
+     */
+    _next() {
+        while (this.running < this.maxConcurrent && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this._run(job);
+        }
+    }
+
+    /**
+     * Run a single job and record its outcome
+     * @private
+     */
+    async _run(job) {
+        this.running++;
+        job.status = 'running';
+        job.startedAt = Date.now();
+        this.emit('update', job);
+
+        // Wall-clock limit so a runaway Ghostscript process can't hold a worker forever
+        job.timer = setTimeout(() => {
+            const error = new Error(`Processing took longer than ${this._formatDuration(this.timeout)} and was stopped`);
+            error.code = 'JOB_TIMEOUT';
+            error.expose = true;
+            job.controller.abort(error);
+        }, this.timeout);
+
+        try {
+            const result = await job.handler(job);
+            if (job.signal.aborted) {
+                throw job.signal.reason;
+            }
+            job.result = result;
+            job.status = 'done';
+        } catch (error) {
+            job.error = { message: error.message, code: error.code, details: error.details };
+            job.status = job.signal.aborted && job.signal.reason.code === 'JOB_CANCELLED' ? 'cancelled' : 'failed';
+        } finally {
+            this.running--;
+            await this._finish(job);
+            this._next();
+        }
+    }
+
+    /**
+     * Describe a duration in whole minutes, or seconds if shorter
+     * @private
+     */
+    _formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        const [value, unit] = seconds % 60 === 0 ? [seconds / 60, 'minute'] : [seconds, 'second'];
+        return `${value} ${unit}${value === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Record that a job ended, release its resources and notify listeners
+     * @private
+     */
+    async _finish(job) {
+        clearTimeout(job.timer);
+        clearTimeout(job.abandonTimer);
+        job.finishedAt = Date.now();
+        job.handler = null;
+
+        if (job.cleanup) {
+            try {
+                await job.cleanup(job);
+            } catch (error) {
+                console.error(`Cleanup failed for job ${job.id}:`, error.message);
+            }
+            job.cleanup = null;
+        }
+
+        this.emit('update', job);
+    }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,337 @@
+/**
+ * PDF Analyzer Service
+ * Breaks down what takes up space in a PDF (images, fonts, attachments, metadata)
+ * and estimates the compressed size for each preset
+ */
+
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const ghostscriptEngine = require('./ghostscriptEngine');
+const pdfCompressor = require('./pdfCompressor');
+const pdfInspector = require('./pdfInspector');
+const pdfMetadata = require('./pdfMetadata');
+const profileManager = require('./profileManager');
+const sizeEstimator = require('./sizeEstimator');
+
+// Readable names of image compression filters; the last filter of a chain is the image codec
+const ENCODINGS = {
+    DCTDecode: 'JPEG',
+    JPXDecode: 'JPEG 2000',
+    JBIG2Decode: 'JBIG2',
+    CCITTFaxDecode: 'CCITT fax',
+    FlateDecode: 'Flate',
+    LZWDecode: 'LZW',
+    RunLengthDecode: 'Run-length'
+};
+
+// Deepest form XObject nesting searched for images and fonts
+const MAX_FORM_DEPTH = 3;
+
+class PDFAnalyzer {
+    constructor() {
+        this.settings = config.analyze;
+    }
+
+    /**
+     * Analyze a PDF and estimate its size after each preset
+     * @param {string} filePath - Path to PDF
+     * @param {Object} options - { password, onProgress, signal }; progress covers the estimates,
+     *   which take most of the time
+     * @returns {Promise<Object>} { pageCount, version, encrypted, bytes, size, breakdown, images,
+     *   fonts, attachments, metadata, estimates }
+     */
+    async analyze(filePath, { password, onProgress, signal } = {}) {
+        const inspection = await pdfInspector.assertValid(filePath, { password, signal });
+
+        try {
+            const [resources, metadata, size] = await Promise.all([
+                this._readResources(filePath, { password, signal }),
+                pdfMetadata.read(filePath, { password, signal }),
+                fileManager.getFileSize(filePath)
+            ]);
+
+            const images = this._summarizeImages(resources.images, resources.pageSizes);
+            const fonts = this._summarizeFonts(resources.fonts);
+            const attachments = {
+                count: resources.attachments.length,
+                bytes: resources.attachments.reduce((sum, file) => sum + file.bytes, 0),
+                items: resources.attachments
+            };
+            const metadataBytes = metadata.xmp ? metadata.xmp.bytes : 0;
+
+            const estimates = await this.estimatePresets(filePath, {
+                totalPages: inspection.pageCount,
+                password,
+                onProgress,
+                signal
+            });
+
+            return {
+                pageCount: inspection.pageCount,
+                version: inspection.version,
+                encrypted: inspection.encrypted,
+                bytes: size.bytes,
+                size: size.formatted,
+                breakdown: this._breakdown(size.bytes, {
+                    images: images.bytes,
+                    fonts: fonts.bytes,
+                    attachments: attachments.bytes,
+                    metadata: metadataBytes
+                }),
+                images,
+                fonts,
+                attachments,
+                metadata: { info: metadata.info, xmpBytes: metadataBytes },
+                estimates
+            };
+        } catch (error) {
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError('Analysis failed', error);
+        }
+    }
+
+    /**
+     * Estimate the output of every built-in preset from a sample of pages
+     * @param {string} filePath - Path to PDF
+     * @param {Object} options - { totalPages, password, onProgress, signal }
+     * @returns {Promise<Object>} { sampledPages, exact, presets }: presets are sizeEstimator estimates
+     *   that also say whether compressing would keep the original because the output isn't smaller
+     */
+    async estimatePresets(filePath, options) {
+        const variants = [];
+        for (const preset of profileManager.listPresets()) {
+            const resolved = await profileManager.resolveSettings({ preset: preset.name });
+            variants.push({ name: preset.name, settings: resolved.settings });
+        }
+
+        const result = await sizeEstimator.estimate(filePath, variants, options);
+        return {
+            sampledPages: result.sampledPages,
+            exact: result.exact,
+            presets: result.estimates.map(estimate => ({
+                ...estimate,
+                keptOriginal: estimate.bytes >= result.originalBytes
+            }))
+        };
+    }
+
+    /**
+     * Walk every page's resources with Ghostscript
+     * Prints "Page n width height", "Image page width height bpc length colorspace filter",
+     * "Font page subtype length name" (length -1 when not embedded) and
+     * "Attachment length name" lines
+     * @private
+     */
+    async _readResources(filePath, { password, signal }) {
+        const psPath = filePath.replace(/\\/g, '/').replace(/([()])/g, '\\$1');
+        const output = await pdfCompressor.executeGhostscript([
+            '-q',
+            '-dNODISPLAY',
+            '-dSAFER',
+            ...(ghostscriptEngine.supports('permitFileRead') ? [`--permit-file-read=${filePath}`] : []),
+            '-dBATCH',
+            '-dNOPAUSE',
+            ...pdfCompressor.passwordArgs(password),
+            '-c',
+            this._resourceQuery(psPath)
+        ], { signal });
+
+        const resources = { pageSizes: new Map(), images: [], fonts: [], attachments: [] };
+        for (const line of output.split(/\r?\n/)) {
+            let match = line.match(/^Page (\d+) ([\d.]+) ([\d.]+)$/);
+            if (match) {
+                resources.pageSizes.set(Number(match[1]), { width: Number(match[2]), height: Number(match[3]) });
+                continue;
+            }
+
+            match = line.match(/^Image (\d+) (\d+) (\d+) (\d+) (\d+) \/(\S+) (.*)$/);
+            if (match) {
+                const filters = [...match[7].matchAll(/\/(\w+)/g)].map(filter => filter[1]);
+                resources.images.push({
+                    page: Number(match[1]),
+                    width: Number(match[2]),
+                    height: Number(match[3]),
+                    bitsPerComponent: Number(match[4]),
+                    bytes: Number(match[5]),
+                    colorSpace: match[6],
+                    filters
+                });
+                continue;
+            }
+
+            match = line.match(/^Font (\d+) \/(\S+) (-?\d+) \/?(.*)$/);
+            if (match) {
+                resources.fonts.push({
+                    page: Number(match[1]),
+                    type: match[2],
+                    bytes: Number(match[3]),
+                    name: match[4]
+                });
+                continue;
+            }
+
+            match = line.match(/^Attachment (\d+) (.*)$/);
+            if (match) {
+                resources.attachments.push({
+                    name: String(pdfMetadata.parsePostscriptValue(match[2]) || 'unnamed'),
+                    bytes: Number(match[1]),
+                    size: fileManager.formatBytes(Number(match[1]))
+                });
+            }
+        }
+        return resources;
+    }
+
+    /**
+     * PostScript walking pages, their form XObjects and the embedded files name tree
+     * The procedures are defined in userdict before the PDF interpreter starts
+     * @private
+     */
+    _resourceQuery(psPath) {
+        const number = key => `dup /${key} knownoget { =only } { (0) print } ifelse ( ) print`;
+        return [
+            // <page> <image> PdforaImage <page>
+            '/PdforaImage {',
+            '(Image ) print 1 index =only ( ) print',
+            number('Width'), number('Height'), number('BitsPerComponent'), number('Length'),
+            'dup /ColorSpace knownoget { dup type /arraytype eq { 0 oget } if ==only } { (/None) print } ifelse ( ) print',
+            '/Filter knownoget { ==only } { ([]) print } ifelse (\\n) print',
+            '} def',
+
+            // <page> <font> PdforaFont <page>
+            '/PdforaFont {',
+            '(Font ) print 1 index =only ( ) print',
+            'dup /Subtype knownoget { ==only } { (/Unknown) print } ifelse ( ) print',
+            'dup dup /DescendantFonts knownoget { exch pop 0 oget } if',
+            '/FontDescriptor knownoget {',
+            'dup /FontFile knownoget { true } { dup /FontFile2 knownoget { true } { dup /FontFile3 knownoget } ifelse } ifelse',
+            '{ exch pop /Length knownoget not { 0 } if } { pop -1 } ifelse',
+            '} { -1 } ifelse =only ( ) print',
+            '/BaseFont knownoget { ==only } { (/Unnamed) print } ifelse (\\n) print',
+            '} def',
+
+            // <page> <resources> <depth> PdforaScan <page>
+            '/PdforaScan {',
+            '2 dict begin /depth exch def /res exch def',
+            'res /XObject knownoget { { exch pop',
+            'dup /Subtype knownoget not { /None } if',
+            `dup /Image eq { pop PdforaImage } { /Form eq depth ${MAX_FORM_DEPTH} lt and`,
+            '{ /Resources knownoget { depth 1 add PdforaScan } if } { pop } ifelse } ifelse',
+            '} forall } if',
+            'res /Font knownoget { { exch pop PdforaFont } forall } if',
+            'end',
+            '} def',
+
+            // <names tree node> PdforaFiles -
+            '/PdforaFiles {',
+            'dup /Names knownoget { 0 2 2 index length 1 sub { 1 index exch 1 add oget',
+            '(Attachment ) print',
+            'dup /EF knownoget { /F knownoget { /Length knownoget not { 0 } if } { 0 } ifelse } { 0 } ifelse =only ( ) print',
+            'dup /UF knownoget not { dup /F knownoget not { () } if } if ==only pop (\\n) print',
+            '} for pop } if',
+            'dup /Kids knownoget { 0 1 2 index length 1 sub { 1 index exch oget PdforaFiles } for pop } if pop',
+            '} def',
+
+            `(${psPath}) (r) file runpdfbegin`,
+            'Trailer /Root oget /Names knownoget { /EmbeddedFiles knownoget { PdforaFiles } if } if',
+            '1 1 pdfpagecount {',
+            '(Page ) print dup =only ( ) print',
+            'dup pdfgetpage dup /MediaBox pget { aload pop 3 -1 roll sub abs 3 1 roll exch sub abs exch } { 612 792 } ifelse',
+            'exch =only ( ) print =',
+            '/Resources pget { 0 PdforaScan } if pop',
+            '} for quit'
+        ].join(' ');
+    }
+
+    /**
+     * Images listed once each, largest first, with the lowest resolution they can be shown at
+     * An image used on several pages is listed once; identical images are only told apart by
+     * their dimensions, encoding and stream length
+     * @private
+     */
+    _summarizeImages(found, pageSizes) {
+        const unique = new Map();
+        for (const image of found) {
+            const key = [image.width, image.height, image.bitsPerComponent, image.bytes, image.colorSpace, image.filters.join()].join(':');
+            const entry = unique.get(key);
+            if (entry) {
+                entry.pages.push(image.page);
+                continue;
+            }
+
+            const codec = image.filters[image.filters.length - 1];
+            const page = pageSizes.get(image.page) || { width: 612, height: 792 };
+            unique.set(key, {
+                width: image.width,
+                height: image.height,
+                bitsPerComponent: image.bitsPerComponent,
+                colorSpace: image.colorSpace,
+                encoding: codec ? ENCODINGS[codec] || codec : 'Uncompressed',
+                // As if stretched over the whole page; drawn any smaller, its resolution is higher
+                minDpi: Math.round(Math.max(image.width / page.width, image.height / page.height) * 72),
+                bytes: image.bytes,
+                size: fileManager.formatBytes(image.bytes),
+                pages: [image.page]
+            });
+        }
+
+        const items = [...unique.values()].sort((a, b) => b.bytes - a.bytes);
+        return {
+            count: items.length,
+            bytes: items.reduce((sum, image) => sum + image.bytes, 0),
+            items: items.slice(0, this.settings.maxListed).map(image => ({ ...image, pages: [...new Set(image.pages)] }))
+        };
+    }
+
+    /**
+     * Fonts listed once each, largest first
+     * Subset fonts (named like ABCDEF+Helvetica) are listed by their base name
+     * @private
+     */
+    _summarizeFonts(found) {
+        const unique = new Map();
+        for (const font of found) {
+            const key = `${font.name}:${font.type}`;
+            if (unique.has(key)) continue;
+
+            const subset = /^[A-Z]{6}\+/.test(font.name);
+            // Type 3 glyphs are drawn by procedures in the file, so they are always embedded
+            const embedded = font.bytes >= 0 || font.type === 'Type3';
+            unique.set(key, {
+                name: subset ? font.name.slice(7) : font.name,
+                type: font.type,
+                embedded,
+                subset,
+                bytes: Math.max(font.bytes, 0),
+                size: fileManager.formatBytes(Math.max(font.bytes, 0))
+            });
+        }
+
+        const items = [...unique.values()].sort((a, b) => b.bytes - a.bytes);
+        return {
+            count: items.length,
+            embedded: items.filter(font => font.embedded).length,
+            bytes: items.reduce((sum, font) => sum + font.bytes, 0),
+            items: items.slice(0, this.settings.maxListed)
+        };
+    }
+
+    /**
+     * Share of the file taken by each part; the rest is page content and document structure
+     * @private
+     */
+    _breakdown(totalBytes, parts) {
+        const measured = Object.values(parts).reduce((sum, bytes) => sum + bytes, 0);
+        const entries = { ...parts, other: Math.max(totalBytes - measured, 0) };
+        return Object.entries(entries).map(([name, bytes]) => ({
+            name,
+            bytes,
+            size: fileManager.formatBytes(bytes),
+            share: totalBytes ? Math.round((bytes / totalBytes) * 1000) / 10 : 0
+        }));
+    }
+}
+
+module.exports = new PDFAnalyzer();
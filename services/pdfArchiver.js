@@ -0,0 +1,238 @@
+/**
+ * PDF Archiver Service
+ * Produces PDF/A-1b, 2b and 3b output with an ICC output intent and embedded fonts,
+ * and reports how well the result conforms
+ */
+
+const config = require('../config/config');
+const ghostscriptEngine = require('./ghostscriptEngine');
+const pdfCompressor = require('./pdfCompressor');
+const pdfInspector = require('./pdfInspector');
+const pdfMetadata = require('./pdfMetadata');
+
+const LEVELS = ['1b', '2b', '3b'];
+
+// Highest PDF version each PDF/A part is based on
+const MAX_VERSIONS = { 1: '1.4', 2: '1.7', 3: '1.7' };
+
+// Ghostscript lines worth reporting: interpreter warnings and errors, and PDF/A notices
+const WARNING_PATTERN = /\*\*\*\*|PDF\/A|PDFA|not permitted|not allowed/i;
+
+// Notices meaning Ghostscript gave up on PDF/A and wrote an ordinary PDF
+const FAILURE_PATTERN = /reverting to normal PDF|abort/i;
+
+class PDFArchiver {
+    constructor() {
+        this.settings = config.pdfa;
+    }
+
+    /**
+     * Check a requested PDF/A level
+     * @param {string} value - '1b', '2b' or '3b' (a bare part number such as '2' is accepted)
+     * @returns {Object} Validation result with success status, message and options ({ pdfa: { level, part } })
+     */
+    validateLevel(value = this.settings.defaultLevel) {
+        const level = String(value).toLowerCase().replace(/^([123])$/, '$1b');
+        if (!LEVELS.includes(level)) {
+            return { success: false, message: `PDF/A level must be one of: ${LEVELS.join(', ')}` };
+        }
+        if (!ghostscriptEngine.supports('pdfa')) {
+            return {
+                success: false,
+                code: 'PDFA_UNSUPPORTED',
+                message: 'PDF/A output needs Ghostscript 9.10 or newer with the pdfwrite device on the server'
+            };
+        }
+        return { success: true, message: 'Level is valid', options: { pdfa: { level, part: parseInt(level, 10) } } };
+    }
+
+    /**
+     * Make compression settings produce PDF/A
+     * @param {Object} settings - Settings from profileManager.resolveSettings
+     * @param {Object|null} pdfa - { level, part } from validateLevel, or null for ordinary output
+     * @returns {Object} Settings whose Ghostscript command writes PDF/A
+     */
+    applyToSettings(settings, pdfa) {
+        if (!pdfa) {
+            return settings;
+        }
+
+        const profile = this.settings.iccProfile;
+        const onDisk = !profile.startsWith('%');
+        return {
+            ...settings,
+            options: {
+                ...settings.options,
+                dPDFA: pdfa.part,
+                dPDFACompatibilityPolicy: this.settings.compatibilityPolicy,
+                dCompatibilityLevel: MAX_VERSIONS[pdfa.part],
+                // Device-dependent colour needs the output intent's colour space
+                sColorConversionStrategy: 'RGB',
+                sProcessColorModel: 'DeviceRGB',
+                dEmbedAllFonts: true
+            },
+            setup: [...(settings.setup || []), this._outputIntent(profile)],
+            readFiles: [...(settings.readFiles || []), ...(onDisk ? [profile] : [])]
+        };
+    }
+
+    /**
+     * Convert a PDF to PDF/A and check the result
+     * @param {string} inputPath - Path to input PDF
+     * @param {string} outputPath - Path for the PDF/A output
+     * @param {Object} options - { pdfa, settings, compress, password, onProgress, signal }
+     *   settings (from profileManager.resolveSettings) are only used when compress is set
+     * @returns {Promise<Object>} Result with size statistics and the conformance report
+     */
+    async convert(inputPath, outputPath, options) {
+        const { pdfa, compress = false, password, onProgress, signal } = options;
+        const settings = compress ? options.settings : pdfCompressor.passthroughSettings;
+        const collector = this.createWarningCollector();
+
+        // PDF/A output is kept even if larger; the original isn't archival
+        const result = await pdfCompressor.compress(inputPath, outputPath, this.applyToSettings(settings, pdfa), {
+            onProgress,
+            onLine: collector.onLine,
+            password,
+            signal,
+            forceOutput: true
+        });
+
+        try {
+            const conformance = await this.checkConformance(outputPath, pdfa, collector.warnings, { signal });
+            return { ...result, compressed: compress, conformance };
+        } catch (error) {
+            throw pdfCompressor.wrapError('PDF/A conformance check failed', error);
+        }
+    }
+
+    /**
+     * Collect the Ghostscript lines that matter for conformance
+     * @returns {Object} { onLine, warnings }: pass onLine to Ghostscript, read warnings afterwards
+     */
+    createWarningCollector() {
+        const warnings = [];
+        return {
+            warnings,
+            onLine: (line) => {
+                const text = line.trim();
+                if (WARNING_PATTERN.test(text) && !warnings.includes(text)) {
+                    warnings.push(text);
+                }
+            }
+        };
+    }
+
+    /**
+     * Check a PDF/A output: Ghostscript's warnings plus the structure PDF/A requires
+     * This is a quick check, not a full validation such as veraPDF performs
+     * @param {string} filePath - Path to the output PDF
+     * @param {Object} pdfa - { level, part } the file was written as
+     * @param {Array<string>} warnings - Lines from createWarningCollector
+     * @param {Object} options - { signal } to cancel
+     * @returns {Promise<Object>} { level, conformant, checks: [{ name, passed, detail }], warnings }
+     */
+    async checkConformance(filePath, pdfa, warnings = [], { signal } = {}) {
+        const [structure, catalog, metadata] = await Promise.all([
+            pdfInspector.checkStructure(filePath),
+            this._readCatalog(filePath, { signal }),
+            pdfMetadata.read(filePath, { signal })
+        ]);
+        const xmp = metadata.xmp ? metadata.xmp.properties : {};
+        const failure = warnings.find(line => FAILURE_PATTERN.test(line));
+
+        const checks = [
+            {
+                name: 'ghostscript',
+                passed: !failure,
+                detail: failure || `Written as PDF/A-${pdfa.level}`
+            },
+            {
+                name: 'identification',
+                passed: xmp.pdfaPart === String(pdfa.part) && String(xmp.pdfaConformance).toLowerCase() === 'b',
+                detail: xmp.pdfaPart
+                    ? `XMP identifies PDF/A-${xmp.pdfaPart}${String(xmp.pdfaConformance || '').toLowerCase()}`
+                    : 'No PDF/A identification in the XMP metadata'
+            },
+            {
+                name: 'outputIntent',
+                passed: catalog.outputIntent === 'GTS_PDFA1' && catalog.destOutputProfile,
+                detail: catalog.outputIntent
+                    ? `Output intent ${catalog.outputIntent}${catalog.destOutputProfile ? ' with an ICC profile' : ' without an ICC profile'}`
+                    : 'No output intent'
+            },
+            {
+                name: 'version',
+                passed: Boolean(structure.version) && structure.version <= MAX_VERSIONS[pdfa.part],
+                detail: `PDF ${structure.version || 'version unknown'} (PDF/A-${pdfa.part} allows up to ${MAX_VERSIONS[pdfa.part]})`
+            },
+            {
+                name: 'encryption',
+                passed: !catalog.encrypted,
+                detail: catalog.encrypted ? 'Encrypted, which PDF/A forbids' : 'Not encrypted'
+            }
+        ];
+
+        return {
+            level: pdfa.level,
+            conformant: checks.every(check => check.passed),
+            checks,
+            warnings
+        };
+    }
+
+    /**
+     * Read the catalog entries PDF/A depends on with Ghostscript
+     * Prints "Encrypt <bool>" and "OutputIntent <subtype> <has profile>" lines
+     * @private
+     */
+    async _readCatalog(filePath, { signal }) {
+        const psPath = filePath.replace(/\\/g, '/').replace(/([()])/g, '\\$1');
+        const output = await pdfCompressor.executeGhostscript([
+            '-q',
+            '-dNODISPLAY',
+            '-dSAFER',
+            ...(ghostscriptEngine.supports('permitFileRead') ? [`--permit-file-read=${filePath}`] : []),
+            '-dBATCH',
+            '-dNOPAUSE',
+            '-c',
+            `(${psPath}) (r) file runpdfbegin (Encrypt ) print Trailer /Encrypt known = ` +
+            'Trailer /Root oget /OutputIntents knownoget { dup length 0 gt { 0 oget (OutputIntent ) print ' +
+            'dup /S knownoget { ==only } { (/none) print } ifelse ( ) print /DestOutputProfile known = } ' +
+            '{ pop } ifelse } if quit'
+        ], { signal });
+
+        const catalog = { encrypted: false, outputIntent: null, destOutputProfile: false };
+        for (const line of output.split(/\r?\n/)) {
+            const encrypt = line.match(/^Encrypt (true|false)$/);
+            if (encrypt) {
+                catalog.encrypted = encrypt[1] === 'true';
+            }
+            const intent = line.match(/^OutputIntent \/(\S+) (true|false)$/);
+            if (intent) {
+                catalog.outputIntent = intent[1] === 'none' ? null : intent[1];
+                catalog.destOutputProfile = intent[2] === 'true';
+            }
+        }
+        return catalog;
+    }
+
+    /**
+     * PostScript adding the ICC profile and output intent to the catalog, as Ghostscript's PDFA_def.ps does
+     * @private
+     */
+    _outputIntent(profile) {
+        const psString = value => `(${value.replace(/\\/g, '/').replace(/([()])/g, '\\$1')})`;
+        return [
+            '[/_objdef {icc_PDFA} /type /stream /OBJ pdfmark',
+            '[{icc_PDFA} << /N 3 >> /PUT pdfmark',
+            `[{icc_PDFA} ${psString(profile)} (r) file /PUT pdfmark`,
+            '[/_objdef {OutputIntent_PDFA} /type /dict /OBJ pdfmark',
+            '[{OutputIntent_PDFA} << /Type /OutputIntent /S /GTS_PDFA1 /DestOutputProfile {icc_PDFA} ' +
+            `/OutputConditionIdentifier ${psString(this.settings.outputCondition)} >> /PUT pdfmark`,
+            '[{Catalog} << /OutputIntents [ {OutputIntent_PDFA} ] >> /PUT pdfmark'
+        ].join(' ');
+    }
+}
+
+module.exports = new PDFArchiver();
@@ -0,0 +1,142 @@
+/**
+ * PDF Color Converter Service
+ * Converts a PDF's colours to grayscale, RGB or CMYK, optionally through an ICC profile
+ */
+
+const config = require('../config/config');
+const pdfCompressor = require('./pdfCompressor');
+
+// Ghostscript colour conversion strategy and process colour model per colour space
+const COLOR_SPACES = {
+    gray: { label: 'Grayscale', strategy: 'Gray', model: 'DeviceGray' },
+    rgb: { label: 'RGB', strategy: 'RGB', model: 'DeviceRGB' },
+    cmyk: { label: 'CMYK', strategy: 'CMYK', model: 'DeviceCMYK' }
+};
+
+class PDFColorConverter {
+    constructor() {
+        this.settings = config.color;
+    }
+
+    /**
+     * Colour spaces a PDF can be converted to
+     * @returns {Array<Object>} { name, label } entries
+     */
+    listColorSpaces() {
+        return Object.entries(COLOR_SPACES).map(([name, space]) => ({ name, label: space.label }));
+    }
+
+    /**
+     * Display name of a colour space
+     * @param {string} colorSpace - 'gray', 'rgb' or 'cmyk'
+     * @returns {string} Label such as "Grayscale"
+     */
+    label(colorSpace) {
+        return COLOR_SPACES[colorSpace].label;
+    }
+
+    /**
+     * ICC profiles configured for conversion
+     * @returns {Array<Object>} { name, colorSpace } entries
+     */
+    listProfiles() {
+        return Object.entries(this.settings.iccProfiles).map(([name, profile]) => ({ name, colorSpace: profile.colorSpace }));
+    }
+
+    /**
+     * Check a colour conversion request
+     * @param {Object} data - { colorSpace, iccProfile }: iccProfile names an entry of config.color.iccProfiles
+     *   for the same colour space
+     * @returns {Object} Validation result with success status, message and options ({ color })
+     */
+    validateOptions(data = {}) {
+        const colorSpace = String(data.colorSpace || '').toLowerCase();
+        if (!Object.hasOwn(COLOR_SPACES, colorSpace)) {
+            return { success: false, message: `Color space must be one of: ${Object.keys(COLOR_SPACES).join(', ')}` };
+        }
+
+        const iccProfile = data.iccProfile && data.iccProfile !== 'default' ? String(data.iccProfile) : null;
+        if (iccProfile) {
+            const profile = Object.hasOwn(this.settings.iccProfiles, iccProfile) ? this.settings.iccProfiles[iccProfile] : null;
+            if (!profile) {
+                const names = Object.keys(this.settings.iccProfiles);
+                return {
+                    success: false,
+                    message: names.length > 0
+                        ? `ICC profile must be one of: ${names.join(', ')}`
+                        : 'No ICC profiles are configured on the server'
+                };
+            }
+            if (profile.colorSpace !== colorSpace) {
+                return {
+                    success: false,
+                    message: `ICC profile "${iccProfile}" is for ${COLOR_SPACES[profile.colorSpace].label}, not ${COLOR_SPACES[colorSpace].label}`
+                };
+            }
+        }
+
+        return { success: true, message: 'Color options are valid', options: { color: { colorSpace, iccProfile } } };
+    }
+
+    /**
+     * Add a colour conversion to compression settings
+     * @param {Object} settings - Settings from profileManager.resolveSettings
+     * @param {Object|null} color - { colorSpace, iccProfile } from validateOptions, or null for none
+     * @returns {Object} Settings whose Ghostscript command converts colours
+     */
+    applyToSettings(settings, color) {
+        if (!color) {
+            return settings;
+        }
+
+        const space = COLOR_SPACES[color.colorSpace];
+        const profile = color.iccProfile ? this.settings.iccProfiles[color.iccProfile].path : null;
+        return {
+            ...settings,
+            options: {
+                ...settings.options,
+                sColorConversionStrategy: space.strategy,
+                sProcessColorModel: space.model,
+                ...(profile ? { sOutputICCProfile: profile } : {})
+            },
+            readFiles: [...(settings.readFiles || []), ...(profile ? [profile] : [])]
+        };
+    }
+
+    /**
+     * Convert a PDF's colours
+     * @param {string} inputPath - Path to input PDF
+     * @param {string} outputPath - Path for the output PDF
+     * @param {Object} options - { color, settings, compress, password, onProgress, signal }
+     *   settings (from profileManager.resolveSettings) are only used when compress is set
+     * @returns {Promise<Object>} Size statistics plus the colour space converted to
+     */
+    async convert(inputPath, outputPath, options) {
+        const { color, compress = false, password, onProgress, signal } = options;
+        const settings = compress ? options.settings : pdfCompressor.passthroughSettings;
+
+        // The converted file is kept even if larger; the original has the wrong colours
+        const result = await pdfCompressor.compress(inputPath, outputPath, this.applyToSettings(settings, color), {
+            onProgress,
+            password,
+            signal,
+            forceOutput: true
+        });
+
+        return { ...result, colorSpace: color.colorSpace, iccProfile: color.iccProfile, compressed: compress };
+    }
+
+    /**
+     * Estimate variants comparing every colour space, for sizeEstimator.estimate
+     * @param {Object} settings - Base settings (passthrough, or a preset to combine with compression)
+     * @returns {Array<Object>} { name, settings } entries
+     */
+    estimateVariants(settings) {
+        return Object.keys(COLOR_SPACES).map(colorSpace => ({
+            name: colorSpace,
+            settings: this.applyToSettings(settings, { colorSpace, iccProfile: null })
+        }));
+    }
+}
+
+module.exports = new PDFColorConverter();
@@ -4,206 +4,392 @@
  * Modular design allows easy addition of other PDF operations
  */
 
-const { spawn } = require('child_process');
-const path = require('path');
+const fs = require('fs').promises;
 const config = require('../config/config');
 const fileManager = require('./fileManager');
+const ghostscriptEngine = require('./ghostscriptEngine');
 
 class PDFCompressor {
     constructor() {
         this.quality = config.compression.defaultQuality;
         this.options = config.compression.options;
+
+        // pdfwrite settings for operations that should not recompress images
+        this.passthroughSettings = {
+            label: 'none',
+            quality: '/default',
+            options: {}
+        };
     }
 
     /**
      * Compress a PDF file using Ghostscript
      * @param {string} inputPath - Path to input PDF
      * @param {string} outputPath - Path for compressed PDF
+     * @param {Object} settings - Optional settings from profileManager.resolveSettings
+     * @param {Object} options - { onProgress({ page, totalPages }), onLine, password, totalPages, signal, forceOutput }
+     *   onProgress reports page-level progress; onLine receives every Ghostscript output line;
+     *   password opens an encrypted input; totalPages skips counting pages when the caller
+     *   already knows; signal cancels; forceOutput keeps Ghostscript's output even if larger
+     *   (e.g. when it scrubs metadata)
      * @returns {Promise<Object>} Compression results with statistics
      */
-    async compress(inputPath, outputPath) {
+    async compress(inputPath, outputPath, settings = {}, options = {}) {
+        const { onProgress, onLine, password, totalPages: knownPages, signal, forceOutput = false } = options;
+
         try {
             // Get original file size
             const originalSize = await fileManager.getFileSize(inputPath);
 
+            // Count pages up front so progress can be reported as "page X of Y"
+            const totalPages = onProgress ? (knownPages || await this.getPageCount(inputPath, { password, signal })) : null;
+
             // Build Ghostscript command
-            const gsCommand = this._buildGhostscriptCommand(inputPath, outputPath);
+            const gsCommand = [
+                ...this.passwordArgs(password),
+                ...this.buildGhostscriptCommand(inputPath, outputPath, settings)
+            ];
 
-            // Execute compression
-            await this._executeGhostscript(gsCommand);
+            // Execute compression, tracking pages as Ghostscript reports them
+            await this.executeGhostscript(gsCommand, {
+                onLine: this._lineListener(onProgress && this.createProgressTracker(onProgress, totalPages), onLine),
+                signal
+            });
 
             // Get compressed file size
             const compressedSize = await fileManager.getFileSize(outputPath);
 
-            // Calculate compression ratio
-            const compressionRatio = this._calculateCompressionRatio(
+            // Never serve a file bigger than the upload; already-optimized PDFs often grow
+            if (!forceOutput && compressedSize.bytes >= originalSize.bytes) {
+                await fs.copyFile(inputPath, outputPath);
+                return this._summarize('original', originalSize.bytes, originalSize.bytes, { keptOriginal: true });
+            }
+
+            return this._summarize(
+                settings.label || this.quality.replace('/', ''),
                 originalSize.bytes,
-                compressedSize.bytes
+                compressedSize.bytes,
+                { keptOriginal: false }
             );
-
-            return {
-                success: true,
-                originalSize: originalSize.formatted,
-                compressedSize: compressedSize.formatted,
-                originalBytes: originalSize.bytes,
-                compressedBytes: compressedSize.bytes,
-                compressionRatio: compressionRatio,
-                savedBytes: originalSize.bytes - compressedSize.bytes,
-                savedFormatted: fileManager.formatBytes(originalSize.bytes - compressedSize.bytes)
-            };
         } catch (error) {
             // Check if error is due to Ghostscript not being installed
             if (error.message.includes('Ghostscript not found')) {
                 throw error; // Pass through the detailed Ghostscript error
             }
-            throw new Error(`Compression failed: ${error.message}`);
+            throw this.wrapError('Compression failed', error);
         }
     }
 
     /**
-     * Build Ghostscript command with all options
-     * @private
+     * Compress a PDF to fit under a target size
+     * Tries each setting in turn, from mildest to strongest, and keeps the first output that fits.
+     * If none fits, the smallest output is kept; if nothing beats the original, the original is kept.
+     * @param {string} inputPath - Path to input PDF
+     * @param {string} outputPath - Path for compressed PDF
+     * @param {number} targetBytes - Size the output should not exceed
+     * @param {Array<Object>} ladder - Settings to try, from profileManager.targetLadder
+     * @param {Object} options - { onProgress, onLine, password, totalPages, signal, forceOutput } as for compress
+     * @returns {Promise<Object>} Compression results plus the target, whether it was met and every attempt
      */
-    _buildGhostscriptCommand(inputPath, outputPath) {
-        const args = [
-            '-sDEVICE=pdfwrite',
-            `-dPDFSETTINGS=${this.quality}`,
-            `-sOutputFile=${outputPath}`,
-            inputPath
-        ];
+    async compressToTarget(inputPath, outputPath, targetBytes, ladder, options = {}) {
+        const { onProgress, onLine, password, totalPages: knownPages, signal, forceOutput = false } = options;
+        let best = null;
 
-        // Add additional options from config
-        for (const [key, value] of Object.entries(this.options)) {
-            if (typeof value === 'boolean') {
-                args.unshift(`-${key}`);
-            } else {
-                args.unshift(`-${key}=${value}`);
-            }
-        }
+        try {
+            const originalSize = await fileManager.getFileSize(inputPath);
+            const totalPages = onProgress ? (knownPages || await this.getPageCount(inputPath, { password, signal })) : null;
+            const attempts = [];
 
-        return args;
-    }
+            for (const [index, settings] of ladder.entries()) {
+                const attemptPath = `${outputPath}.try${index + 1}`;
+                const gsCommand = [
+                    ...this.passwordArgs(password),
+                    ...this.buildGhostscriptCommand(inputPath, attemptPath, settings)
+                ];
 
-    /**
-     * Execute Ghostscript command
-     * @private
-     */
-    _executeGhostscript(args) {
-        return new Promise((resolve, reject) => {
-            const fs = require('fs');
-            const path = require('path');
+                // Progress covers every attempt that might be needed
+                try {
+                    await this.executeGhostscript(gsCommand, {
+                        onLine: this._lineListener(onProgress && this.createProgressTracker((progress) => {
+                            onProgress({
+                                page: index * progress.totalPages + progress.page,
+                                totalPages: ladder.length * progress.totalPages
+                            });
+                        }, totalPages), onLine),
+                        signal
+                    });
+                } catch (error) {
+                    // Ghostscript may have written part of the attempt before failing
+                    await fs.unlink(attemptPath).catch(() => {});
+                    throw error;
+                }
 
-            // List of possible Ghostscript commands and paths to try
-            let gsCommands = [];
+                const size = await fileManager.getFileSize(attemptPath);
+                attempts.push({ preset: settings.label, size: size.formatted, bytes: size.bytes });
 
-            // First, check if manual path is configured
-            if (config.compression.ghostscriptPath) {
-                gsCommands.push(config.compression.ghostscriptPath);
+                if (!best || size.bytes < best.bytes) {
+                    if (best) {
+                        await fs.unlink(best.path);
+                    }
+                    best = { label: settings.label, path: attemptPath, bytes: size.bytes };
+                } else {
+                    await fs.unlink(attemptPath);
+                }
+
+                if (size.bytes <= targetBytes) {
+                    break;
+                }
             }
 
-            // Then, try common command names (if in PATH)
-            gsCommands.push('gs', 'gswin64c', 'gswin32c');
+            const target = {
+                targetBytes,
+                targetSize: fileManager.formatBytes(targetBytes),
+                attempts
+            };
 
-            // Then, check common Windows installation paths
-            if (process.platform === 'win32') {
-                const commonPaths = [
-                    'C:\\Program Files\\gs',
-                    'C:\\Program Files (x86)\\gs',
-                    process.env.ProgramFiles + '\\gs',
-                    process.env['ProgramFiles(x86)'] + '\\gs'
-                ];
+            if (!best || (!forceOutput && best.bytes >= originalSize.bytes)) {
+                await fs.copyFile(inputPath, outputPath);
+                return this._summarize('original', originalSize.bytes, originalSize.bytes, {
+                    keptOriginal: true,
+                    targetMet: originalSize.bytes <= targetBytes,
+                    ...target
+                });
+            }
 
-                // Search for Ghostscript in common directories
-                for (const basePath of commonPaths) {
-                    try {
-                        if (fs.existsSync(basePath)) {
-                            const versions = fs.readdirSync(basePath);
-                            for (const version of versions) {
-                                const binPath = path.join(basePath, version, 'bin');
-                                if (fs.existsSync(binPath)) {
-                                    // Add both 64-bit and 32-bit executables
-                                    gsCommands.push(path.join(binPath, 'gswin64c.exe'));
-                                    gsCommands.push(path.join(binPath, 'gswin32c.exe'));
-                                }
-                            }
-                        }
-                    } catch (err) {
-                        // Ignore errors reading directories
-                    }
-                }
+            await fs.rename(best.path, outputPath);
+            const winner = best;
+            best = null; // Now the output, so not cleaned up below
+
+            return this._summarize(winner.label, originalSize.bytes, winner.bytes, {
+                keptOriginal: false,
+                targetMet: winner.bytes <= targetBytes,
+                ...target
+            });
+        } catch (error) {
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw this.wrapError('Compression failed', error);
+        } finally {
+            // Remove the kept attempt if it never became the output
+            if (best) {
+                await fs.unlink(best.path).catch(() => {});
             }
+        }
+    }
 
-            let currentCommandIndex = 0;
+    /**
+     * Count the pages of a PDF
+     * @param {string} inputPath - Path to input PDF
+     * @param {Object} options - { password } for encrypted PDFs, { signal } to cancel
+     * @returns {Promise<number|null>} Page count, or null if it could not be determined
+     * @throws {Error} The signal's abort reason if cancelled
+     */
+    async getPageCount(inputPath, { password, signal } = {}) {
+        const psPath = inputPath.replace(/\\/g, '/').replace(/([()])/g, '\\$1');
 
-            const tryCommand = () => {
-                if (currentCommandIndex >= gsCommands.length) {
-                    reject(new Error(
-                        'Ghostscript not found. Please install Ghostscript and ensure it is in your PATH. ' +
-                        'Visit https://www.ghostscript.com/download/gsdnld.html'
-                    ));
-                    return;
-                }
+        try {
+            const output = await this.executeGhostscript([
+                '-q',
+                '-dNODISPLAY',
+                '-dSAFER',
+                ...(ghostscriptEngine.supports('permitFileRead') ? [`--permit-file-read=${inputPath}`] : []),
+                '-dBATCH',
+                '-dNOPAUSE',
+                ...this.passwordArgs(password),
+                '-c',
+                `(${psPath}) (r) file runpdfbegin pdfpagecount = quit`
+            ], { signal });
+            const count = parseInt(output.trim().split(/\s+/).pop(), 10);
+            return Number.isInteger(count) && count > 0 ? count : null;
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw error;
+            }
+            return null;
+        }
+    }
 
-                const command = gsCommands[currentCommandIndex];
-                const gs = spawn(command, args);
+    /**
+     * Ghostscript arguments that open an encrypted input
+     * @param {string} password - User or owner password (optional)
+     * @returns {Array<string>} Arguments, empty if no password was given
+     */
+    passwordArgs(password) {
+        return password ? [`-sPDFPassword=${password}`] : [];
+    }
 
-                let stderr = '';
+    /**
+     * Wrap a processing error with context while keeping its code
+     * Errors marked as exposable keep their client-facing message
+     * @param {string} context - Prefix such as "Compression failed"
+     * @param {Error} error - Original error
+     * @returns {Error} Wrapped error
+     */
+    wrapError(context, error) {
+        if (error.expose) {
+            return error;
+        }
+        const wrapped = new Error(`${context}: ${error.message}`);
+        wrapped.code = error.code;
+        return wrapped;
+    }
 
-                gs.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                });
+    /**
+     * Create a Ghostscript output listener that reports page progress
+     * Handles several input files in one run (page numbers restart per file)
+     * @param {Function} onProgress - Called with { page, totalPages }
+     * @param {number|null} totalPages - Known total, or null to use Ghostscript's own count
+     * @returns {Function} Line listener for executeGhostscript
+     */
+    createProgressTracker(onProgress, totalPages = null) {
+        let offset = 0;
+        let rangeStart = 1;
+        let rangeLength = 0;
+        let discoveredPages = 0;
 
-                gs.on('error', (error) => {
-                    // Command not found, try next one
-                    if (error.code === 'ENOENT') {
-                        currentCommandIndex++;
-                        tryCommand();
-                    } else {
-                        reject(error);
-                    }
-                });
+        return (line) => {
+            const range = line.match(/^Processing pages (\d+) through (\d+)\./);
+            if (range) {
+                offset += rangeLength;
+                rangeStart = parseInt(range[1], 10);
+                rangeLength = parseInt(range[2], 10) - rangeStart + 1;
+                discoveredPages += rangeLength;
+                onProgress({ page: offset, totalPages: totalPages || discoveredPages });
+                return;
+            }
 
-                gs.on('close', (code) => {
-                    if (code === 0) {
-                        resolve();
-                    } else {
-                        // Try next command if this one failed
-                        if (currentCommandIndex < gsCommands.length - 1) {
-                            currentCommandIndex++;
-                            tryCommand();
-                        } else {
-                            reject(new Error(`Ghostscript exited with code ${code}: ${stderr}`));
-                        }
-                    }
+            const page = line.match(/^Page (\d+)$/);
+            if (page) {
+                onProgress({
+                    page: offset + parseInt(page[1], 10) - rangeStart + 1,
+                    totalPages: totalPages || discoveredPages
                 });
-            };
+            }
+        };
+    }
 
-            tryCommand();
-        });
+    /**
+     * Line listener feeding both progress tracking and a caller's own listener
+     * @private
+     */
+    _lineListener(tracker, onLine) {
+        if (!tracker || !onLine) {
+            return tracker || onLine;
+        }
+        return (line) => {
+            tracker(line);
+            onLine(line);
+        };
     }
 
     /**
-     * Calculate compression ratio as percentage
+     * Build the statistics returned for a compressed file
      * @private
      */
-    _calculateCompressionRatio(originalBytes, compressedBytes) {
-        if (originalBytes === 0) return 0;
-        const ratio = ((originalBytes - compressedBytes) / originalBytes) * 100;
-        return Math.max(0, Math.round(ratio * 10) / 10); // Round to 1 decimal, min 0
+    _summarize(preset, originalBytes, compressedBytes, extra = {}) {
+        return {
+            success: true,
+            preset,
+            originalSize: fileManager.formatBytes(originalBytes),
+            compressedSize: fileManager.formatBytes(compressedBytes),
+            originalBytes,
+            compressedBytes,
+            compressionRatio: this.calculateCompressionRatio(originalBytes, compressedBytes),
+            savedBytes: originalBytes - compressedBytes,
+            savedFormatted: fileManager.formatBytes(originalBytes - compressedBytes),
+            ...extra
+        };
+    }
+
+    /**
+     * Build a pdfwrite Ghostscript command with all options
+     * @param {string|Array<string>} inputPaths - Input PDF, or several PDFs to combine in order
+     * @param {string} outputPath - Path for the output PDF
+     * @param {Object} settings - Optional settings from profileManager.resolveSettings;
+     *   settings.setup lists PostScript run before the inputs (e.g. an EndPage procedure);
+     *   settings.postscript lists PostScript run after the inputs (e.g. DOCINFO pdfmarks);
+     *   settings.readFiles lists files that PostScript may open (e.g. an ICC profile)
+     * @returns {Array<string>} Ghostscript arguments
+     */
+    buildGhostscriptCommand(inputPaths, outputPath, settings = {}) {
+        const args = [
+            '-sDEVICE=pdfwrite',
+            `-dPDFSETTINGS=${settings.quality || this.quality}`,
+            `-sOutputFile=${outputPath}`,
+            ...[].concat(inputPaths)
+        ];
+
+        // Page device settings must be in place before the first page is read
+        if (settings.setup && settings.setup.length > 0) {
+            args.splice(args.length - [].concat(inputPaths).length, 0, '-c', settings.setup.join(' '), '-f');
+        }
+
+        // Add additional options from config, with per-request overrides on top
+        const options = { ...this.options, ...settings.options };
+        for (const [key, value] of Object.entries(options)) {
+            if (typeof value === 'boolean') {
+                args.unshift(value ? `-${key}` : `-${key}=false`);
+            } else {
+                args.unshift(`-${key}=${value}`);
+            }
+        }
+
+        // -dSAFER only lets PostScript open files it has been given
+        if (settings.readFiles && ghostscriptEngine.supports('permitFileRead')) {
+            args.unshift(...settings.readFiles.map(file => `--permit-file-read=${file}`));
+        }
+
+        // pdfmarks must follow the inputs so they override what the inputs carried over
+        if (settings.postscript && settings.postscript.length > 0) {
+            args.push('-c', settings.postscript.join(' '));
+        }
+
+        return args;
     }
 
     /**
-     * Validate that Ghostscript is installed
-     * @returns {Promise<boolean>} True if Ghostscript is available
+     * Execute Ghostscript command
+     * @param {Array<string>} args - Ghostscript arguments
+     * @param {Object} options - { onLine(line), signal }
+     *   onLine is called for each stdout/stderr line; aborting signal kills Ghostscript
+     * @returns {Promise<string>} Captured stdout
      */
-    async validateGhostscript() {
+    async executeGhostscript(args, { onLine, signal } = {}) {
         try {
-            await this._executeGhostscript(['--version']);
-            return true;
+            return await ghostscriptEngine.run(args, { onLine, signal });
         } catch (error) {
-            return false;
+            if (error.stderr && /password/i.test(error.stderr)) {
+                throw this._passwordError(args.some(arg => arg.startsWith('-sPDFPassword=')));
+            }
+            throw error;
         }
     }
+
+    /**
+     * Error for an encrypted PDF that could not be opened
+     * @private
+     */
+    _passwordError(passwordSupplied) {
+        const error = new Error(passwordSupplied
+            ? 'The password is incorrect. Please try again.'
+            : 'This PDF is password-protected. Enter its password to continue.');
+        error.code = passwordSupplied ? 'INVALID_PASSWORD' : 'PASSWORD_REQUIRED';
+        error.expose = true;
+        return error;
+    }
+
+    /**
+     * Calculate compression ratio as percentage
+     * @param {number} originalBytes - Size before processing
+     * @param {number} compressedBytes - Size after processing
+     * @returns {number} Percentage saved, rounded to 1 decimal and never negative
+     */
+    calculateCompressionRatio(originalBytes, compressedBytes) {
+        if (originalBytes === 0) return 0;
+        const ratio = ((originalBytes - compressedBytes) / originalBytes) * 100;
+        return Math.max(0, Math.round(ratio * 10) / 10); // Round to 1 decimal, min 0
+    }
 }
 
 module.exports = new PDFCompressor();
@@ -0,0 +1,313 @@
+/**
+ * PDF Conversion Service
+ * Renders PDF pages to PNG or JPEG images with Ghostscript's raster devices
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const pdfCompressor = require('./pdfCompressor');
+const pdfSplitter = require('./pdfSplitter');
+
+class PDFConverter {
+    constructor() {
+        this.settings = config.convert;
+    }
+
+    /**
+     * Validate conversion options
+     * Page ranges are only syntax-checked here; they are checked against the page count when converting
+     * @param {Object} data - Raw request fields ({ format, dpi, pages })
+     * @returns {Object} Validation result with success status, message and normalized options
+     */
+    validateOptions(data = {}) {
+        const { formats, defaultFormat, defaultDpi, minDpi, maxDpi } = this.settings;
+
+        const format = String(data.format || defaultFormat).toLowerCase().replace(/^jpg$/, 'jpeg');
+        if (!formats[format]) {
+            return { success: false, message: `Format must be one of: ${Object.keys(formats).join(', ')}` };
+        }
+
+        const dpi = data.dpi === undefined || data.dpi === '' ? defaultDpi : Number(data.dpi);
+        if (!Number.isInteger(dpi) || dpi < minDpi || dpi > maxDpi) {
+            return { success: false, message: `DPI must be a whole number from ${minDpi} to ${maxDpi}` };
+        }
+
+        const pages = data.pages ? String(data.pages) : null;
+        if (pages) {
+            const parsed = pdfSplitter.parseRanges(pages);
+            if (!parsed.success) {
+                return parsed;
+            }
+        }
+
+        return {
+            success: true,
+            message: 'Options are valid',
+            options: { format, dpi, pages }
+        };
+    }
+
+    /**
+     * Render PDF pages to images
+     * One page produces a single image; several are packed into a ZIP
+     * @param {string} inputPath - Path to input PDF
+     * @param {string} outputDir - Directory for the image or ZIP
+     * @param {Object} options - { format, dpi, pages, namePrefix, password, onProgress, signal }
+     *   pages: page-range expression such as "1-3,5" (defaults to every page); pages named
+     *   more than once are rendered once, and images follow document order
+     * @returns {Promise<Object>} Result with the output filename, content type and rendered pages
+     */
+    async convert(inputPath, outputDir, options = {}) {
+        const { format, dpi, pages, namePrefix = 'convert', password, onProgress, signal } = options;
+        const { contentType } = this.settings.formats[format];
+
+        const totalPages = await pdfCompressor.getPageCount(inputPath, { password, signal });
+        if (!totalPages) {
+            throw new Error('Could not determine the page count of this PDF');
+        }
+
+        const parsed = pdfSplitter.parseRanges(pages || '1-', totalPages);
+        if (!parsed.success) {
+            throw this._conversionError(parsed.message);
+        }
+
+        // Ghostscript before 10.0 renders in document order whatever order the ranges are in,
+        // so each page is rendered once, first to last, on every version
+        const pageNumbers = [...new Set(parsed.ranges.flatMap(r =>
+            Array.from({ length: r.last - r.first + 1 }, (_, i) => r.first + i)
+        ))].sort((a, b) => a - b);
+        const ranges = pageNumbers.reduce((merged, page) => {
+            const previous = merged[merged.length - 1];
+            if (previous && previous.last === page - 1) {
+                previous.last = page;
+            } else {
+                merged.push({ first: page, last: page });
+            }
+            return merged;
+        }, []);
+        if (pageNumbers.length > this.settings.maxPages) {
+            throw this._conversionError(
+                `Conversion would render ${pageNumbers.length} pages; the limit is ${this.settings.maxPages}`,
+                'TOO_MANY_PAGES'
+            );
+        }
+
+        const stamp = fileManager.outputStamp();
+        let rendered = [];
+
+        try {
+            rendered = await this._render(inputPath, outputDir, {
+                format, dpi, ranges, pageNumbers, namePrefix, stamp, password, onProgress, signal
+            });
+
+            if (rendered.length === 1) {
+                const size = await fileManager.getFileSize(rendered[0].path);
+                return {
+                    success: true,
+                    filename: rendered[0].filename,
+                    contentType,
+                    format,
+                    dpi,
+                    totalPages,
+                    pages: pageNumbers,
+                    imageCount: 1,
+                    size: size.formatted,
+                    bytes: size.bytes
+                };
+            }
+
+            const zipFilename = `${namePrefix}-${format}-${stamp}.zip`;
+            const zipPath = path.join(outputDir, zipFilename);
+            await fileManager.streamZip(
+                rendered.map(image => ({ path: image.path, name: image.filename })),
+                fs.createWriteStream(zipPath)
+            );
+            const size = await fileManager.getFileSize(zipPath);
+
+            return {
+                success: true,
+                filename: zipFilename,
+                contentType: 'application/zip',
+                format,
+                dpi,
+                totalPages,
+                pages: pageNumbers,
+                imageCount: rendered.length,
+                size: size.formatted,
+                bytes: size.bytes
+            };
+        } catch (error) {
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError('Conversion failed', error);
+        } finally {
+            // Images are only kept on their own when a single page was rendered
+            if (rendered.length > 1) {
+                await Promise.all(rendered.map(image => fileManager.deleteFile(image.path)));
+            }
+        }
+    }
+
+    /**
+     * Render small JPEG previews of a PDF's first pages, one file per page
+     * @param {string} inputPath - Path to input PDF
+     * @param {string} outputDir - Directory for the images
+     * @param {Object} options - { dpi, maxPages, namePrefix, password, onProgress, signal }
+     * @returns {Promise<Object>} Result with the page count and { page, filename } per rendered page
+     */
+    async thumbnails(inputPath, outputDir, options = {}) {
+        const { dpi, maxPages, namePrefix = 'thumb', password, onProgress, signal } = options;
+
+        const totalPages = await pdfCompressor.getPageCount(inputPath, { password, signal });
+        if (!totalPages) {
+            throw new Error('Could not determine the page count of this PDF');
+        }
+
+        const last = Math.min(totalPages, maxPages);
+        const pageNumbers = Array.from({ length: last }, (_, i) => i + 1);
+
+        try {
+            const rendered = await this._render(inputPath, outputDir, {
+                format: 'jpeg',
+                dpi,
+                ranges: [{ first: 1, last }],
+                pageNumbers,
+                namePrefix,
+                stamp: fileManager.outputStamp(),
+                password,
+                onProgress,
+                signal
+            });
+
+            return {
+                success: true,
+                totalPages,
+                dpi,
+                pages: rendered.map(image => ({ page: image.page, filename: image.filename }))
+            };
+        } catch (error) {
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError('Thumbnail rendering failed', error);
+        }
+    }
+
+    /**
+     * Render the same pages of a PDF before and after processing, for a side-by-side comparison
+     * Pages past the end of the document are left out (page 1 is shown if none remain), and
+     * at most convert.maxPreviewPages are rendered
+     * @param {string} originalPath - Path to the input PDF
+     * @param {string} outputPath - Path to the processed PDF, with the same pages
+     * @param {string} outputDir - Directory for the images
+     * @param {Object} options - { pages, totalPages, namePrefix, password, signal }
+     *   pages: page-range expression such as "1,4"
+     * @returns {Promise<Array<Object>>} { page, original, output } image filenames per page
+     */
+    async comparePages(originalPath, outputPath, outputDir, options) {
+        const { pages, totalPages, namePrefix = 'preview', password, signal } = options;
+        const { previewDpi, maxPreviewPages } = this.settings;
+
+        const parsed = pdfSplitter.parseRanges(pages);
+        if (!parsed.success) {
+            throw this._conversionError(parsed.message);
+        }
+        const wanted = parsed.ranges
+            .flatMap(r => Array.from({ length: Math.max(Math.min(r.last, totalPages) - r.first + 1, 0) }, (_, i) => r.first + i))
+            .filter((page, index, all) => all.indexOf(page) === index);
+        const pageNumbers = (wanted.length > 0 ? wanted : [1]).slice(0, maxPreviewPages).sort((a, b) => a - b);
+        const ranges = pageNumbers.map(page => ({ first: page, last: page }));
+
+        const render = (inputPath, side) => this._render(inputPath, outputDir, {
+            format: 'jpeg',
+            dpi: previewDpi,
+            ranges,
+            pageNumbers,
+            namePrefix: `${namePrefix}-${side}`,
+            stamp: fileManager.outputStamp(),
+            password,
+            signal
+        });
+
+        const before = await render(originalPath, 'before');
+        let after;
+        try {
+            // An output kept as the original is still encrypted, so it gets the password too
+            after = await render(outputPath, 'after');
+        } catch (error) {
+            await Promise.all(before.map(image => fileManager.deleteFile(image.path)));
+            throw error;
+        }
+
+        return pageNumbers.map((page, index) => ({
+            page,
+            original: before[index].filename,
+            output: after[index].filename
+        }));
+    }
+
+    /**
+     * Render pages with a raster device and name each image after its page
+     * pageNumbers must be ascending without repeats, as Ghostscript renders them in that order
+     * Images already renamed are deleted if a later step fails
+     * @private
+     */
+    async _render(inputPath, outputDir, options) {
+        const { format, dpi, ranges, pageNumbers, namePrefix, stamp, password, onProgress, signal } = options;
+        const { device, extension } = this.settings.formats[format];
+        const pattern = path.join(outputDir, `${namePrefix}-${stamp}-%d.${extension}`);
+        const rendered = [];
+
+        try {
+            const gsCommand = [
+                ...pdfCompressor.passwordArgs(password),
+                ...pdfSplitter.pageSelectionArgs(ranges),
+                '-dSAFER',
+                '-dBATCH',
+                '-dNOPAUSE',
+                `-sDEVICE=${device}`,
+                `-r${dpi}`,
+                '-dTextAlphaBits=4',
+                '-dGraphicsAlphaBits=4',
+                ...(format === 'jpeg' ? [`-dJPEGQ=${this.settings.jpegQuality}`] : []),
+                `-sOutputFile=${pattern}`,
+                inputPath
+            ];
+
+            await pdfCompressor.executeGhostscript(gsCommand, {
+                onLine: onProgress && pdfCompressor.createProgressTracker(onProgress, pageNumbers.length),
+                signal
+            });
+
+            // Ghostscript numbers outputs 1..N; rename them after the pages they show
+            for (const [index, page] of pageNumbers.entries()) {
+                const renderedPath = pattern.replace('%d', index + 1);
+                const filename = `${namePrefix}-page${page}-${stamp}.${extension}`;
+                const imagePath = path.join(outputDir, filename);
+                await fs.promises.rename(renderedPath, imagePath);
+                rendered.push({ path: imagePath, filename, page });
+            }
+
+            return rendered;
+        } catch (error) {
+            await Promise.all(rendered.map(image => fileManager.deleteFile(image.path)));
+            throw error;
+        }
+    }
+
+    /**
+     * Error for options that don't fit the document; the message is safe to show clients
+     * @private
+     */
+    _conversionError(message, code = 'INVALID_PAGE_RANGE') {
+        const error = new Error(message);
+        error.code = code;
+        error.expose = true;
+        return error;
+    }
+}
+
+module.exports = new PDFConverter();
@@ -0,0 +1,154 @@
+/**
+ * PDF Inspection Service
+ * Checks uploaded files are real, complete PDFs before they reach Ghostscript
+ */
+
+const fs = require('fs').promises;
+const pdfCompressor = require('./pdfCompressor');
+
+// The header may follow a little leading junk; the spec asks readers to look in the first 1 KB
+const HEADER_SCAN_BYTES = 1024;
+
+// %%EOF and startxref must sit near the end of the file
+const TRAILER_SCAN_BYTES = 2048;
+
+// How much of each end of the file to scan for the /Encrypt entry
+const ENCRYPT_SCAN_BYTES = 64 * 1024;
+
+class PDFInspector {
+    /**
+     * Check a file's structure without parsing it: header, trailer and encryption
+     * Cheap enough to run on every upload before it is queued
+     * @param {string} filePath - Path to uploaded file
+     * @returns {Promise<Object>} Result with success status, code and message on failure,
+     *   otherwise the PDF version and whether it is encrypted
+     */
+    async checkStructure(filePath) {
+        const { size, head, tail } = await this._readEnds(filePath, ENCRYPT_SCAN_BYTES);
+
+        if (size === 0) {
+            return { success: false, code: 'EMPTY_FILE', message: 'The uploaded file is empty' };
+        }
+
+        const header = head.subarray(0, HEADER_SCAN_BYTES).toString('latin1').match(/%PDF-(\d\.\d)/);
+        if (!header) {
+            return { success: false, code: 'NOT_A_PDF', message: 'The uploaded file is not a PDF (no %PDF- header)' };
+        }
+
+        const trailer = tail.subarray(-TRAILER_SCAN_BYTES).toString('latin1');
+        if (!trailer.includes('%%EOF')) {
+            return {
+                success: false,
+                code: 'TRUNCATED_PDF',
+                message: 'The PDF appears to be truncated (no %%EOF marker); try uploading it again'
+            };
+        }
+
+        // Ghostscript can repair a missing offset, but one past the end of the file means data was lost
+        const startxref = trailer.match(/startxref\s+(\d+)\s+%%EOF(?![\s\S]*startxref)/);
+        if (startxref && parseInt(startxref[1], 10) >= size) {
+            return {
+                success: false,
+                code: 'TRUNCATED_PDF',
+                message: 'The PDF appears to be truncated (cross-reference table is missing)'
+            };
+        }
+
+        return {
+            success: true,
+            message: 'PDF structure is valid',
+            version: header[1],
+            encrypted: this._hasEncryptEntry(head) || this._hasEncryptEntry(tail),
+            bytes: size
+        };
+    }
+
+    /**
+     * Fully inspect a PDF: structure checks plus a page count from Ghostscript
+     * @param {string} filePath - Path to PDF
+     * @param {Object} options - { password } for encrypted PDFs, { signal } to cancel
+     * @returns {Promise<Object>} Result with success status, code and message on failure,
+     *   otherwise version, encrypted, pageCount and bytes
+     */
+    async inspect(filePath, { password, signal } = {}) {
+        const structure = await this.checkStructure(filePath);
+        if (!structure.success) {
+            return structure;
+        }
+
+        // Owner-password-only PDFs (restricted printing or copying) open without a password,
+        // so only ask for one once Ghostscript has failed to open the file
+        const pageCount = await pdfCompressor.getPageCount(filePath, { password, signal });
+        if (!pageCount) {
+            if (!structure.encrypted) {
+                return { success: false, code: 'CORRUPT_PDF', message: 'The PDF is damaged and its pages could not be read' };
+            }
+            return password
+                ? { success: false, code: 'INVALID_PASSWORD', message: 'The password for this PDF is incorrect.' }
+                : { success: false, code: 'PASSWORD_REQUIRED', message: 'This PDF is password-protected. Please provide its password.' };
+        }
+
+        return { ...structure, message: 'PDF is valid', pageCount };
+    }
+
+    /**
+     * Inspect a PDF and throw if it cannot be processed
+     * @param {string} filePath - Path to PDF
+     * @param {Object} options - { password } for encrypted PDFs
+     * @returns {Promise<Object>} Successful inspection result
+     * @throws {Error} Error with code and a message that is safe to show clients
+     */
+    async assertValid(filePath, options = {}) {
+        const inspection = await this.inspect(filePath, options);
+        if (!inspection.success) {
+            const error = new Error(inspection.message);
+            error.code = inspection.code;
+            error.expose = true;
+            throw error;
+        }
+        return inspection;
+    }
+
+    /**
+     * Check whether a PDF uses encryption
+     * Looks for an /Encrypt entry in the trailer near either end of the file
+     * @param {string} filePath - Path to PDF
+     * @returns {Promise<boolean>} True if the PDF is encrypted
+     */
+    async isEncrypted(filePath) {
+        const { head, tail } = await this._readEnds(filePath, ENCRYPT_SCAN_BYTES);
+        return this._hasEncryptEntry(head) || this._hasEncryptEntry(tail);
+    }
+
+    /**
+     * Read up to `length` bytes from the start and end of a file
+     * @private
+     */
+    async _readEnds(filePath, length) {
+        const handle = await fs.open(filePath, 'r');
+
+        try {
+            const { size } = await handle.stat();
+            const bytes = Math.min(size, length);
+            const head = Buffer.alloc(bytes);
+            const tail = Buffer.alloc(bytes);
+
+            await handle.read(head, 0, bytes, 0);
+            await handle.read(tail, 0, bytes, size - bytes);
+
+            return { size, head, tail };
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Whether a chunk of a PDF contains a trailer /Encrypt entry
+     * @private
+     */
+    _hasEncryptEntry(buffer) {
+        return /\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(buffer.toString('latin1'));
+    }
+}
+
+module.exports = new PDFInspector();
@@ -0,0 +1,106 @@
+/**
+ * PDF Merge Service
+ * Combines several PDFs into one with Ghostscript, optionally compressing in the same pass
+ */
+
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const pdfCompressor = require('./pdfCompressor');
+
+class PDFMerger {
+    constructor() {
+        this.maxFiles = config.merge.maxFiles;
+    }
+
+    /**
+     * Merge PDF files in the given order
+     * @param {Array<string>} inputPaths - Input PDFs, in output order
+     * @param {string} outputPath - Path for the merged PDF
+     * @param {Object} options - { settings, compress, onProgress }
+     * @returns {Promise<Object>} Merge results with statistics
+     */
+    async merge(inputPaths, outputPath, { settings = {}, compress = false, onProgress, signal } = {}) {
+        if (inputPaths.length < 2) {
+            throw new Error('At least two PDFs are required to merge');
+        }
+        if (inputPaths.length > this.maxFiles) {
+            throw new Error(`Cannot merge more than ${this.maxFiles} PDFs at once`);
+        }
+
+        try {
+            // Combined size of the inputs
+            let originalBytes = 0;
+            for (const inputPath of inputPaths) {
+                originalBytes += (await fileManager.getFileSize(inputPath)).bytes;
+            }
+
+            // Count pages of every input so progress covers the whole merge
+            let totalPages = null;
+            if (onProgress) {
+                const counts = await Promise.all(inputPaths.map(p => pdfCompressor.getPageCount(p, { signal })));
+                totalPages = counts.every(Boolean) ? counts.reduce((sum, c) => sum + c, 0) : null;
+            }
+
+            const effectiveSettings = compress ? settings : pdfCompressor.passthroughSettings;
+            const gsCommand = pdfCompressor.buildGhostscriptCommand(inputPaths, outputPath, effectiveSettings);
+
+            await pdfCompressor.executeGhostscript(gsCommand, {
+                onLine: onProgress && pdfCompressor.createProgressTracker(onProgress, totalPages),
+                signal
+            });
+
+            const mergedSize = await fileManager.getFileSize(outputPath);
+
+            return {
+                success: true,
+                fileCount: inputPaths.length,
+                totalPages,
+                compressed: compress,
+                preset: compress ? (effectiveSettings.label || null) : null,
+                originalSize: fileManager.formatBytes(originalBytes),
+                compressedSize: mergedSize.formatted,
+                originalBytes,
+                compressedBytes: mergedSize.bytes,
+                compressionRatio: pdfCompressor.calculateCompressionRatio(originalBytes, mergedSize.bytes),
+                savedBytes: originalBytes - mergedSize.bytes,
+                savedFormatted: fileManager.formatBytes(Math.max(0, originalBytes - mergedSize.bytes))
+            };
+        } catch (error) {
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError('Merge failed', error);
+        }
+    }
+
+    /**
+     * Parse a caller-specified file order
+     * @param {string|Array} order - Comma-separated or array of zero-based upload indices
+     * @param {number} fileCount - Number of uploaded files
+     * @returns {Object} Result with success status, message and index array
+     */
+    parseOrder(order, fileCount) {
+        const identity = Array.from({ length: fileCount }, (_, i) => i);
+        if (order === undefined || order === '') {
+            return { success: true, order: identity };
+        }
+
+        const indices = (Array.isArray(order) ? order : String(order).split(','))
+            .map(value => Number(String(value).trim()));
+
+        const isPermutation = indices.length === fileCount &&
+            indices.every(i => Number.isInteger(i) && i >= 0 && i < fileCount) &&
+            new Set(indices).size === fileCount;
+
+        if (!isPermutation) {
+            return {
+                success: false,
+                message: `order must list each file index from 0 to ${fileCount - 1} exactly once`
+            };
+        }
+
+        return { success: true, order: indices };
+    }
+}
+
+module.exports = new PDFMerger();
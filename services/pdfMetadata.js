@@ -0,0 +1,394 @@
+/**
+ * PDF Metadata Service
+ * Reads a PDF's document info and XMP packet, and builds the Ghostscript arguments
+ * that edit or scrub them when the PDF is rewritten
+ */
+
+const fs = require('fs');
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const ghostscriptEngine = require('./ghostscriptEngine');
+const pdfCompressor = require('./pdfCompressor');
+
+// Document info keys read from the trailer's /Info dictionary, by response field
+const INFO_KEYS = {
+    title: 'Title',
+    author: 'Author',
+    subject: 'Subject',
+    keywords: 'Keywords',
+    creator: 'Creator',
+    producer: 'Producer',
+    creationDate: 'CreationDate',
+    modDate: 'ModDate',
+    trapped: 'Trapped'
+};
+
+// Fields that can be set on a rewritten PDF (Producer is always Ghostscript's)
+const EDITABLE_FIELDS = ['title', 'author', 'subject', 'keywords', 'creator'];
+
+// Fields blanked by a scrub; the title is kept since it is usually wanted
+const SCRUBBED_FIELDS = ['author', 'creator'];
+
+// XMP properties reported, by response field
+const XMP_PROPERTIES = {
+    title: 'dc:title',
+    creator: 'dc:creator',
+    description: 'dc:description',
+    keywords: 'pdf:Keywords',
+    creatorTool: 'xmp:CreatorTool',
+    producer: 'pdf:Producer',
+    createDate: 'xmp:CreateDate',
+    modifyDate: 'xmp:ModifyDate',
+    metadataDate: 'xmp:MetadataDate',
+    documentId: 'xmpMM:DocumentID',
+    pdfaPart: 'pdfaid:part',
+    pdfaConformance: 'pdfaid:conformance'
+};
+
+const XMP_OPEN = '<x:xmpmeta';
+const XMP_CLOSE = '</x:xmpmeta>';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class PDFMetadata {
+    constructor() {
+        this.settings = config.metadata;
+    }
+
+    /**
+     * Read a PDF's document info and XMP metadata
+     * @param {string} filePath - Path to PDF
+     * @param {Object} options - { password } for encrypted PDFs, { signal } to cancel
+     * @returns {Promise<Object>} { info, xmp }: info has a value (or null) per INFO_KEYS field,
+     *   dates as ISO strings; xmp is null when no uncompressed XMP packet was found
+     */
+    async read(filePath, { password, signal } = {}) {
+        const [info, xmp] = await Promise.all([
+            this._readInfo(filePath, { password, signal }),
+            this._readXmp(filePath)
+        ]);
+        return { info, xmp };
+    }
+
+    /**
+     * Validate metadata edits
+     * Blank fields are left as they are; scrub removes author, creator tool, dates and XMP
+     * @param {Object} data - Raw fields (title, author, subject, keywords, creator, scrub)
+     * @param {Object} options - { requireChange } to reject requests that would change nothing
+     * @returns {Object} Validation result with success status, message and { fields, scrub } options
+     */
+    validateEdits(data = {}, { requireChange = false } = {}) {
+        const fields = {};
+
+        for (const name of EDITABLE_FIELDS) {
+            const value = typeof data[name] === 'string' ? data[name].trim() : '';
+            if (!value) continue;
+            if (value.length > this.settings.maxFieldLength) {
+                return {
+                    success: false,
+                    message: `${name} must be at most ${this.settings.maxFieldLength} characters`
+                };
+            }
+            fields[name] = value;
+        }
+
+        const scrub = data.scrub === true || data.scrub === 'true';
+        if (requireChange && !scrub && Object.keys(fields).length === 0) {
+            return { success: false, message: 'Enter at least one metadata field, or choose to remove metadata' };
+        }
+        if (scrub && !ghostscriptEngine.supports('omitMetadata')) {
+            return {
+                success: false,
+                code: 'SCRUB_UNSUPPORTED',
+                message: 'Removing metadata needs Ghostscript 9.56 or newer on the server'
+            };
+        }
+
+        return { success: true, message: 'Metadata is valid', options: { fields, scrub } };
+    }
+
+    /**
+     * Add metadata edits to compression settings
+     * @param {Object} settings - Settings from profileManager.resolveSettings
+     * @param {Object|null} edits - { fields, scrub } from validateEdits, or null for none
+     * @returns {Object} Settings whose Ghostscript command applies the edits
+     */
+    applyToSettings(settings, edits) {
+        const { fields = {}, scrub = false } = edits || {};
+        const docinfo = {};
+        if (scrub) {
+            // pdfwrite copies the source's info; empty values overwrite it
+            for (const name of SCRUBBED_FIELDS) {
+                docinfo[INFO_KEYS[name]] = '';
+            }
+        }
+        for (const [name, value] of Object.entries(fields)) {
+            docinfo[INFO_KEYS[name]] = value;
+        }
+
+        if (!scrub && Object.keys(docinfo).length === 0) {
+            return settings;
+        }
+
+        const entries = Object.entries(docinfo).map(([key, value]) => `/${key} ${this._postscriptString(value)}`);
+        return {
+            ...settings,
+            options: {
+                ...settings.options,
+                ...(scrub ? { dOmitInfoDate: true, dOmitXMP: true } : {})
+            },
+            postscript: [...(settings.postscript || []), `[ ${entries.join(' ')} /DOCINFO pdfmark`]
+        };
+    }
+
+    /**
+     * Rewrite a PDF with edited or scrubbed metadata, leaving its content as it is
+     * @param {string} inputPath - Path to input PDF
+     * @param {string} outputPath - Path for the output PDF
+     * @param {Object} options - { fields, scrub } from validateEdits, plus password, onProgress and signal
+     * @returns {Promise<Object>} Result with output size and the output's metadata
+     */
+    async edit(inputPath, outputPath, { fields, scrub, password, onProgress, signal }) {
+        try {
+            const settings = this.applyToSettings(pdfCompressor.passthroughSettings, { fields, scrub });
+            const gsCommand = [
+                ...pdfCompressor.passwordArgs(password),
+                ...pdfCompressor.buildGhostscriptCommand(inputPath, outputPath, settings)
+            ];
+
+            const totalPages = onProgress ? await pdfCompressor.getPageCount(inputPath, { password, signal }) : null;
+            await pdfCompressor.executeGhostscript(gsCommand, {
+                onLine: onProgress && pdfCompressor.createProgressTracker(onProgress, totalPages),
+                signal
+            });
+
+            const size = await fileManager.getFileSize(outputPath);
+            const metadata = await this.read(outputPath, { signal });
+
+            return {
+                success: true,
+                scrubbed: Boolean(scrub),
+                updatedFields: Object.keys(fields),
+                metadata,
+                size: size.formatted,
+                bytes: size.bytes
+            };
+        } catch (error) {
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError('Metadata update failed', error);
+        }
+    }
+
+    /**
+     * Read the /Info dictionary with Ghostscript, which copes with object streams and encryption
+     * @private
+     */
+    async _readInfo(filePath, { password, signal }) {
+        const psPath = filePath.replace(/\\/g, '/').replace(/([()])/g, '\\$1');
+        const keys = Object.values(INFO_KEYS).map(key => `/${key}`).join(' ');
+        const info = Object.fromEntries(Object.keys(INFO_KEYS).map(name => [name, null]));
+
+        // Prints one "/Key value" line per entry, strings in PostScript (escaped) syntax
+        const output = await pdfCompressor.executeGhostscript([
+            '-q',
+            '-dNODISPLAY',
+            '-dSAFER',
+            ...(ghostscriptEngine.supports('permitFileRead') ? [`--permit-file-read=${filePath}`] : []),
+            '-dBATCH',
+            '-dNOPAUSE',
+            ...pdfCompressor.passwordArgs(password),
+            '-c',
+            `(${psPath}) (r) file runpdfbegin Trailer /Info knownoget { [ ${keys} ] ` +
+            '{ 2 copy knownoget { exch ==only ( ) print ==only (\\n) print } { pop } ifelse } forall pop } if quit'
+        ], { signal });
+
+        const names = Object.fromEntries(Object.entries(INFO_KEYS).map(([name, key]) => [key, name]));
+        for (const line of output.split(/\r?\n/)) {
+            const match = line.match(/^\/(\w+) (.*)$/);
+            if (!match || !names[match[1]]) continue;
+
+            const name = names[match[1]];
+            const value = this.parsePostscriptValue(match[2]);
+            info[name] = name.endsWith('Date') ? this._parseDate(value) : value;
+        }
+
+        return info;
+    }
+
+    /**
+     * Find the last XMP packet in the file (incremental saves append the newest)
+     * Streams the file so large PDFs are not held in memory; packets in compressed
+     * streams cannot be seen this way
+     * @private
+     */
+    async _readXmp(filePath) {
+        const { maxXmpBytes } = this.settings;
+        let buffer = '';
+        let packet = null;
+
+        for await (const chunk of fs.createReadStream(filePath)) {
+            buffer += chunk.toString('latin1');
+
+            for (;;) {
+                const start = buffer.indexOf(XMP_OPEN);
+                if (start === -1) {
+                    // Keep enough to find an opening tag split across chunks
+                    buffer = buffer.slice(-XMP_OPEN.length);
+                    break;
+                }
+                const end = buffer.indexOf(XMP_CLOSE, start);
+                if (end === -1) {
+                    buffer = buffer.slice(start);
+                    if (buffer.length > maxXmpBytes) {
+                        buffer = buffer.slice(XMP_OPEN.length); // Not a packet we will read; look past it
+                        continue;
+                    }
+                    break;
+                }
+                packet = buffer.slice(start, end + XMP_CLOSE.length);
+                buffer = buffer.slice(end + XMP_CLOSE.length);
+            }
+        }
+
+        if (!packet) {
+            return null;
+        }
+
+        const xml = Buffer.from(packet, 'latin1').toString('utf8');
+        const properties = {};
+        for (const [name, property] of Object.entries(XMP_PROPERTIES)) {
+            properties[name] = this._xmpValue(xml, property);
+        }
+
+        return { bytes: Buffer.byteLength(xml), properties };
+    }
+
+    /**
+     * Value of an XMP property written as an element (possibly an rdf list) or an attribute
+     * @private
+     */
+    _xmpValue(xml, property) {
+        const element = xml.match(new RegExp(`<${property}(?:\\s[^>]*)?>([\\s\\S]*?)</${property}>`));
+        if (element) {
+            const items = [...element[1].matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)].map(item => item[1]);
+            const values = (items.length > 0 ? items : [element[1]])
+                .map(value => this._decodeXml(value.replace(/<[^>]*>/g, '')).trim())
+                .filter(Boolean);
+            return values.length > 0 ? values.join('; ') : null;
+        }
+
+        const attribute = xml.match(new RegExp(`\\s${property}=(?:"([^"]*)"|'([^']*)')`));
+        return attribute ? this._decodeXml(attribute[1] !== undefined ? attribute[1] : attribute[2]) : null;
+    }
+
+    /**
+     * Replace XML character and entity references
+     * @private
+     */
+    _decodeXml(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, ref) => {
+            if (ref[0] === '#') {
+                const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return XML_ENTITIES[ref] !== undefined ? XML_ENTITIES[ref] : entity;
+        });
+    }
+
+    /**
+     * Convert a value printed by PostScript's == into a JavaScript value
+     * Strings are decoded as PDF text strings (UTF-16 with a byte order mark, else PDFDocEncoding)
+     * @param {string} text - Printed value such as (Annual report) or /Name
+     * @returns {string|boolean} The value
+     */
+    parsePostscriptValue(text) {
+        if (text.startsWith('(')) {
+            return this._decodeTextString(this._unescapePostscript(text.slice(1, -1)));
+        }
+        if (text.startsWith('/')) {
+            return text.slice(1);
+        }
+        if (text === 'true' || text === 'false') {
+            return text === 'true';
+        }
+        return text;
+    }
+
+    /**
+     * Bytes of a PostScript string literal body
+     * @private
+     */
+    _unescapePostscript(body) {
+        const escapes = { n: 0x0a, r: 0x0d, t: 0x09, b: 0x08, f: 0x0c };
+        const bytes = [];
+
+        for (let i = 0; i < body.length; i++) {
+            if (body[i] !== '\\') {
+                bytes.push(body.charCodeAt(i) & 0xff);
+                continue;
+            }
+            const next = body[++i];
+            const octal = body.slice(i).match(/^[0-7]{1,3}/);
+            if (octal) {
+                bytes.push(parseInt(octal[0], 8) & 0xff);
+                i += octal[0].length - 1;
+            } else if (escapes[next] !== undefined) {
+                bytes.push(escapes[next]);
+            } else if (next !== undefined) {
+                bytes.push(next.charCodeAt(0) & 0xff);
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Decode a PDF text string: UTF-16BE or UTF-8 with a byte order mark, otherwise
+     * PDFDocEncoding (read as Latin-1, which matches it for printable characters)
+     * @private
+     */
+    _decodeTextString(bytes) {
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+            const utf16 = Buffer.from(bytes.subarray(2, bytes.length - (bytes.length % 2)));
+            return utf16.swap16().toString('utf16le');
+        }
+        if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+            return bytes.subarray(3).toString('utf8');
+        }
+        return bytes.toString('latin1');
+    }
+
+    /**
+     * Convert a PDF date (D:YYYYMMDDHHmmSSOHH'mm') to an ISO string, or keep it if unreadable
+     * @private
+     */
+    _parseDate(value) {
+        const match = typeof value === 'string' &&
+            value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*(Z|[+-])?(\d{2})?'?(\d{2})?'?$/);
+        if (!match) {
+            return value;
+        }
+
+        const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+        const offset = sign && sign !== 'Z' ? `${sign}${offsetHours}:${offsetMinutes}` : 'Z';
+        const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+        return Number.isNaN(date.getTime()) ? value : date.toISOString();
+    }
+
+    /**
+     * PostScript hex string holding a PDF text string (UTF-16BE with a byte order mark)
+     * Hex keeps user input from being read as PostScript
+     * @private
+     */
+    _postscriptString(value) {
+        if (!value) {
+            return '()';
+        }
+        const utf16 = Buffer.from(value, 'utf16le').swap16();
+        return `<FEFF${utf16.toString('hex').toUpperCase()}>`;
+    }
+}
+
+module.exports = new PDFMetadata();
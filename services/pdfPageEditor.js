@@ -0,0 +1,284 @@
+/**
+ * PDF Page Editor Service
+ * Rotates, deletes and reorders pages in a single Ghostscript pass
+ */
+
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const ghostscriptEngine = require('./ghostscriptEngine');
+const pdfCompressor = require('./pdfCompressor');
+const pdfSplitter = require('./pdfSplitter');
+
+const OPERATIONS = ['rotate', 'delete', 'move'];
+
+class PDFPageEditor {
+    constructor() {
+        this.settings = config.pages;
+    }
+
+    /**
+     * Parse and check a list of page operations
+     * Page numbers are only checked against the document when it is edited
+     * @param {string|Array<Object>} raw - JSON array (or the parsed array) of operations:
+     *   { op: 'rotate', pages, angle }   angle is a multiple of 90, clockwise
+     *   { op: 'delete', pages }
+     *   { op: 'move', pages, to }        pages are placed, in the given order, at position `to`
+     *   pages is an array of page numbers or a range expression such as "2,9" or "3-5"
+     * @returns {Object} Validation result with success status, message and normalized operations
+     */
+    parseOperations(raw) {
+        let operations = raw;
+        if (typeof raw === 'string') {
+            try {
+                operations = JSON.parse(raw);
+            } catch (error) {
+                return { success: false, message: 'Page operations must be a JSON array' };
+            }
+        }
+
+        if (!Array.isArray(operations) || operations.length === 0) {
+            return { success: false, message: 'Page operations must be a non-empty JSON array' };
+        }
+        if (operations.length > this.settings.maxOperations) {
+            return { success: false, message: `At most ${this.settings.maxOperations} page operations are allowed` };
+        }
+
+        const normalized = [];
+        for (const [index, operation] of operations.entries()) {
+            const label = `Operation ${index + 1}`;
+            if (!operation || typeof operation !== 'object' || !OPERATIONS.includes(operation.op)) {
+                return { success: false, message: `${label}: "op" must be one of ${OPERATIONS.join(', ')}` };
+            }
+
+            const pages = this._checkPages(operation.pages);
+            if (!pages.success) {
+                return { success: false, message: `${label}: ${pages.message}` };
+            }
+            const entry = { op: operation.op, pages: operation.pages };
+
+            if (operation.op === 'rotate') {
+                const angle = Number(operation.angle);
+                if (!Number.isInteger(angle) || angle % 90 !== 0 || angle % 360 === 0) {
+                    return { success: false, message: `${label}: "angle" must be 90, 180 or 270 (or -90)` };
+                }
+                entry.angle = ((angle % 360) + 360) % 360;
+            }
+
+            if (operation.op === 'move') {
+                const to = Number(operation.to);
+                if (!Number.isInteger(to) || to < 1) {
+                    return { success: false, message: `${label}: "to" must be a position from 1` };
+                }
+                entry.to = to;
+            }
+
+            normalized.push(entry);
+        }
+
+        return { success: true, message: 'Operations are valid', operations: normalized };
+    }
+
+    /**
+     * Work out the resulting document: which original pages, in what order, with what rotation
+     * Operations refer to original page numbers and apply in order
+     * @param {Array<Object>} operations - Operations from parseOperations
+     * @param {number} totalPages - Page count of the document
+     * @returns {Object} Result with success status, message and pages ({ page, rotate })
+     */
+    plan(operations, totalPages) {
+        let pages = Array.from({ length: totalPages }, (_, i) => ({ page: i + 1, rotate: 0 }));
+
+        for (const [index, operation] of operations.entries()) {
+            const label = `Operation ${index + 1}`;
+            const numbers = this._expandPages(operation.pages, totalPages);
+            if (!numbers.success) {
+                return { success: false, message: `${label}: ${numbers.message}` };
+            }
+
+            const missing = numbers.pages.find(page => !pages.some(entry => entry.page === page));
+            if (missing !== undefined) {
+                return { success: false, message: `${label}: page ${missing} was already deleted` };
+            }
+
+            const selected = new Set(numbers.pages);
+            if (operation.op === 'rotate') {
+                pages = pages.map(entry => (selected.has(entry.page)
+                    ? { ...entry, rotate: (entry.rotate + operation.angle) % 360 }
+                    : entry));
+            } else if (operation.op === 'delete') {
+                pages = pages.filter(entry => !selected.has(entry.page));
+            } else {
+                const moved = numbers.pages.map(page => pages.find(entry => entry.page === page));
+                const rest = pages.filter(entry => !selected.has(entry.page));
+                if (operation.to > rest.length + 1) {
+                    return {
+                        success: false,
+                        message: `${label}: position ${operation.to} is past the end (${rest.length + 1})`
+                    };
+                }
+                pages = [...rest.slice(0, operation.to - 1), ...moved, ...rest.slice(operation.to - 1)];
+            }
+        }
+
+        if (pages.length === 0) {
+            return { success: false, message: 'The operations would delete every page' };
+        }
+
+        return { success: true, message: 'Plan is valid', pages };
+    }
+
+    /**
+     * Apply page operations to a PDF
+     * @param {string} inputPath - Path to input PDF
+     * @param {string} outputPath - Path for the output PDF
+     * @param {Object} options - { operations, settings, compress, password, onProgress, signal }
+     *   settings (from profileManager.resolveSettings) are only used when compress is set
+     * @returns {Promise<Object>} Result with the resulting page order, rotations and output size
+     */
+    async apply(inputPath, outputPath, options) {
+        const { operations, compress = false, password, onProgress, signal } = options;
+
+        try {
+            const totalPages = await pdfCompressor.getPageCount(inputPath, { password, signal });
+            if (!totalPages) {
+                throw new Error('Could not determine the page count of this PDF');
+            }
+
+            const plan = this.plan(operations, totalPages);
+            if (!plan.success) {
+                throw this._operationError(plan.message);
+            }
+
+            const order = plan.pages.map(entry => entry.page);
+            const reordered = order.some((page, index) => index > 0 && page < order[index - 1]);
+            if (reordered && !ghostscriptEngine.supports('newInterpreter')) {
+                throw this._operationError(
+                    'Reordering pages needs Ghostscript 10.0 or newer on the server',
+                    'REORDER_UNSUPPORTED'
+                );
+            }
+
+            const settings = compress ? options.settings : pdfCompressor.passthroughSettings;
+            const gsCommand = [
+                ...pdfCompressor.passwordArgs(password),
+                ...this.pageListArgs(order, totalPages),
+                ...pdfCompressor.buildGhostscriptCommand(inputPath, outputPath, {
+                    ...settings,
+                    postscript: [...(settings.postscript || []), ...this.rotationMarks(plan.pages)]
+                })
+            ];
+
+            await pdfCompressor.executeGhostscript(gsCommand, {
+                onLine: onProgress && pdfCompressor.createProgressTracker(onProgress, order.length),
+                signal
+            });
+
+            const size = await fileManager.getFileSize(outputPath);
+            return {
+                success: true,
+                totalPages,
+                pageCount: order.length,
+                order,
+                deleted: totalPages - order.length,
+                rotated: plan.pages.filter(entry => entry.rotate !== 0).length,
+                reordered,
+                compressed: compress,
+                size: size.formatted,
+                bytes: size.bytes
+            };
+        } catch (error) {
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError('Page editing failed', error);
+        }
+    }
+
+    /**
+     * Ghostscript arguments selecting pages in order
+     * Runs of consecutive pages are written as ranges; nothing is needed to keep every page
+     * @param {Array<number>} order - Original page numbers in output order
+     * @param {number} totalPages - Page count of the document
+     * @returns {Array<string>} Ghostscript arguments
+     */
+    pageListArgs(order, totalPages) {
+        if (order.length === totalPages && order.every((page, index) => page === index + 1)) {
+            return [];
+        }
+
+        const runs = [];
+        for (const page of order) {
+            const run = runs[runs.length - 1];
+            if (run && page === run.last + 1) {
+                run.last = page;
+            } else {
+                runs.push({ first: page, last: page });
+            }
+        }
+
+        return [`-sPageList=${runs.map(r => (r.first === r.last ? r.first : `${r.first}-${r.last}`)).join(',')}`];
+    }
+
+    /**
+     * pdfmarks setting /Rotate on output pages
+     * pdfwrite draws each page as it is displayed (AutoRotatePages is /None), so the
+     * new /Rotate is just the requested turn; {PageN} counts output pages
+     * @param {Array<Object>} pages - Planned pages ({ page, rotate }) in output order
+     * @returns {Array<string>} PostScript run after the input
+     */
+    rotationMarks(pages) {
+        return pages
+            .map((entry, index) => ({ ...entry, position: index + 1 }))
+            .filter(entry => entry.rotate !== 0)
+            .map(entry => `[ {Page${entry.position}} << /Rotate ${entry.rotate} >> /PUT pdfmark`);
+    }
+
+    /**
+     * Check a pages value without a page count
+     * @private
+     */
+    _checkPages(pages) {
+        if (typeof pages === 'string') {
+            return pdfSplitter.parseRanges(pages);
+        }
+        if (Array.isArray(pages) && pages.length > 0 && pages.every(page => Number.isInteger(page) && page >= 1)) {
+            return { success: true };
+        }
+        return { success: false, message: '"pages" must be page numbers (e.g. [2, 9]) or ranges (e.g. "3-5")' };
+    }
+
+    /**
+     * Page numbers of a pages value, checked against the page count
+     * @private
+     */
+    _expandPages(pages, totalPages) {
+        let numbers = pages;
+        if (typeof pages === 'string') {
+            const parsed = pdfSplitter.parseRanges(pages, totalPages);
+            if (!parsed.success) {
+                return parsed;
+            }
+            numbers = parsed.ranges.flatMap(r => Array.from({ length: r.last - r.first + 1 }, (_, i) => r.first + i));
+        }
+
+        const outside = numbers.find(page => page > totalPages);
+        if (outside !== undefined) {
+            return { success: false, message: `page ${outside} is outside the document (1-${totalPages})` };
+        }
+
+        return { success: true, pages: [...new Set(numbers)] };
+    }
+
+    /**
+     * Error for operations that don't fit the document; the message is safe to show clients
+     * @private
+     */
+    _operationError(message, code = 'INVALID_PAGE_OPERATION') {
+        const error = new Error(message);
+        error.code = code;
+        error.expose = true;
+        return error;
+    }
+}
+
+module.exports = new PDFPageEditor();
@@ -0,0 +1,141 @@
+/**
+ * PDF Protection Service
+ * Adds and removes password protection with Ghostscript's standard security handler
+ */
+
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const pdfCompressor = require('./pdfCompressor');
+
+// Permission bits from the PDF specification (Table 22)
+const PERMISSION_BITS = {
+    print: 1 << 2,
+    modify: 1 << 3,
+    copy: 1 << 4,
+    annotate: 1 << 5,
+    fillForms: 1 << 8,
+    extractForAccessibility: 1 << 9,
+    assemble: 1 << 10,
+    printHighQuality: 1 << 11
+};
+
+// Reserved bits that must be set for revision 3 (all permissions cleared)
+const PERMISSION_BASE = 0xFFFFF0C0;
+
+class PDFProtector {
+    constructor() {
+        this.settings = config.protect;
+    }
+
+    /**
+     * Validate protection options
+     * @param {Object} data - Raw request fields
+     * @returns {Object} Validation result with success status, message and normalized options
+     */
+    validateOptions(data = {}) {
+        const { minPasswordLength, maxPasswordLength } = this.settings;
+        const ownerPassword = data.ownerPassword || '';
+        const userPassword = data.userPassword || '';
+
+        if (!ownerPassword) {
+            return { success: false, message: 'An owner password is required' };
+        }
+
+        for (const [label, password] of [['Owner', ownerPassword], ['User', userPassword]]) {
+            if (!password) continue;
+            if (password.length < minPasswordLength || password.length > maxPasswordLength) {
+                return {
+                    success: false,
+                    message: `${label} password must be ${minPasswordLength}-${maxPasswordLength} characters`
+                };
+            }
+            if (!/^[\x20-\x7E]+$/.test(password)) {
+                return { success: false, message: `${label} password may only contain printable ASCII characters` };
+            }
+        }
+
+        if (userPassword && userPassword === ownerPassword) {
+            return { success: false, message: 'User and owner passwords must be different' };
+        }
+
+        // Everything is allowed unless explicitly turned off (e.g. allowPrint=false)
+        const permissions = {};
+        for (const name of Object.keys(PERMISSION_BITS)) {
+            const field = data[`allow${name.charAt(0).toUpperCase()}${name.slice(1)}`];
+            permissions[name] = !(field === false || field === 'false');
+        }
+
+        return {
+            success: true,
+            message: 'Options are valid',
+            options: { ownerPassword, userPassword, permissions }
+        };
+    }
+
+    /**
+     * Encrypt a PDF with passwords and permission flags
+     * @param {string} inputPath - Path to input PDF
+     * @param {string} outputPath - Path for protected PDF
+     * @param {Object} options - Normalized options from validateOptions, plus onProgress,
+     *   signal and password (to open an input that is already encrypted)
+     * @returns {Promise<Object>} Result with output size and applied permissions
+     */
+    async protect(inputPath, outputPath, { ownerPassword, userPassword, permissions, password, onProgress, signal }) {
+        try {
+            const gsCommand = [
+                ...pdfCompressor.passwordArgs(password),
+                `-sOwnerPassword=${ownerPassword}`,
+                ...(userPassword ? [`-sUserPassword=${userPassword}`] : []),
+                `-dEncryptionR=${this.settings.encryptionRevision}`,
+                `-dKeyLength=${this.settings.keyLength}`,
+                `-dPermissions=${this.permissionValue(permissions)}`,
+                ...pdfCompressor.buildGhostscriptCommand(inputPath, outputPath, pdfCompressor.passthroughSettings)
+            ];
+
+            await this._run(inputPath, gsCommand, { password, onProgress, signal });
+            const size = await fileManager.getFileSize(outputPath);
+
+            return {
+                success: true,
+                requiresPasswordToOpen: Boolean(userPassword),
+                permissions,
+                size: size.formatted,
+                bytes: size.bytes
+            };
+        } catch (error) {
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError('Protection failed', error);
+        }
+    }
+
+    /**
+     * Compute the /P value for a set of permissions
+     * @param {Object} permissions - Map of permission name to boolean
+     * @returns {number} Signed 32-bit permission value
+     */
+    permissionValue(permissions) {
+        let value = PERMISSION_BASE;
+        for (const [name, bit] of Object.entries(PERMISSION_BITS)) {
+            if (permissions[name]) {
+                value |= bit;
+            }
+        }
+        return value | 0;
+    }
+
+    /**
+     * Run Ghostscript with page progress
+     * @private
+     */
+    async _run(inputPath, gsCommand, { password, onProgress, signal }) {
+        const totalPages = onProgress ? await pdfCompressor.getPageCount(inputPath, { password, signal }) : null;
+        await pdfCompressor.executeGhostscript(gsCommand, {
+            onLine: onProgress && pdfCompressor.createProgressTracker(onProgress, totalPages),
+            signal
+        });
+    }
+}
+
+module.exports = new PDFProtector();
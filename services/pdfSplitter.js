@@ -0,0 +1,220 @@
+/**
+ * PDF Split Service
+ * Extracts page ranges or fixed-size chunks of a PDF into one or more output files
+ */
+
+const path = require('path');
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const ghostscriptEngine = require('./ghostscriptEngine');
+const pdfCompressor = require('./pdfCompressor');
+const pdfInspector = require('./pdfInspector');
+
+class PDFSplitter {
+    constructor() {
+        this.maxOutputs = config.split.maxOutputs;
+    }
+
+    /**
+     * Parse a page-range expression such as "1-3,5,8-"
+     * Without a page count only the syntax is checked
+     * @param {string} expression - Comma-separated pages and ranges; "8-" runs to the last page
+     * @param {number} totalPages - Page count of the document
+     * @returns {Object} Result with success status, message and ranges ({ first, last })
+     */
+    parseRanges(expression, totalPages = Infinity) {
+        const parts = String(expression || '').split(',').map(part => part.trim()).filter(Boolean);
+        if (parts.length === 0) {
+            return { success: false, message: 'Page ranges are required (e.g. "1-3,5,8-")' };
+        }
+
+        const ranges = [];
+        for (const part of parts) {
+            const single = part.match(/^(\d+)$/);
+            const range = part.match(/^(\d*)\s*-\s*(\d*)$/);
+            if (!single && (!range || (!range[1] && !range[2]))) {
+                return { success: false, message: `Invalid page range "${part}"` };
+            }
+
+            const first = single ? parseInt(single[1], 10) : (range[1] ? parseInt(range[1], 10) : 1);
+            const last = single ? first : (range[2] ? parseInt(range[2], 10) : totalPages);
+
+            if (first < 1) {
+                return { success: false, message: `Page range "${part}" is invalid; pages start at 1` };
+            }
+            if (first > last) {
+                return { success: false, message: `Page range "${part}" is reversed` };
+            }
+            if (last > totalPages) {
+                return {
+                    success: false,
+                    message: `Page range "${part}" is outside the document (1-${totalPages})`
+                };
+            }
+
+            ranges.push({ first, last });
+        }
+
+        return { success: true, message: 'Ranges are valid', ranges };
+    }
+
+    /**
+     * Build ranges of N pages each covering the whole document
+     * @param {number} every - Pages per output file
+     * @param {number} totalPages - Page count of the document
+     * @returns {Object} Result with success status, message and ranges
+     */
+    chunkRanges(every, totalPages) {
+        const size = Number(every);
+        if (!Number.isInteger(size) || size < 1) {
+            return { success: false, message: '"every" must be a whole number of pages' };
+        }
+
+        const ranges = [];
+        for (let first = 1; first <= totalPages; first += size) {
+            ranges.push({ first, last: Math.min(first + size - 1, totalPages) });
+        }
+
+        return { success: true, message: 'Ranges are valid', ranges };
+    }
+
+    /**
+     * Split a PDF
+     * @param {string} inputPath - Path to input PDF
+     * @param {string} outputDir - Directory for output PDFs
+     * @param {Object} options - { ranges, every, single, namePrefix, settings, compress, password, onProgress, signal }
+     *   ranges: page-range expression; every: pages per file; single: put all ranges in one PDF;
+     *   password: opens an encrypted input
+     * @returns {Promise<Object>} Split results with one entry per output file
+     */
+    async split(inputPath, outputDir, options = {}) {
+        const { single = false, namePrefix = 'split', compress = false, password, onProgress, signal } = options;
+
+        // Locked files fail with PASSWORD_REQUIRED or INVALID_PASSWORD so the user is asked again
+        const { pageCount: totalPages } = await pdfInspector.assertValid(inputPath, { password, signal });
+
+        const parsed = options.every !== undefined
+            ? this.chunkRanges(options.every, totalPages)
+            : this.parseRanges(options.ranges, totalPages);
+        if (!parsed.success) {
+            throw this._rangeError(parsed.message);
+        }
+
+        const ranges = parsed.ranges;
+        if (!single && ranges.length > this.maxOutputs) {
+            throw this._rangeError(`Split would produce ${ranges.length} files; the limit is ${this.maxOutputs}`);
+        }
+
+        // Before 10.0, Ghostscript extracts a page list in document order and each page only once
+        const reordered = ranges.some((range, index) => index > 0 && range.first <= ranges[index - 1].last);
+        if (single && reordered && !ghostscriptEngine.supports('newInterpreter')) {
+            throw this._rangeError(
+                'Extracting pages out of order or more than once needs Ghostscript 10.0 or newer on the server',
+                'REORDER_UNSUPPORTED'
+            );
+        }
+
+        const files = [];
+
+        try {
+            const settings = compress ? options.settings : pdfCompressor.passthroughSettings;
+            const stamp = fileManager.outputStamp();
+
+            // Either one job per range, or every range collected into a single page list
+            const outputs = single
+                ? [{ ranges, label: ranges.map(r => this._formatRange(r)).join(',') }]
+                : ranges.map(range => ({ ranges: [range], label: this._formatRange(range) }));
+
+            const pageTotal = outputs.reduce((sum, o) => sum + this._countPages(o.ranges), 0);
+            let pagesDone = 0;
+
+            for (const [index, output] of outputs.entries()) {
+                const suffix = outputs.length === 1 ? '' : `-${index + 1}`;
+                const filename = `${namePrefix}-p${output.label.replace(/,/g, '_')}-${stamp}${suffix}.pdf`;
+                const outputPath = path.join(outputDir, filename);
+
+                const gsCommand = [
+                    ...pdfCompressor.passwordArgs(password),
+                    ...this.pageSelectionArgs(output.ranges),
+                    ...pdfCompressor.buildGhostscriptCommand(inputPath, outputPath, settings)
+                ];
+
+                const outputPages = this._countPages(output.ranges);
+                const done = pagesDone;
+                await pdfCompressor.executeGhostscript(gsCommand, {
+                    onLine: onProgress && pdfCompressor.createProgressTracker((progress) => {
+                        onProgress({ page: done + Math.min(progress.page, outputPages), totalPages: pageTotal });
+                    }, outputPages),
+                    signal
+                });
+                pagesDone += outputPages;
+
+                const size = await fileManager.getFileSize(outputPath);
+                files.push({
+                    filename,
+                    pages: output.label,
+                    pageCount: outputPages,
+                    size: size.formatted,
+                    bytes: size.bytes
+                });
+            }
+
+            return {
+                success: true,
+                totalPages,
+                fileCount: files.length,
+                files
+            };
+        } catch (error) {
+            // Don't leave part of a split behind (e.g. when the job is cancelled midway)
+            await Promise.all(files.map(file => fileManager.deleteFile(path.join(outputDir, file.filename))));
+
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError('Split failed', error);
+        }
+    }
+
+    /**
+     * Ghostscript arguments selecting the given ranges
+     * A single range uses FirstPage/LastPage; several use PageList
+     * @param {Array<Object>} ranges - Ranges from parseRanges ({ first, last })
+     * @returns {Array<string>} Ghostscript arguments
+     */
+    pageSelectionArgs(ranges) {
+        if (ranges.length === 1) {
+            return [`-dFirstPage=${ranges[0].first}`, `-dLastPage=${ranges[0].last}`];
+        }
+        return [`-sPageList=${ranges.map(r => `${r.first}-${r.last}`).join(',')}`];
+    }
+
+    /**
+     * Error for ranges that don't fit the document; the message is safe to show clients
+     * @private
+     */
+    _rangeError(message, code = 'INVALID_PAGE_RANGE') {
+        const error = new Error(message);
+        error.code = code;
+        error.expose = true;
+        return error;
+    }
+
+    /**
+     * Number of pages covered by ranges
+     * @private
+     */
+    _countPages(ranges) {
+        return ranges.reduce((sum, r) => sum + (r.last - r.first + 1), 0);
+    }
+
+    /**
+     * Format a range for filenames and results ("5" or "3-7")
+     * @private
+     */
+    _formatRange({ first, last }) {
+        return first === last ? String(first) : `${first}-${last}`;
+    }
+}
+
+module.exports = new PDFSplitter();
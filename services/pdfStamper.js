@@ -0,0 +1,341 @@
+/**
+ * PDF Stamper Service
+ * Overlays text such as a CONFIDENTIAL watermark or "Page {n} of {total}" numbering
+ * The text is drawn by a PostScript EndPage procedure while pdfwrite copies each page,
+ * so stamping can share a pass with compression
+ */
+
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const ghostscriptEngine = require('./ghostscriptEngine');
+const pdfCompressor = require('./pdfCompressor');
+const pdfSplitter = require('./pdfSplitter');
+
+const POSITIONS = ['center', 'top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+const PLACEHOLDER = /\{([^{}]*)\}/g;
+const MAX_NUMBER_WIDTH = 10;
+
+class PDFStamper {
+    constructor() {
+        this.settings = config.stamp;
+    }
+
+    /**
+     * Check stamp options and fill in defaults for the position
+     * @param {Object} data - { text, position, fontSize, opacity, angle, color, pages, startAt }
+     *   text may contain {n} (page number), {n:6} (page number padded to 6 digits) and {total};
+     *   startAt is the number given to the first page (e.g. to continue Bates numbering)
+     * @returns {Object} Validation result with success status, message and options ({ stamp })
+     */
+    validateStamp(data = {}) {
+        const text = typeof data.text === 'string' ? data.text.trim() : '';
+        if (!text) {
+            return { success: false, message: 'Stamp text is required' };
+        }
+        if (text.length > this.settings.maxTextLength) {
+            return { success: false, message: `Stamp text must be at most ${this.settings.maxTextLength} characters` };
+        }
+        // The standard fonts only cover ASCII reliably
+        if (!/^[\x20-\x7E]+$/.test(text)) {
+            return { success: false, message: 'Stamp text may only contain letters, digits, spaces and ASCII punctuation' };
+        }
+        const template = this._parseTemplate(text);
+        if (!template.success) {
+            return template;
+        }
+
+        const position = data.position ? String(data.position) : 'center';
+        if (!POSITIONS.includes(position)) {
+            return { success: false, message: `Position must be one of: ${POSITIONS.join(', ')}` };
+        }
+        const defaults = this.settings.defaults[position === 'center' ? 'center' : 'edge'];
+
+        const fontSize = this._number(data.fontSize, defaults.fontSize);
+        if (!(fontSize >= 4 && fontSize <= 400)) {
+            return { success: false, message: 'Font size must be from 4 to 400 points' };
+        }
+        const opacity = this._number(data.opacity, defaults.opacity);
+        if (!(opacity > 0 && opacity <= 1)) {
+            return { success: false, message: 'Opacity must be greater than 0 and at most 1' };
+        }
+        const angle = this._number(data.angle, defaults.angle);
+        if (!(angle >= -360 && angle <= 360)) {
+            return { success: false, message: 'Angle must be from -360 to 360 degrees' };
+        }
+        const startAt = this._number(data.startAt, 1);
+        if (!Number.isInteger(startAt) || startAt < 0) {
+            return { success: false, message: 'The first page number must be a whole number from 0' };
+        }
+
+        const color = data.color ? String(data.color) : this.settings.defaultColor;
+        if (!/^#[0-9a-f]{6}$/i.test(color)) {
+            return { success: false, message: 'Color must be a hex color such as #cc0000' };
+        }
+
+        const pages = data.pages ? String(data.pages) : null;
+        if (pages) {
+            const parsed = pdfSplitter.parseRanges(pages);
+            if (!parsed.success) {
+                return parsed;
+            }
+        }
+
+        return {
+            success: true,
+            message: 'Stamp is valid',
+            options: { stamp: { text, position, fontSize, opacity, angle, color, pages, startAt } }
+        };
+    }
+
+    /**
+     * Add a stamp to compression settings
+     * @param {Object} settings - Settings from profileManager.resolveSettings
+     * @param {Object|null} stamp - Stamp from validateStamp, or null for none
+     * @param {number} totalPages - Page count of the document, for {total} and open-ended page ranges
+     * @returns {Object} Settings whose Ghostscript command draws the stamp
+     */
+    applyToSettings(settings, stamp, totalPages) {
+        if (!stamp) {
+            return settings;
+        }
+        return {
+            ...settings,
+            setup: [...(settings.setup || []), this._endPageProcedure(stamp, totalPages)]
+        };
+    }
+
+    /**
+     * Stamp every selected page of a PDF, leaving its content as it is
+     * @param {string} inputPath - Path to input PDF
+     * @param {string} outputPath - Path for the output PDF
+     * @param {Object} options - { stamp } from validateStamp, plus password, onProgress and signal
+     * @returns {Promise<Object>} Result with the page counts and output size
+     */
+    async stamp(inputPath, outputPath, { stamp, password, onProgress, signal }) {
+        try {
+            const totalPages = await pdfCompressor.getPageCount(inputPath, { password, signal });
+            if (!totalPages) {
+                throw new Error('Could not determine the page count of this PDF');
+            }
+
+            const settings = this.applyToSettings(pdfCompressor.passthroughSettings, stamp, totalPages);
+            const gsCommand = [
+                ...pdfCompressor.passwordArgs(password),
+                ...pdfCompressor.buildGhostscriptCommand(inputPath, outputPath, settings)
+            ];
+
+            await pdfCompressor.executeGhostscript(gsCommand, {
+                onLine: onProgress && pdfCompressor.createProgressTracker(onProgress, totalPages),
+                signal
+            });
+
+            const size = await fileManager.getFileSize(outputPath);
+            return {
+                success: true,
+                totalPages,
+                stampedPages: this._selectedRanges(stamp, totalPages)
+                    .reduce((sum, range) => sum + range.last - range.first + 1, 0),
+                size: size.formatted,
+                bytes: size.bytes
+            };
+        } catch (error) {
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError('Stamping failed', error);
+        }
+    }
+
+    /**
+     * PostScript installing an EndPage procedure that draws the stamp on each selected page
+     * Pages are counted in globaldict: the EndPage count argument restarts whenever the PDF
+     * interpreter sets a new page size, and local VM is rolled back between pages
+     * @private
+     */
+    _endPageProcedure(stamp, totalPages) {
+        const { fontSize, angle, position } = stamp;
+        const margin = this.settings.margin;
+        const [vertical, horizontal = 'center'] = position.split('-');
+
+        // Page width and height are on the stack; leave the anchor's x and y
+        const anchorY = {
+            top: `${this._format(margin + fontSize * 0.7)} sub`,
+            center: '2 div',
+            bottom: `pop ${margin}`
+        }[vertical];
+        const anchorX = { left: `pop ${margin}`, center: '2 div', right: `${margin} sub` }[horizontal];
+        const align = { left: 0, center: 0.5, right: 1 }[horizontal];
+        // Centres the cap height on the anchor rather than the baseline
+        const baseline = vertical === 'center' ? this._format(-fontSize * 0.35) : 0;
+
+        return [
+            'globaldict /PdforaStampPage 0 put',
+            '<< /EndPage {',
+            // Reason 2 is the device being switched off rather than a page being output
+            'exch pop dup 2 ne {',
+            'globaldict /PdforaStampPage 2 copy get 1 add put',
+            `${this._selection(stamp, totalPages)} {`,
+            'gsave initgraphics',
+            `/${this.settings.font} findfont ${this._format(fontSize)} scalefont setfont`,
+            this._paint(stamp),
+            `currentpagedevice /PageSize get aload pop ${anchorY} exch ${anchorX} exch translate`,
+            `${this._format(angle)} rotate`,
+            this._textExpression(stamp, totalPages),
+            `dup stringwidth pop ${align} mul neg ${baseline} moveto show`,
+            'grestore',
+            '} if',
+            '} if',
+            '2 ne',
+            '} >> setpagedevice'
+        ].join(' ');
+    }
+
+    /**
+     * PostScript leaving true on the stack when the current page is one to stamp
+     * @private
+     */
+    _selection(stamp, totalPages) {
+        if (!stamp.pages) {
+            return 'true';
+        }
+        const tests = this._selectedRanges(stamp, totalPages)
+            .map(range => `dup ${range.first} ge 1 index ${range.last} le and 3 -1 roll or exch`);
+        return `globaldict /PdforaStampPage get false exch ${tests.join(' ')} pop`;
+    }
+
+    /**
+     * Page ranges a stamp applies to, resolved against the page count
+     * @private
+     */
+    _selectedRanges(stamp, totalPages) {
+        if (!stamp.pages) {
+            return [{ first: 1, last: totalPages }];
+        }
+        const parsed = pdfSplitter.parseRanges(stamp.pages, totalPages);
+        if (!parsed.success) {
+            const error = new Error(parsed.message);
+            error.code = 'INVALID_PAGE_RANGE';
+            error.expose = true;
+            throw error;
+        }
+        return parsed.ranges;
+    }
+
+    /**
+     * PostScript setting the colour and opacity
+     * Without constant alpha the colour is blended towards white, which looks the same on white pages
+     * @private
+     */
+    _paint(stamp) {
+        const rgb = [1, 3, 5].map(i => parseInt(stamp.color.slice(i, i + 2), 16) / 255);
+        if (stamp.opacity === 1) {
+            return `${rgb.map(c => this._format(c)).join(' ')} setrgbcolor`;
+        }
+        if (ghostscriptEngine.supports('fillAlpha')) {
+            return `${rgb.map(c => this._format(c)).join(' ')} setrgbcolor ${this._format(stamp.opacity)} .setfillconstantalpha`;
+        }
+        const blended = rgb.map(c => this._format(1 - stamp.opacity * (1 - c)));
+        return `${blended.join(' ')} setrgbcolor`;
+    }
+
+    /**
+     * PostScript leaving the stamp text for the current page on the stack
+     * @private
+     */
+    _textExpression(stamp, totalPages) {
+        const parts = this._parseTemplate(stamp.text).parts
+            .map(part => (part.total ? { text: String(totalPages) } : part));
+        if (parts.every(part => !part.number)) {
+            return this._postscriptString(parts.map(part => part.text).join(''));
+        }
+
+        const strings = parts.map(part => (part.number
+            ? this._pageNumber(stamp, part.width)
+            : this._postscriptString(part.text)));
+        return `[ ${strings.join(' ')} ] ${this._concat()}`;
+    }
+
+    /**
+     * PostScript leaving the current page number as a string, zero-padded to width
+     * @private
+     */
+    _pageNumber(stamp, width) {
+        const number = `globaldict /PdforaStampPage get ${stamp.startAt - 1} add 12 string cvs`;
+        if (!width) {
+            return number;
+        }
+        return `${number} ${width} 1 index length sub dup 0 gt `
+            + `{ (${'0'.repeat(MAX_NUMBER_WIDTH)}) 0 3 -1 roll getinterval exch 2 array astore ${this._concat()} } `
+            + '{ pop } ifelse';
+    }
+
+    /**
+     * PostScript joining an array of strings into one
+     * @private
+     */
+    _concat() {
+        return '0 1 index { length add } forall string exch 0 exch { 3 copy putinterval length add } forall pop';
+    }
+
+    /**
+     * Split stamp text into literal text and {n}, {n:width} and {total} placeholders
+     * @private
+     */
+    _parseTemplate(text) {
+        const parts = [];
+        let last = 0;
+
+        for (const match of text.matchAll(PLACEHOLDER)) {
+            if (match.index > last) {
+                parts.push({ text: text.slice(last, match.index) });
+            }
+            last = match.index + match[0].length;
+
+            const placeholder = match[1].trim();
+            if (placeholder === 'total') {
+                parts.push({ total: true });
+                continue;
+            }
+            const number = placeholder.match(/^n(?::(\d+))?$/);
+            if (!number) {
+                return { success: false, message: `Unknown placeholder {${placeholder}}; use {n}, {n:6} or {total}` };
+            }
+            const width = number[1] ? parseInt(number[1], 10) : 0;
+            if (width > MAX_NUMBER_WIDTH) {
+                return { success: false, message: `Page numbers can be padded to at most ${MAX_NUMBER_WIDTH} digits` };
+            }
+            parts.push({ number: true, width });
+        }
+        if (last < text.length) {
+            parts.push({ text: text.slice(last) });
+        }
+
+        return { success: true, parts };
+    }
+
+    /**
+     * Number from a form or JSON value, or the default when it is missing
+     * @private
+     */
+    _number(value, fallback) {
+        return value === undefined || value === null || value === '' ? fallback : Number(value);
+    }
+
+    /**
+     * Number written with at most two decimals
+     * @private
+     */
+    _format(value) {
+        return String(Number(value.toFixed(2)));
+    }
+
+    /**
+     * PostScript string literal for ASCII text
+     * @private
+     */
+    _postscriptString(value) {
+        return `(${value.replace(/[\\()]/g, '\\$&')})`;
+    }
+}
+
+module.exports = new PDFStamper();
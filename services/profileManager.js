@@ -0,0 +1,333 @@
+/**
+ * Profile Manager Service
+ * Resolves compression presets and custom profiles into Ghostscript settings
+ * and persists named profiles (e.g. "email-friendly", "archive") to disk
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+class ProfileManager {
+    constructor() {
+        this.presets = config.compression.presets;
+        this.limits = config.compression.profileLimits;
+        this.storageFile = config.profiles.storageFile;
+        this.maxProfiles = config.profiles.maxProfiles;
+        this.profiles = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * List the built-in Ghostscript presets
+     * @returns {Array<Object>} Presets with name, label and description
+     */
+    listPresets() {
+        return Object.entries(this.presets).map(([name, preset]) => ({
+            name,
+            label: preset.label,
+            description: preset.description
+        }));
+    }
+
+    /**
+     * Validate a custom profile definition
+     * @param {Object} data - Raw profile fields (from JSON or form data)
+     * @returns {Object} Validation result with success status, message and normalized profile
+     */
+    validateProfile(data) {
+        if (!data || typeof data !== 'object') {
+            return { success: false, message: 'Profile data is required' };
+        }
+
+        const profile = {};
+
+        // Base preset
+        const preset = data.preset || this._defaultPresetName();
+        if (typeof preset !== 'string' || !Object.hasOwn(this.presets, preset)) {
+            return {
+                success: false,
+                message: `Unknown preset "${preset}". Valid presets: ${Object.keys(this.presets).join(', ')}`
+            };
+        }
+        profile.preset = preset;
+
+        // Target image DPI
+        if (data.imageResolution !== undefined && data.imageResolution !== '') {
+            const dpi = Number(data.imageResolution);
+            const { minImageResolution, maxImageResolution } = this.limits;
+            if (!Number.isInteger(dpi) || dpi < minImageResolution || dpi > maxImageResolution) {
+                return {
+                    success: false,
+                    message: `Image resolution must be a whole number between ${minImageResolution} and ${maxImageResolution} dpi`
+                };
+            }
+            profile.imageResolution = dpi;
+        }
+
+        // Downsample type
+        if (data.downsampleType !== undefined && data.downsampleType !== '') {
+            const type = String(data.downsampleType).replace(/^\//, '');
+            if (!this.limits.downsampleTypes.includes(type)) {
+                return {
+                    success: false,
+                    message: `Downsample type must be one of: ${this.limits.downsampleTypes.join(', ')}`
+                };
+            }
+            profile.downsampleType = type;
+        }
+
+        // Font embedding
+        if (data.embedFonts !== undefined && data.embedFonts !== '') {
+            const embedFonts = this._parseBoolean(data.embedFonts);
+            if (embedFonts === null) {
+                return { success: false, message: 'embedFonts must be true or false' };
+            }
+            profile.embedFonts = embedFonts;
+        }
+
+        if (data.description !== undefined) {
+            profile.description = String(data.description).slice(0, 200);
+        }
+
+        return { success: true, message: 'Profile is valid', profile };
+    }
+
+    /**
+     * Resolve request parameters into compression settings
+     * Accepts a saved profile name, a preset name or custom profile fields
+     * @param {Object} params - Request parameters (preset, profile, imageResolution, ...)
+     * @returns {Promise<Object>} Result with success status, message and settings
+     */
+    async resolveSettings(params = {}) {
+        let profile;
+        let label;
+
+        if (params.profile) {
+            const saved = await this.getProfile(params.profile);
+            if (!saved) {
+                return { success: false, message: `Profile "${params.profile}" not found` };
+            }
+            profile = saved;
+            label = saved.name;
+        } else {
+            const validation = this.validateProfile(params);
+            if (!validation.success) {
+                return validation;
+            }
+            profile = validation.profile;
+            label = this._isCustom(profile) ? 'custom' : profile.preset;
+        }
+
+        return {
+            success: true,
+            message: 'Settings resolved',
+            settings: this.toSettings(profile, label)
+        };
+    }
+
+    /**
+     * Settings tried by target-size compression, mildest first
+     * Labels name the preset and any resolution override (e.g. "ebook@100dpi")
+     * @returns {Array<Object>} Settings accepted by PDFCompressor.compressToTarget
+     */
+    targetLadder() {
+        return config.compression.targetSize.ladder.map((step) => {
+            const label = step.imageResolution ? `${step.preset}@${step.imageResolution}dpi` : step.preset;
+            return this.toSettings(step, label);
+        });
+    }
+
+    /**
+     * Convert a normalized profile into Ghostscript quality and option overrides
+     * @param {Object} profile - Normalized profile
+     * @param {string} label - Name reported back to the client
+     * @returns {Object} Settings accepted by PDFCompressor.compress
+     */
+    toSettings(profile, label) {
+        const options = {};
+
+        if (profile.imageResolution) {
+            options.dDownsampleColorImages = true;
+            options.dDownsampleGrayImages = true;
+            options.dDownsampleMonoImages = true;
+            options.dColorImageResolution = profile.imageResolution;
+            options.dGrayImageResolution = profile.imageResolution;
+            options.dMonoImageResolution = profile.imageResolution;
+        }
+
+        if (profile.downsampleType) {
+            options.dColorImageDownsampleType = `/${profile.downsampleType}`;
+            options.dGrayImageDownsampleType = `/${profile.downsampleType}`;
+        }
+
+        if (profile.embedFonts !== undefined) {
+            options.dEmbedAllFonts = profile.embedFonts;
+            options.dSubsetFonts = profile.embedFonts;
+        }
+
+        return {
+            label: label || profile.preset,
+            quality: this.presets[profile.preset].quality,
+            options
+        };
+    }
+
+    /**
+     * List saved profiles
+     * @returns {Promise<Array<Object>>} Saved profiles sorted by name
+     */
+    async listProfiles() {
+        const profiles = await this._load();
+        return Object.values(profiles).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a saved profile by name
+     * @param {string} name - Profile name
+     * @returns {Promise<Object|null>} Profile or null if not found
+     */
+    async getProfile(name) {
+        const profiles = await this._load();
+        return Object.hasOwn(profiles, name) ? profiles[name] : null;
+    }
+
+    /**
+     * Create or replace a saved profile
+     * @param {string} name - Profile name
+     * @param {Object} data - Profile fields
+     * @param {Object} options - { overwrite: boolean }
+     * @returns {Promise<Object>} Result with success status, message, status code and profile
+     */
+    async saveProfile(name, data, { overwrite = false } = {}) {
+        if (!PROFILE_NAME_PATTERN.test(name || '')) {
+            return {
+                success: false,
+                status: 400,
+                message: 'Profile name must be 1-50 lowercase letters, digits or dashes'
+            };
+        }
+        if (Object.hasOwn(this.presets, name)) {
+            return { success: false, status: 409, message: `"${name}" is a built-in preset name` };
+        }
+
+        const validation = this.validateProfile(data);
+        if (!validation.success) {
+            return { ...validation, status: 400 };
+        }
+
+        return this._update(async (profiles) => {
+            const existing = Object.hasOwn(profiles, name) ? profiles[name] : null;
+            if (existing && !overwrite) {
+                return { success: false, status: 409, message: `Profile "${name}" already exists` };
+            }
+            if (!existing && Object.keys(profiles).length >= this.maxProfiles) {
+                return { success: false, status: 400, message: `Profile limit of ${this.maxProfiles} reached` };
+            }
+
+            const now = new Date().toISOString();
+            const profile = {
+                name,
+                ...validation.profile,
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now
+            };
+            profiles[name] = profile;
+
+            return { success: true, status: existing ? 200 : 201, message: 'Profile saved', profile };
+        });
+    }
+
+    /**
+     * Delete a saved profile
+     * @param {string} name - Profile name
+     * @returns {Promise<boolean>} True if a profile was deleted
+     */
+    async deleteProfile(name) {
+        return this._update(async (profiles) => {
+            if (!Object.hasOwn(profiles, name)) {
+                return false;
+            }
+            delete profiles[name];
+            return true;
+        });
+    }
+
+    /**
+     * Load profiles from disk once and keep them in memory
+     * @private
+     */
+    async _load() {
+        if (this.profiles) {
+            return this.profiles;
+        }
+
+        try {
+            const content = await fs.readFile(this.storageFile, 'utf8');
+            this.profiles = JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error reading profiles, starting empty:', error.message);
+            }
+            this.profiles = {};
+        }
+
+        return this.profiles;
+    }
+
+    /**
+     * Apply a mutation and persist the result
+     * Writes are serialized so concurrent requests can't clobber each other
+     * @private
+     */
+    _update(mutate) {
+        const run = this.writeQueue.then(async () => {
+            const profiles = await this._load();
+            const result = await mutate(profiles);
+
+            await fs.mkdir(path.dirname(this.storageFile), { recursive: true });
+            await fs.writeFile(this.storageFile, JSON.stringify(profiles, null, 2));
+
+            return result;
+        });
+
+        // Keep the queue alive even if this write fails
+        this.writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Preset name matching config.compression.defaultQuality
+     * @private
+     */
+    _defaultPresetName() {
+        const match = Object.entries(this.presets)
+            .find(([, preset]) => preset.quality === config.compression.defaultQuality);
+        return match ? match[0] : Object.keys(this.presets)[0];
+    }
+
+    /**
+     * Whether a profile overrides anything beyond its base preset
+     * @private
+     */
+    _isCustom(profile) {
+        return profile.imageResolution !== undefined ||
+            profile.downsampleType !== undefined ||
+            profile.embedFonts !== undefined;
+    }
+
+    /**
+     * Parse booleans sent as JSON or multipart strings
+     * @private
+     */
+    _parseBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === '1' || value === 'on') return true;
+        if (value === 'false' || value === '0' || value === 'off') return false;
+        return null;
+    }
+}
+
+module.exports = new ProfileManager();
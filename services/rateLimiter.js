@@ -0,0 +1,153 @@
+/**
+ * Rate Limiter Service
+ * Tracks per-client request rates, daily upload bytes and uploads in flight
+ * Counts are held in memory, so each server instance limits the clients it sees
+ */
+
+const WINDOW = 60 * 1000; // Request rates are counted per minute
+
+class RateLimiter {
+    constructor() {
+        this.windows = new Map();
+        this.usage = new Map();
+        this.uploads = new Map();
+    }
+
+    /**
+     * Count a request against the client's per-minute limit
+     * @param {string} client - Client identifier
+     * @param {number} limit - Requests allowed per minute
+     * @returns {Object} { allowed, limit, remaining, reset } with reset in ms since the epoch
+     */
+    hit(client, limit) {
+        const now = Date.now();
+        let window = this.windows.get(client);
+        if (!window || now >= window.reset) {
+            window = { count: 0, reset: now + WINDOW };
+            this.windows.set(client, window);
+        }
+
+        // Refused requests don't use up the window
+        const allowed = window.count < limit;
+        if (allowed) {
+            window.count++;
+        }
+
+        return { allowed, limit, remaining: Math.max(0, limit - window.count), reset: window.reset };
+    }
+
+    /**
+     * Check an upload fits in what is left of the client's daily limit, without counting it
+     * @param {string} client - Client identifier
+     * @param {number} bytes - Size of the upload
+     * @param {number} limit - Bytes allowed per UTC day
+     * @returns {Object} { allowed, limit, remaining, reset } with reset (the next UTC midnight) in ms
+     */
+    checkBytes(client, bytes, limit) {
+        const used = this._usage(client).bytes;
+        return { allowed: used + bytes <= limit, limit, remaining: Math.max(0, limit - used), reset: this._nextDay() };
+    }
+
+    /**
+     * Count uploaded bytes against the client's daily limit
+     * Called once the upload's job is queued, so rejected uploads cost nothing
+     * @param {string} client - Client identifier
+     * @param {number} bytes - Size of the upload
+     * @param {number} limit - Bytes allowed per UTC day
+     * @returns {Object} { limit, remaining, reset } after the charge
+     */
+    chargeBytes(client, bytes, limit) {
+        const usage = this._usage(client);
+        usage.bytes += bytes;
+        return { limit, remaining: Math.max(0, limit - usage.bytes), reset: this._nextDay() };
+    }
+
+    /**
+     * Uploads a client has in progress for job routes
+     * Their jobs aren't queued yet, but count towards the client's job limit
+     * @param {string} client - Client identifier
+     * @returns {number} Uploads in progress
+     */
+    pendingUploads(client) {
+        return this.uploads.get(client) || 0;
+    }
+
+    /**
+     * Track an upload until its response is sent
+     * @param {string} client - Client identifier
+     * @returns {Function} Call once the upload's job is queued or the request is rejected
+     */
+    startUpload(client) {
+        this.uploads.set(client, this.pendingUploads(client) + 1);
+
+        let ended = false;
+        return () => {
+            if (ended) return;
+            ended = true;
+            const remaining = this.pendingUploads(client) - 1;
+            if (remaining > 0) {
+                this.uploads.set(client, remaining);
+            } else {
+                this.uploads.delete(client);
+            }
+        };
+    }
+
+    /**
+     * Forget request windows and daily usage that no longer apply
+     * @returns {number} Number of entries removed
+     */
+    pruneExpired() {
+        const now = Date.now();
+        const day = this._today();
+        let count = 0;
+
+        for (const [client, window] of this.windows) {
+            if (now >= window.reset) {
+                this.windows.delete(client);
+                count++;
+            }
+        }
+        for (const [client, usage] of this.usage) {
+            if (usage.day !== day) {
+                this.usage.delete(client);
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * A client's usage for today, started afresh on a new UTC day
+     * @private
+     */
+    _usage(client) {
+        const day = this._today();
+        let usage = this.usage.get(client);
+        if (!usage || usage.day !== day) {
+            usage = { day, bytes: 0 };
+            this.usage.set(client, usage);
+        }
+        return usage;
+    }
+
+    /**
+     * Current UTC date, e.g. "2024-05-01"
+     * @private
+     */
+    _today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    /**
+     * Next UTC midnight in ms since the epoch
+     * @private
+     */
+    _nextDay() {
+        const now = new Date();
+        return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,91 @@
+/**
+ * Session Manager Service
+ * Remembers which output files belong to a browser session
+ * so they can be downloaded together as one ZIP
+ */
+
+const config = require('../config/config');
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SessionManager {
+    constructor() {
+        this.maxAge = config.sessions.maxAge;
+        this.maxOutputs = config.sessions.maxOutputs;
+        this.sessions = new Map();
+    }
+
+    /**
+     * Read the session ID sent with a request
+     * Accepts the X-Session-Id header or a "session" form/JSON field
+     * @param {Object} req - Express request
+     * @returns {string|null} Session ID, or null if missing or malformed
+     */
+    getSessionId(req) {
+        const id = req.get('X-Session-Id') || (req.body && req.body.session);
+        return this.isValidId(id) ? id.toLowerCase() : null;
+    }
+
+    /**
+     * Check a session ID is a UUID
+     * @param {string} id - Session ID
+     * @returns {boolean} True if well-formed
+     */
+    isValidId(id) {
+        return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+    }
+
+    /**
+     * Record output files produced for a session
+     * @param {string|null} sessionId - Session ID (ignored if null)
+     * @param {Array<Object>} outputs - Entries with filename and optional originalName and downloadName
+     */
+    addOutputs(sessionId, outputs) {
+        if (!sessionId) return;
+
+        const session = this.sessions.get(sessionId) || { outputs: [], updatedAt: 0 };
+        for (const output of outputs) {
+            if (!session.outputs.some(o => o.filename === output.filename)) {
+                session.outputs.push({
+                    filename: output.filename,
+                    originalName: output.originalName || null,
+                    downloadName: output.downloadName || null
+                });
+            }
+        }
+
+        session.outputs = session.outputs.slice(-this.maxOutputs);
+        session.updatedAt = Date.now();
+        this.sessions.set(sessionId, session);
+    }
+
+    /**
+     * Get the outputs recorded for a session
+     * @param {string} sessionId - Session ID
+     * @returns {Array<Object>} Output entries (empty if unknown)
+     */
+    getOutputs(sessionId) {
+        const session = this.sessions.get(sessionId);
+        return session ? [...session.outputs] : [];
+    }
+
+    /**
+     * Forget sessions that have been idle longer than maxAge
+     * @returns {number} Number of sessions removed
+     */
+    pruneExpired() {
+        const cutoff = Date.now() - this.maxAge;
+        let count = 0;
+
+        for (const [id, session] of this.sessions) {
+            if (session.updatedAt < cutoff) {
+                this.sessions.delete(id);
+                count++;
+            }
+        }
+
+        return count;
+    }
+}
+
+module.exports = new SessionManager();
@@ -0,0 +1,116 @@
+/**
+ * Size Estimator Service
+ * Estimates output sizes for several settings by running Ghostscript on a sample of pages
+ * Each sample is also copied unchanged, and the full size is scaled by how much each
+ * setting shrinks or grows that copy
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const pdfCompressor = require('./pdfCompressor');
+
+class SizeEstimator {
+    constructor() {
+        this.settings = config.estimate;
+    }
+
+    /**
+     * Estimate the output size of each variant
+     * @param {string} inputPath - Path to input PDF
+     * @param {Array<Object>} variants - { name, settings } entries; settings as for pdfCompressor.compress
+     * @param {Object} options - { totalPages, password, onProgress, signal }
+     * @returns {Promise<Object>} { originalBytes, originalSize, totalPages, sampledPages, exact,
+     *   estimates: [{ name, bytes, size, ratio }] }; exact is true when every page was sampled,
+     *   and ratio is the percentage saved (negative when the output would be larger)
+     */
+    async estimate(inputPath, variants, options = {}) {
+        const { password, onProgress, signal } = options;
+        const originalSize = await fileManager.getFileSize(inputPath);
+        const totalPages = options.totalPages || await pdfCompressor.getPageCount(inputPath, { password, signal });
+        if (!totalPages) {
+            throw new Error('Could not determine the page count of this PDF');
+        }
+
+        const pages = this.samplePages(totalPages);
+        const exact = pages.length === totalPages;
+
+        // The unchanged copy is only needed to scale a partial sample up
+        const runs = [...(exact ? [] : [{ name: null, settings: pdfCompressor.passthroughSettings }]), ...variants];
+        const stem = path.join(config.upload.compressedDir, `.estimate-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+        const sizes = new Map();
+        let outputPath = null;
+
+        try {
+            for (const [index, run] of runs.entries()) {
+                outputPath = `${stem}-${index}.pdf`;
+                const gsCommand = [
+                    ...pdfCompressor.passwordArgs(password),
+                    ...(exact ? [] : [`-sPageList=${pages.join(',')}`]),
+                    ...pdfCompressor.buildGhostscriptCommand(inputPath, outputPath, run.settings)
+                ];
+
+                await pdfCompressor.executeGhostscript(gsCommand, {
+                    onLine: onProgress && pdfCompressor.createProgressTracker((progress) => {
+                        onProgress({
+                            page: index * pages.length + progress.page,
+                            totalPages: runs.length * pages.length
+                        });
+                    }, pages.length),
+                    signal
+                });
+
+                sizes.set(run.name, (await fileManager.getFileSize(outputPath)).bytes);
+                await fs.unlink(outputPath);
+                outputPath = null;
+            }
+        } catch (error) {
+            // Earlier samples are already deleted; only the one in progress may be left
+            if (outputPath) {
+                await fileManager.deleteFile(outputPath);
+            }
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError('Size estimate failed', error);
+        }
+
+        const baseline = sizes.get(null);
+        return {
+            originalBytes: originalSize.bytes,
+            originalSize: originalSize.formatted,
+            totalPages,
+            sampledPages: pages.length,
+            exact,
+            estimates: variants.map((variant) => {
+                const sampled = sizes.get(variant.name);
+                const bytes = exact ? sampled : Math.round(originalSize.bytes * (sampled / Math.max(baseline, 1)));
+                return {
+                    name: variant.name,
+                    bytes,
+                    size: fileManager.formatBytes(bytes),
+                    // Unlike a compression ratio this goes negative, since conversions can grow a file
+                    ratio: originalSize.bytes ? Math.round(((originalSize.bytes - bytes) / originalSize.bytes) * 1000) / 10 : 0
+                };
+            })
+        };
+    }
+
+    /**
+     * Pages sampled from a document: every page of a short one, otherwise pages spread evenly
+     * from first to last
+     * @param {number} totalPages - Page count of the document
+     * @returns {Array<number>} Page numbers in ascending order
+     */
+    samplePages(totalPages) {
+        const count = Math.min(this.settings.samplePages, totalPages);
+        if (count === totalPages) {
+            return Array.from({ length: totalPages }, (_, i) => i + 1);
+        }
+        const step = (totalPages - 1) / (count - 1 || 1);
+        return [...new Set(Array.from({ length: count }, (_, i) => Math.round(1 + i * step)))];
+    }
+}
+
+module.exports = new SizeEstimator();
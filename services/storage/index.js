@@ -0,0 +1,20 @@
+/**
+ * Storage Service
+ * The storage backend for output files, chosen by config.storage.driver
+ */
+
+const config = require('../../config/config');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+
+const DRIVERS = {
+    local: () => new LocalStorage(config.storage.local),
+    s3: () => new S3Storage(config.storage.s3)
+};
+
+const driver = DRIVERS[config.storage.driver];
+if (!driver) {
+    throw new Error(`Unknown storage driver "${config.storage.driver}": use one of ${Object.keys(DRIVERS).join(', ')}`);
+}
+
+module.exports = driver();
@@ -0,0 +1,109 @@
+/**
+ * Local Disk Storage
+ * Keeps output files in a directory on this server (outputs/ by default)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+
+class LocalStorage extends StorageAdapter {
+    /**
+     * @param {Object} options - { root }: directory files are stored in
+     */
+    constructor({ root }) {
+        super('local');
+        this.root = path.resolve(root);
+    }
+
+    async initialize() {
+        await fs.promises.mkdir(this.root, { recursive: true });
+        return `local disk (${this.root})`;
+    }
+
+    async put(key, filePath) {
+        this._checkKey(key);
+        const destination = this._path(key);
+
+        // Nothing to move if the file was written in place
+        if (path.resolve(filePath) !== destination) {
+            try {
+                await fs.promises.rename(filePath, destination);
+            } catch (error) {
+                if (error.code !== 'EXDEV') {
+                    throw error;
+                }
+                // A different file system can't be renamed across
+                await fs.promises.copyFile(filePath, destination);
+                await fs.promises.unlink(filePath);
+            }
+        }
+
+        const stats = await fs.promises.stat(destination);
+        return { key, bytes: stats.size };
+    }
+
+    async getStream(key) {
+        this._checkKey(key);
+        return fs.createReadStream(this._path(key));
+    }
+
+    async stat(key) {
+        if (!this.isValidKey(key)) {
+            return null;
+        }
+        try {
+            const stats = await fs.promises.stat(this._path(key));
+            return stats.isFile() ? { bytes: stats.size, modified: stats.mtimeMs } : null;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        this._checkKey(key);
+        try {
+            await fs.promises.unlink(this._path(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    async listOlderThan(maxAge) {
+        const cutoff = Date.now() - maxAge;
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.root, { withFileTypes: true });
+        } catch (error) {
+            // Directory might not exist yet
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const keys = [];
+        for (const entry of entries.filter(e => e.isFile())) {
+            const info = await this.stat(entry.name);
+            if (info && info.modified < cutoff) {
+                keys.push(entry.name);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Absolute path of a key inside the storage directory
+     * @private
+     */
+    _path(key) {
+        return path.join(this.root, key);
+    }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,149 @@
+/**
+ * S3-Compatible Storage
+ * Keeps output files in an S3 bucket, or any service speaking the S3 API (MinIO, R2, ...)
+ * Needs the @aws-sdk/client-s3 package, which is only loaded when this driver is chosen
+ */
+
+const fs = require('fs');
+const StorageAdapter = require('./storageAdapter');
+
+class S3Storage extends StorageAdapter {
+    /**
+     * @param {Object} options - { bucket, region, endpoint, prefix, forcePathStyle, accessKeyId, secretAccessKey }
+     *   endpoint and forcePathStyle are for S3-compatible services; credentials fall back to the
+     *   SDK's usual sources (environment, shared config, instance role) when not set
+     */
+    constructor(options) {
+        super('s3');
+        if (!options.bucket) {
+            throw new Error('storage.s3.bucket (or S3_BUCKET) must be set to use S3 storage');
+        }
+
+        let sdk;
+        try {
+            sdk = require('@aws-sdk/client-s3');
+        } catch {
+            throw new Error('S3 storage needs the optional @aws-sdk/client-s3 package: run npm install (without --omit=optional)');
+        }
+
+        this.sdk = sdk;
+        this.bucket = options.bucket;
+        // A prefix acts as a folder in the bucket
+        this.prefix = options.prefix ? `${options.prefix.replace(/\/+$/, '')}/` : '';
+        this.endpoint = options.endpoint || null;
+        this.client = new sdk.S3Client({
+            region: options.region,
+            // S3-compatible services don't all accept the SDK's default streamed upload checksums
+            ...(options.endpoint ? {
+                endpoint: options.endpoint,
+                requestChecksumCalculation: 'WHEN_REQUIRED',
+                responseChecksumValidation: 'WHEN_REQUIRED'
+            } : {}),
+            forcePathStyle: Boolean(options.forcePathStyle),
+            ...(options.accessKeyId ? {
+                credentials: { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+            } : {})
+        });
+    }
+
+    async initialize() {
+        try {
+            await this.client.send(new this.sdk.HeadBucketCommand({ Bucket: this.bucket }));
+        } catch (error) {
+            throw new Error(`S3 bucket "${this.bucket}" is not reachable: ${error.name || error.message}`);
+        }
+        return `S3 bucket ${this.bucket}${this.prefix ? `/${this.prefix.slice(0, -1)}` : ''}${this.endpoint ? ` at ${this.endpoint}` : ''}`;
+    }
+
+    async put(key, filePath) {
+        this._checkKey(key);
+        const { size } = await fs.promises.stat(filePath);
+        await this.client.send(new this.sdk.PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this._objectKey(key),
+            Body: fs.createReadStream(filePath),
+            ContentLength: size
+        }));
+        await fs.promises.unlink(filePath);
+        return { key, bytes: size };
+    }
+
+    async getStream(key) {
+        this._checkKey(key);
+        const response = await this.client.send(new this.sdk.GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this._objectKey(key)
+        }));
+        return response.Body;
+    }
+
+    async stat(key) {
+        if (!this.isValidKey(key)) {
+            return null;
+        }
+        try {
+            const response = await this.client.send(new this.sdk.HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: this._objectKey(key)
+            }));
+            return { bytes: response.ContentLength, modified: response.LastModified.getTime() };
+        } catch (error) {
+            if (this._isNotFound(error)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        this._checkKey(key);
+        // S3 reports success for keys that don't exist
+        await this.client.send(new this.sdk.DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this._objectKey(key)
+        }));
+    }
+
+    async listOlderThan(maxAge) {
+        const cutoff = Date.now() - maxAge;
+        const keys = [];
+        let continuationToken;
+
+        do {
+            const response = await this.client.send(new this.sdk.ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this.prefix,
+                ContinuationToken: continuationToken
+            }));
+            for (const object of response.Contents || []) {
+                const key = object.Key.slice(this.prefix.length);
+                // Objects under deeper "folders" of the prefix aren't ours
+                if (this.isValidKey(key) && object.LastModified.getTime() < cutoff) {
+                    keys.push(key);
+                }
+            }
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return keys;
+    }
+
+    /**
+     * Object key of a storage key, under the configured prefix
+     * @private
+     */
+    _objectKey(key) {
+        return this.prefix + key;
+    }
+
+    /**
+     * Whether an SDK error means the object doesn't exist
+     * @private
+     */
+    _isNotFound(error) {
+        return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+            (error.$metadata && error.$metadata.httpStatusCode === 404);
+    }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,103 @@
+/**
+ * Storage Adapter
+ * The interface every storage backend implements for output files
+ * Keys are plain file names (the names tools give their outputs); Ghostscript still
+ * works on local files, which are handed to put() once they are finished
+ */
+
+class StorageAdapter {
+    /**
+     * @param {string} name - Driver name shown in logs and /api/health
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Prepare the backend (create a directory, check a bucket is reachable)
+     * @returns {Promise<string>} Description of where files are stored
+     */
+    async initialize() {
+        throw new Error(`${this.name} storage does not implement initialize()`);
+    }
+
+    /**
+     * Store a finished local file under a key
+     * The local file is moved, not copied: it no longer exists at filePath afterwards
+     * @param {string} key - Plain file name
+     * @param {string} filePath - Local file to store
+     * @returns {Promise<Object>} { key, bytes }
+     */
+    async put(key, filePath) {
+        throw new Error(`${this.name} storage does not implement put()`);
+    }
+
+    /**
+     * Open a stored file for reading
+     * @param {string} key - Plain file name
+     * @returns {Promise<Readable>} Stream of the file's contents
+     */
+    async getStream(key) {
+        throw new Error(`${this.name} storage does not implement getStream()`);
+    }
+
+    /**
+     * Size and age of a stored file
+     * @param {string} key - Plain file name
+     * @returns {Promise<Object|null>} { bytes, modified } (modified in ms), or null if there is
+     *   no such file or the key is unsafe
+     */
+    async stat(key) {
+        throw new Error(`${this.name} storage does not implement stat()`);
+    }
+
+    /**
+     * Check a stored file exists
+     * @param {string} key - Plain file name
+     * @returns {Promise<boolean>} True if the file exists
+     */
+    async exists(key) {
+        return (await this.stat(key)) !== null;
+    }
+
+    /**
+     * Delete a stored file; a file that is already gone is not an error
+     * @param {string} key - Plain file name
+     */
+    async delete(key) {
+        throw new Error(`${this.name} storage does not implement delete()`);
+    }
+
+    /**
+     * Keys of stored files last modified more than maxAge ago
+     * @param {number} maxAge - Age in milliseconds
+     * @returns {Promise<Array<string>>} Keys, in no particular order
+     */
+    async listOlderThan(maxAge) {
+        throw new Error(`${this.name} storage does not implement listOlderThan()`);
+    }
+
+    /**
+     * Check a key is a plain file name, so it can't reach outside the storage area
+     * @param {string} key - Key to check
+     * @returns {boolean} True if the key is safe
+     */
+    isValidKey(key) {
+        return typeof key === 'string' && key !== '' && key !== '.' && key !== '..' &&
+            !/[\\/\0]/.test(key);
+    }
+
+    /**
+     * Throw unless a key is safe
+     * @private
+     */
+    _checkKey(key) {
+        if (!this.isValidKey(key)) {
+            const error = new Error('Invalid storage key');
+            error.code = 'INVALID_KEY';
+            throw error;
+        }
+    }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,324 @@
+/**
+ * Tool Registry Service
+ * Collects PDF tool definitions so API routes and the UI can be built from them
+ *
+ * Each module in tools/ exports one definition:
+ *   name, label, action, description, order - identity and UI text
+ *   route          - optional original endpoint (e.g. '/api/compress') served alongside /api/tools/:name
+ *   configSection  - key of config.js handed to the tool as `config`
+ *   upload         - { field, minFiles, maxFiles } multipart field carrying the PDFs
+ *   fields         - input schema, or a function of the config section returning it
+ *   quality        - accepts the preset/profile/custom quality fields
+ *   password       - accepts a password for encrypted inputs
+ *   result         - 'file' (result.filename) or 'files' (result.files[].filename)
+ *   validate       - optional checks on the parsed fields, returning { success, message, code, options }
+ *   buildArgs      - Ghostscript arguments producing one output PDF (used when there is no run)
+ *   run            - optional; does the work and returns the result
+ *   summarize      - optional one-line description of a result for the UI
+ *   downloadName   - optional (base, output) => name an output is saved as, where base is the
+ *                    first upload's name without its extension (defaults to base + output extension)
+ *   errorMessage   - message shown when a job fails for an unexpected reason
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const fileManager = require('./fileManager');
+const pdfCompressor = require('./pdfCompressor');
+const profileManager = require('./profileManager');
+
+const TOOL_NAME_PATTERN = /^[a-z][a-z0-9-]{0,29}$/;
+
+// Characters that are unsafe in a saved file name or a Content-Disposition header
+const UNSAFE_FILENAME_CHARS = /[\x00-\x1f\x7f/\\:*?"<>|]/g;
+const FIELD_TYPES = ['text', 'password', 'number', 'select', 'checkbox'];
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * Register a tool definition
+     * @param {Object} tool - Tool definition (see file header)
+     * @returns {Object} The registered tool, with upload defaults filled in
+     * @throws {Error} If the definition is incomplete or the name is taken
+     */
+    register(tool) {
+        if (!tool || !TOOL_NAME_PATTERN.test(tool.name)) {
+            throw new Error(`Invalid tool name "${tool && tool.name}"`);
+        }
+        if (this.tools.has(tool.name)) {
+            throw new Error(`Tool "${tool.name}" is already registered`);
+        }
+        if (!tool.upload || !tool.upload.field) {
+            throw new Error(`Tool "${tool.name}" must declare its upload field`);
+        }
+        if (!['file', 'files'].includes(tool.result)) {
+            throw new Error(`Tool "${tool.name}" must declare a result of "file" or "files"`);
+        }
+        if (typeof tool.run !== 'function' && typeof tool.buildArgs !== 'function') {
+            throw new Error(`Tool "${tool.name}" must provide run() or buildArgs()`);
+        }
+
+        const registered = {
+            label: tool.name,
+            action: tool.label || tool.name,
+            description: '',
+            order: 100,
+            ...tool,
+            upload: { minFiles: 1, maxFiles: 1, ...tool.upload }
+        };
+
+        for (const field of this.getFields(registered)) {
+            if (!FIELD_TYPES.includes(field.type)) {
+                throw new Error(`Tool "${tool.name}" field "${field.name}" has unknown type "${field.type}"`);
+            }
+        }
+
+        this.tools.set(registered.name, registered);
+        return registered;
+    }
+
+    /**
+     * Register every tool module in a directory
+     * @param {string} directory - Directory of tool modules
+     * @returns {number} Number of tools registered
+     */
+    loadDirectory(directory) {
+        const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+
+        for (const file of files) {
+            this.register(require(path.join(directory, file)));
+        }
+
+        return files.length;
+    }
+
+    /**
+     * Get a tool by name
+     * @param {string} name - Tool name
+     * @returns {Object|null} Tool or null if not registered
+     */
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    /**
+     * List registered tools in display order
+     * @returns {Array<Object>} Tools
+     */
+    list() {
+        return [...this.tools.values()].sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Input schema of a tool
+     * @param {Object} tool - Tool
+     * @returns {Array<Object>} Field definitions
+     */
+    getFields(tool) {
+        const fields = typeof tool.fields === 'function' ? tool.fields(this._toolConfig(tool)) : tool.fields;
+        return fields || [];
+    }
+
+    /**
+     * Public description of a tool for GET /api/tools
+     * @param {Object} tool - Tool
+     * @returns {Object} Serializable tool description
+     */
+    describe(tool) {
+        return {
+            name: tool.name,
+            label: tool.label,
+            action: tool.action,
+            description: tool.description,
+            endpoint: `/api/tools/${tool.name}`,
+            route: tool.route || null,
+            upload: tool.upload,
+            fields: this.getFields(tool),
+            quality: Boolean(tool.quality),
+            password: Boolean(tool.password),
+            result: tool.result
+        };
+    }
+
+    /**
+     * Parse and check request fields against a tool's schema, then run its own checks
+     * Quality fields are resolved into settings when the tool accepts them
+     * @param {Object} tool - Tool
+     * @param {Object} body - Raw request fields
+     * @param {Array<Object>} files - Uploaded files (Multer file objects)
+     * @returns {Promise<Object>} Result with success status, message, optional code,
+     *   and the input for run() ({ options, password })
+     */
+    async validate(tool, body = {}, files = []) {
+        const parsed = this._parseFields(this.getFields(tool), body);
+        if (!parsed.success) {
+            return parsed;
+        }
+
+        let quality = null;
+        if (tool.quality) {
+            const resolved = await profileManager.resolveSettings(body);
+            if (!resolved.success) {
+                return resolved;
+            }
+            quality = resolved.settings;
+        }
+
+        let options = parsed.values;
+        if (tool.validate) {
+            const checked = await tool.validate({ values: parsed.values, body, files, config: this._toolConfig(tool) });
+            if (!checked.success) {
+                return checked;
+            }
+            options = { ...parsed.values, ...checked.options };
+        }
+
+        return {
+            success: true,
+            message: 'Input is valid',
+            input: {
+                options: quality ? { ...options, quality } : options,
+                password: tool.password ? body.password || undefined : undefined
+            }
+        };
+    }
+
+    /**
+     * Run a tool
+     * @param {Object} tool - Tool
+     * @param {Object} context - { files, options, password, outputDir, namePrefix, onProgress, signal }
+     * @returns {Promise<Object>} Tool result
+     */
+    async run(tool, context) {
+        if (tool.run) {
+            return tool.run({ ...context, config: this._toolConfig(tool) });
+        }
+        return this._runGhostscript(tool, context);
+    }
+
+    /**
+     * One-line description of a tool result, if the tool provides one
+     * @param {Object} tool - Tool
+     * @param {Object} result - Result from run()
+     * @returns {string|null} Summary text
+     */
+    summarize(tool, result) {
+        return tool.summarize ? tool.summarize(result) : null;
+    }
+
+    /**
+     * Name an output is downloaded as, derived from the uploaded file's name
+     * @param {Object} tool - Tool
+     * @param {Object} output - The result (single-file tools) or one entry of result.files
+     * @param {Object} meta - Job meta ({ originalName } or { originalNames })
+     * @returns {string} File name safe to send in Content-Disposition
+     */
+    downloadName(tool, output, meta) {
+        const originalName = meta.originalName || meta.originalNames[0];
+        const base = path.parse(originalName).name.replace(UNSAFE_FILENAME_CHARS, '_').trim() || 'document';
+        const name = tool.downloadName ? tool.downloadName(base, output) : `${base}${path.extname(output.filename)}`;
+        return name.replace(UNSAFE_FILENAME_CHARS, '_').slice(-200);
+    }
+
+    /**
+     * Default run: a single Ghostscript pass over the inputs producing one PDF
+     * @private
+     */
+    async _runGhostscript(tool, { files, options, password, outputDir, namePrefix, onProgress, signal }) {
+        const inputPaths = files.map(file => file.path);
+        const filename = `${tool.outputPrefix || tool.name}${namePrefix}-${fileManager.outputStamp()}.pdf`;
+        const outputPath = path.join(outputDir, filename);
+
+        try {
+            let totalPages = null;
+            if (onProgress) {
+                const counts = await Promise.all(inputPaths.map(p => pdfCompressor.getPageCount(p, { password, signal })));
+                totalPages = counts.every(Boolean) ? counts.reduce((sum, c) => sum + c, 0) : null;
+            }
+
+            await pdfCompressor.executeGhostscript([
+                ...pdfCompressor.passwordArgs(password),
+                ...tool.buildArgs(inputPaths, outputPath, options)
+            ], {
+                onLine: onProgress && pdfCompressor.createProgressTracker(onProgress, totalPages),
+                signal
+            });
+
+            const size = await fileManager.getFileSize(outputPath);
+            return { success: true, filename, size: size.formatted, bytes: size.bytes };
+        } catch (error) {
+            if (error.message.includes('Ghostscript not found')) {
+                throw error;
+            }
+            throw pdfCompressor.wrapError(`${tool.label} failed`, error);
+        }
+    }
+
+    /**
+     * Coerce raw request fields to the types in a schema
+     * Empty values fall back to the field default; unknown fields are ignored
+     * @private
+     */
+    _parseFields(fields, body) {
+        const values = {};
+
+        for (const field of fields) {
+            const label = field.label || field.name;
+            const raw = body[field.name];
+
+            if (raw === undefined || raw === '') {
+                if (field.required) {
+                    return { success: false, message: `${label} is required` };
+                }
+                if (field.default !== undefined) {
+                    values[field.name] = field.default;
+                }
+                continue;
+            }
+
+            switch (field.type) {
+                case 'number': {
+                    const value = Number(raw);
+                    if (!Number.isFinite(value) || (field.integer && !Number.isInteger(value))) {
+                        return { success: false, message: `${label} must be a ${field.integer ? 'whole ' : ''}number` };
+                    }
+                    if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                        return { success: false, message: `${label} must be between ${field.min} and ${field.max}` };
+                    }
+                    values[field.name] = value;
+                    break;
+                }
+                case 'checkbox':
+                    if (![true, false, 'true', 'false'].includes(raw)) {
+                        return { success: false, message: `${label} must be true or false` };
+                    }
+                    values[field.name] = raw === true || raw === 'true';
+                    break;
+                case 'select':
+                    if (!field.options.some(option => option.value === String(raw))) {
+                        const allowed = field.options.map(option => option.value).join(', ');
+                        return { success: false, message: `${label} must be one of: ${allowed}` };
+                    }
+                    values[field.name] = String(raw);
+                    break;
+                default:
+                    values[field.name] = String(raw);
+            }
+        }
+
+        return { success: true, values };
+    }
+
+    /**
+     * Config section a tool declared
+     * @private
+     */
+    _toolConfig(tool) {
+        return (tool.configSection && config[tool.configSection]) || {};
+    }
+}
+
+module.exports = new ToolRegistry();
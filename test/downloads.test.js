@@ -0,0 +1,283 @@
+/**
+ * Download tests
+ * Signed download links (signature, expiry, download limit) and the session ZIP:
+ * which outputs a session remembers, and how the archive is streamed from them
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const downloadManager = require('../services/downloadManager');
+const fileManager = require('../services/fileManager');
+const sessionManager = require('../services/sessionManager');
+
+const SESSION = '0b7e8f2a-3c4d-4e5f-8a9b-0c1d2e3f4a5b';
+
+/**
+ * Replace one part ("id", "expiry" or "signature") of a token
+ */
+function withPart(token, part, value) {
+    const parts = token.split('.');
+    parts[['id', 'expiry', 'signature'].indexOf(part)] = value;
+    return parts.join('.');
+}
+
+/**
+ * Stream a ZIP into memory
+ */
+async function zipToBuffer(entries) {
+    const destination = new PassThrough();
+    const chunks = [];
+    destination.on('data', chunk => chunks.push(chunk));
+    await fileManager.streamZip(entries, destination);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Names and contents of a ZIP's entries, read from its central directory
+ * Only handles stored (uncompressed) entries, which is all streamZip writes
+ */
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const size = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        entries.push({ name, content: buffer.toString('utf8', dataStart, dataStart + size) });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+describe('download links', () => {
+    const { expiry, maxDownloads, secret } = downloadManager;
+
+    afterEach(() => {
+        Object.assign(downloadManager, { expiry, maxDownloads, secret });
+    });
+
+    it('issues a link that redeems to its file', () => {
+        const link = downloadManager.issue({ filename: 'out-1.pdf', downloadName: 'report.pdf' });
+        const redeemed = downloadManager.redeem(link.token);
+
+        assert.strictEqual(link.url, `/api/download/${link.token}`);
+        assert.strictEqual(redeemed.success, true);
+        assert.deepStrictEqual(redeemed.link, { filename: 'out-1.pdf', downloadName: 'report.pdf' });
+    });
+
+    it('falls back to the stored name when there is no download name', () => {
+        const link = downloadManager.issue({ filename: 'out-2.pdf' });
+        assert.strictEqual(downloadManager.redeem(link.token).link.downloadName, 'out-2.pdf');
+    });
+
+    it('refuses malformed tokens', () => {
+        for (const token of ['', 'abc', '../out.pdf', `${'a'.repeat(16)}.zz.short`, null]) {
+            const redeemed = downloadManager.redeem(token);
+            assert.strictEqual(redeemed.success, false);
+            assert.strictEqual(redeemed.status, 404);
+            assert.strictEqual(redeemed.code, 'INVALID_LINK');
+        }
+    });
+
+    it('refuses tokens whose signature does not match', () => {
+        const { token } = downloadManager.issue({ filename: 'out-3.pdf' });
+        const signature = token.split('.')[2];
+        const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+        assert.strictEqual(downloadManager.redeem(withPart(token, 'signature', flipped)).status, 403);
+    });
+
+    it('refuses tokens whose expiry was pushed back', () => {
+        const { token } = downloadManager.issue({ filename: 'out-4.pdf' });
+        const later = (Date.now() + 24 * 60 * 60 * 1000).toString(36);
+
+        assert.strictEqual(downloadManager.redeem(withPart(token, 'expiry', later)).status, 403);
+    });
+
+    it('refuses tokens signed with another key', () => {
+        const { token } = downloadManager.issue({ filename: 'out-5.pdf' });
+        downloadManager.secret = 'another server';
+
+        const redeemed = downloadManager.redeem(token);
+        assert.strictEqual(redeemed.status, 403);
+        assert.strictEqual(redeemed.code, 'INVALID_LINK');
+    });
+
+    it('refuses validly signed tokens it never issued', () => {
+        const payload = `${'a'.repeat(16)}.${(Date.now() + 60000).toString(36)}`;
+        const redeemed = downloadManager.redeem(`${payload}.${downloadManager._sign(payload)}`);
+
+        assert.strictEqual(redeemed.status, 404);
+        assert.strictEqual(redeemed.code, 'INVALID_LINK');
+    });
+
+    it('expires links', () => {
+        downloadManager.expiry = -1000;
+        const { token } = downloadManager.issue({ filename: 'out-6.pdf' });
+
+        const redeemed = downloadManager.redeem(token);
+        assert.strictEqual(redeemed.status, 410);
+        assert.strictEqual(redeemed.code, 'LINK_EXPIRED');
+    });
+
+    it('counts downloads and marks the last one allowed', () => {
+        downloadManager.maxDownloads = 2;
+        const { token, maxDownloads: allowed } = downloadManager.issue({ filename: 'out-7.pdf' });
+
+        assert.strictEqual(allowed, 2);
+        assert.strictEqual(downloadManager.redeem(token).last, false);
+        assert.strictEqual(downloadManager.redeem(token).last, true);
+
+        const refused = downloadManager.redeem(token);
+        assert.strictEqual(refused.status, 410);
+        assert.strictEqual(refused.code, 'DOWNLOAD_LIMIT_REACHED');
+    });
+
+    it('prunes only expired links', () => {
+        downloadManager.expiry = -1000;
+        const expired = downloadManager.issue({ filename: 'out-8.pdf' });
+        downloadManager.expiry = expiry;
+        const current = downloadManager.issue({ filename: 'out-9.pdf' });
+
+        assert.ok(downloadManager.pruneExpired() >= 1);
+        assert.strictEqual(downloadManager.links.has(expired.token.split('.')[0]), false);
+        assert.strictEqual(downloadManager.redeem(current.token).success, true);
+    });
+});
+
+describe('session outputs', () => {
+    beforeEach(() => {
+        sessionManager.sessions.clear();
+    });
+
+    it('only accepts UUIDs as session IDs, from the header or a form field', () => {
+        assert.strictEqual(sessionManager.isValidId(SESSION), true);
+        assert.strictEqual(sessionManager.isValidId(SESSION.toUpperCase()), true);
+        for (const id of ['', 'session-1', `${SESSION}x`, '../', null]) {
+            assert.strictEqual(sessionManager.isValidId(id), false);
+        }
+
+        const header = { get: () => SESSION.toUpperCase(), body: {} };
+        const field = { get: () => undefined, body: { session: SESSION } };
+        assert.strictEqual(sessionManager.getSessionId(header), SESSION);
+        assert.strictEqual(sessionManager.getSessionId(field), SESSION);
+        assert.strictEqual(sessionManager.getSessionId({ get: () => 'nope', body: {} }), null);
+    });
+
+    it('remembers each output once, in the order produced', () => {
+        sessionManager.addOutputs(SESSION, [{ filename: 'a.pdf', downloadName: 'report.pdf' }]);
+        sessionManager.addOutputs(SESSION, [{ filename: 'b.pdf' }, { filename: 'a.pdf' }]);
+
+        assert.deepStrictEqual(sessionManager.getOutputs(SESSION), [
+            { filename: 'a.pdf', originalName: null, downloadName: 'report.pdf' },
+            { filename: 'b.pdf', originalName: null, downloadName: null }
+        ]);
+        assert.deepStrictEqual(sessionManager.getOutputs('00000000-0000-0000-0000-000000000000'), []);
+    });
+
+    it('ignores outputs without a session', () => {
+        sessionManager.addOutputs(null, [{ filename: 'a.pdf' }]);
+        assert.strictEqual(sessionManager.sessions.size, 0);
+    });
+
+    it('keeps only the most recent outputs', () => {
+        const { maxOutputs } = sessionManager;
+        sessionManager.maxOutputs = 2;
+        try {
+            sessionManager.addOutputs(SESSION, ['a', 'b', 'c'].map(name => ({ filename: `${name}.pdf` })));
+            assert.deepStrictEqual(sessionManager.getOutputs(SESSION).map(o => o.filename), ['b.pdf', 'c.pdf']);
+        } finally {
+            sessionManager.maxOutputs = maxOutputs;
+        }
+    });
+
+    it('forgets idle sessions', () => {
+        sessionManager.addOutputs(SESSION, [{ filename: 'a.pdf' }]);
+        sessionManager.sessions.get(SESSION).updatedAt = Date.now() - sessionManager.maxAge - 1;
+
+        assert.strictEqual(sessionManager.pruneExpired(), 1);
+        assert.deepStrictEqual(sessionManager.getOutputs(SESSION), []);
+    });
+});
+
+describe('session ZIP', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfora-zip-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('packs local files and opened streams under their entry names', async () => {
+        const filePath = path.join(directory, 'out-1.pdf');
+        fs.writeFileSync(filePath, 'local content');
+
+        const zip = await zipToBuffer([
+            { path: filePath, name: 'report.pdf' },
+            { open: async () => Readable.from(['streamed ', 'content']), name: 'report-2.pdf' }
+        ]);
+
+        assert.deepStrictEqual(readZip(zip), [
+            { name: 'report.pdf', content: 'local content' },
+            { name: 'report-2.pdf', content: 'streamed content' }
+        ]);
+    });
+
+    it('opens each stream only once the entries before it are written', async () => {
+        let open = 0;
+        let mostOpen = 0;
+        const entry = index => ({
+            name: `page-${index}.jpg`,
+            open: async () => {
+                open++;
+                mostOpen = Math.max(mostOpen, open);
+                const stream = Readable.from([`image ${index}`]);
+                stream.on('end', () => open--);
+                return stream;
+            }
+        });
+
+        const zip = await zipToBuffer([1, 2, 3].map(entry));
+
+        assert.strictEqual(mostOpen, 1);
+        assert.deepStrictEqual(readZip(zip).map(e => e.content), ['image 1', 'image 2', 'image 3']);
+    });
+
+    it('stops opening entries once the client goes away', async () => {
+        const destination = new PassThrough();
+        const opened = [];
+        const entries = [1, 2, 3].map(index => ({
+            name: `${index}.pdf`,
+            open: async () => {
+                opened.push(index);
+                if (index === 1) destination.destroy();
+                return Readable.from([`file ${index}`]);
+            }
+        }));
+
+        destination.resume();
+        await fileManager.streamZip(entries, destination);
+        assert.deepStrictEqual(opened, [1]);
+    });
+
+    it('fails when an entry cannot be opened', async () => {
+        await assert.rejects(zipToBuffer([
+            { open: async () => { throw new Error('bucket unreachable'); }, name: 'a.pdf' }
+        ]), /bucket unreachable/);
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * API key and usage limit tests
+ * Keys are stored hashed and can be revoked; clients are held to per-minute request counts,
+ * daily upload bytes and uploads in flight
+ */
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const apiKeyManager = require('../services/apiKeyManager');
+const rateLimiter = require('../services/rateLimiter');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('API keys', () => {
+    let directory;
+    const { keysFile } = apiKeyManager;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfora-keys-'));
+    });
+
+    beforeEach(() => {
+        // Every test starts from an empty keys file that hasn't been read yet
+        apiKeyManager.keysFile = path.join(directory, `keys-${crypto.randomUUID()}.json`);
+        apiKeyManager.keys = null;
+        apiKeyManager.checkedAt = 0;
+    });
+
+    after(() => {
+        apiKeyManager.keysFile = keysFile;
+        apiKeyManager.keys = null;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('issues a key that authenticates to its record', async () => {
+        const created = await apiKeyManager.createKey('ci pipeline');
+
+        assert.strictEqual(created.success, true);
+        assert.match(created.key, /^pdfora_[a-f0-9]{12}_[A-Za-z0-9_-]{43}$/);
+        assert.strictEqual(created.record.tier, apiKeyManager.settings.defaultTier);
+        assert.strictEqual(created.record.hash, undefined);
+
+        const record = await apiKeyManager.authenticate(created.key);
+        assert.strictEqual(record.id, created.record.id);
+        assert.strictEqual(record.name, 'ci pipeline');
+    });
+
+    it('stores only a hash of the secret, in a file only the owner can read', async () => {
+        const { key, record } = await apiKeyManager.createKey('hashed');
+        const secret = key.split('_').slice(2).join('_');
+        const content = fs.readFileSync(apiKeyManager.keysFile, 'utf8');
+
+        assert.ok(!content.includes(secret));
+        assert.strictEqual(JSON.parse(content)[record.id].hash, crypto.createHash('sha256').update(secret).digest('hex'));
+        if (process.platform !== 'win32') {
+            assert.strictEqual(fs.statSync(apiKeyManager.keysFile).mode & 0o777, 0o600);
+        }
+    });
+
+    it('refuses malformed, unknown and wrong keys', async () => {
+        const { key, record } = await apiKeyManager.createKey('real');
+        const wrongSecret = `pdfora_${record.id}_${'x'.repeat(43)}`;
+        const unknownId = key.replace(record.id, record.id === '000000000000' ? '111111111111' : '000000000000');
+
+        for (const attempt of [undefined, '', 'pdfora_', `${key}x`, key.toUpperCase(), wrongSecret, unknownId]) {
+            assert.strictEqual(await apiKeyManager.authenticate(attempt), null);
+        }
+    });
+
+    it('refuses revoked keys, and revokes each key only once', async () => {
+        const { key, record } = await apiKeyManager.createKey('leaked');
+
+        assert.strictEqual((await apiKeyManager.revokeKey(record.id)).success, true);
+        assert.strictEqual(await apiKeyManager.authenticate(key), null);
+        assert.strictEqual((await apiKeyManager.revokeKey(record.id)).success, false);
+        assert.strictEqual((await apiKeyManager.revokeKey('000000000000')).success, false);
+
+        const [listed] = await apiKeyManager.listKeys();
+        assert.ok(listed.revokedAt);
+        assert.strictEqual(listed.hash, undefined);
+    });
+
+    it('notices keys revoked by another process once the file is checked again', async () => {
+        const { key, record } = await apiKeyManager.createKey('cli revoked');
+        assert.ok(await apiKeyManager.authenticate(key));
+
+        // As "pdfora keys revoke" would, writing the file behind the server's back
+        const keys = JSON.parse(fs.readFileSync(apiKeyManager.keysFile, 'utf8'));
+        keys[record.id].revokedAt = new Date().toISOString();
+        fs.writeFileSync(apiKeyManager.keysFile, JSON.stringify(keys));
+        const later = new Date(Date.now() + MINUTE);
+        fs.utimesSync(apiKeyManager.keysFile, later, later);
+
+        // Still cached until reloadInterval has passed
+        assert.ok(await apiKeyManager.authenticate(key));
+        apiKeyManager.checkedAt -= apiKeyManager.settings.reloadInterval;
+        assert.strictEqual(await apiKeyManager.authenticate(key), null);
+    });
+
+    it('keeps serving loaded keys, and refuses to write, when the file cannot be read', async () => {
+        const { key } = await apiKeyManager.createKey('survivor');
+        const errors = mock.method(console, 'error', () => {});
+
+        try {
+            fs.writeFileSync(apiKeyManager.keysFile, '{ not json');
+            apiKeyManager.checkedAt = 0;
+            apiKeyManager.loadedMtime = null;
+
+            assert.ok(await apiKeyManager.authenticate(key));
+            await assert.rejects(apiKeyManager.createKey('lost'), /could not be read/);
+        } finally {
+            errors.mock.restore();
+        }
+    });
+
+    it('checks names, tiers and limit overrides', async () => {
+        assert.strictEqual((await apiKeyManager.createKey('')).success, false);
+        assert.strictEqual((await apiKeyManager.createKey('bad/name')).success, false);
+        assert.strictEqual((await apiKeyManager.createKey('x', { tier: 'anonymous' })).success, false);
+        assert.strictEqual((await apiKeyManager.createKey('x', { tier: 'gold' })).success, false);
+        assert.strictEqual((await apiKeyManager.createKey('x', { limits: { dailyBytes: 0 } })).success, false);
+        assert.strictEqual((await apiKeyManager.createKey('x', { limits: { maxConcurrentJobs: 1.5 } })).success, false);
+        assert.strictEqual((await apiKeyManager.createKey('x', { limits: { unlimited: 1 } })).success, false);
+        assert.strictEqual(fs.existsSync(apiKeyManager.keysFile), false);
+    });
+
+    it('applies key limits over the tier, falling back to the default tier', async () => {
+        const { record } = await apiKeyManager.createKey('partner', { limits: { requestsPerMinute: 5 } });
+        const { tiers, defaultTier } = apiKeyManager.settings;
+
+        assert.deepStrictEqual(apiKeyManager.limitsFor(record), { ...tiers[record.tier], requestsPerMinute: 5 });
+        assert.deepStrictEqual(apiKeyManager.limitsFor({ tier: 'retired', limits: {} }), tiers[defaultTier]);
+        assert.deepStrictEqual(apiKeyManager.anonymousLimits(), tiers.anonymous);
+    });
+});
+
+describe('request rate', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 1, 12) });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('allows the limit per minute, then refuses without counting refusals', () => {
+        const client = `rate-${crypto.randomUUID()}`;
+
+        assert.deepStrictEqual(rateLimiter.hit(client, 2), { allowed: true, limit: 2, remaining: 1, reset: Date.now() + MINUTE });
+        assert.strictEqual(rateLimiter.hit(client, 2).remaining, 0);
+
+        const refused = rateLimiter.hit(client, 2);
+        assert.strictEqual(refused.allowed, false);
+        assert.strictEqual(refused.remaining, 0);
+        assert.strictEqual(rateLimiter.windows.get(client).count, 2);
+    });
+
+    it('starts a new window once the minute is up', () => {
+        const client = `rate-${crypto.randomUUID()}`;
+        rateLimiter.hit(client, 1);
+        assert.strictEqual(rateLimiter.hit(client, 1).allowed, false);
+
+        mock.timers.tick(MINUTE);
+        assert.strictEqual(rateLimiter.hit(client, 1).allowed, true);
+    });
+
+    it('counts each client separately', () => {
+        const [first, second] = [`rate-${crypto.randomUUID()}`, `rate-${crypto.randomUUID()}`];
+        rateLimiter.hit(first, 1);
+
+        assert.strictEqual(rateLimiter.hit(first, 1).allowed, false);
+        assert.strictEqual(rateLimiter.hit(second, 1).allowed, true);
+    });
+});
+
+describe('daily upload bytes', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 1, 23, 59) });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('checks an upload fits without counting it', () => {
+        const client = `bytes-${crypto.randomUUID()}`;
+        const reset = Date.UTC(2026, 0, 2);
+
+        assert.deepStrictEqual(rateLimiter.checkBytes(client, 600, 1000), { allowed: true, limit: 1000, remaining: 1000, reset });
+        assert.strictEqual(rateLimiter.checkBytes(client, 1001, 1000).allowed, false);
+        assert.strictEqual(rateLimiter.checkBytes(client, 600, 1000).remaining, 1000);
+    });
+
+    it('charges uploads against what is left today', () => {
+        const client = `bytes-${crypto.randomUUID()}`;
+
+        assert.strictEqual(rateLimiter.chargeBytes(client, 600, 1000).remaining, 400);
+        assert.strictEqual(rateLimiter.checkBytes(client, 400, 1000).allowed, true);
+        assert.strictEqual(rateLimiter.checkBytes(client, 401, 1000).allowed, false);
+
+        // A charge always counts, even past the limit; remaining never goes negative
+        assert.strictEqual(rateLimiter.chargeBytes(client, 600, 1000).remaining, 0);
+        assert.strictEqual(rateLimiter.checkBytes(client, 0, 1000).allowed, false);
+    });
+
+    it('starts afresh at UTC midnight, and prunes the old day', () => {
+        const client = `bytes-${crypto.randomUUID()}`;
+        rateLimiter.chargeBytes(client, 1000, 1000);
+        assert.strictEqual(rateLimiter.checkBytes(client, 1, 1000).allowed, false);
+
+        mock.timers.tick(MINUTE);
+        assert.ok(rateLimiter.pruneExpired() >= 1);
+        assert.strictEqual(rateLimiter.usage.has(client), false);
+
+        const today = rateLimiter.checkBytes(client, 1000, 1000);
+        assert.strictEqual(today.allowed, true);
+        assert.strictEqual(today.reset, Date.UTC(2026, 0, 2) + DAY);
+    });
+});
+
+describe('uploads in flight', () => {
+    it('counts uploads until each one ends', () => {
+        const client = `uploads-${crypto.randomUUID()}`;
+        const endFirst = rateLimiter.startUpload(client);
+        const endSecond = rateLimiter.startUpload(client);
+        assert.strictEqual(rateLimiter.pendingUploads(client), 2);
+
+        endFirst();
+        assert.strictEqual(rateLimiter.pendingUploads(client), 1);
+        endSecond();
+        assert.strictEqual(rateLimiter.pendingUploads(client), 0);
+        assert.strictEqual(rateLimiter.uploads.has(client), false);
+    });
+
+    it('ignores an upload ended twice', () => {
+        const client = `uploads-${crypto.randomUUID()}`;
+        const end = rateLimiter.startUpload(client);
+        rateLimiter.startUpload(client);
+
+        end();
+        end();
+        assert.strictEqual(rateLimiter.pendingUploads(client), 1);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Storage adapter tests
+ * Every backend runs the same checks. The local-disk backend always runs; the S3 backend
+ * runs when S3_BUCKET is set, e.g. against a local MinIO:
+ *   S3_BUCKET=pdfora-test S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true \
+ *     S3_ACCESS_KEY_ID=minio S3_SECRET_ACCESS_KEY=minio123 npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../services/storage/localStorage');
+const S3Storage = require('../services/storage/s3Storage');
+
+const HOUR = 60 * 60 * 1000;
+
+const backends = [
+    {
+        name: 'local',
+        create: async () => new LocalStorage({ root: fs.mkdtempSync(path.join(os.tmpdir(), 'pdfora-storage-')) }),
+        destroy: async storage => fs.promises.rm(storage.root, { recursive: true, force: true })
+    },
+    {
+        name: 's3',
+        skip: !process.env.S3_BUCKET && 'set S3_BUCKET (and S3_ENDPOINT for MinIO) to run',
+        create: async () => {
+            const storage = new S3Storage({
+                bucket: process.env.S3_BUCKET,
+                region: process.env.S3_REGION || 'us-east-1',
+                endpoint: process.env.S3_ENDPOINT,
+                forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                // Each run works in its own folder of the bucket
+                prefix: `pdfora-test-${Date.now()}`
+            });
+            try {
+                await storage.client.send(new storage.sdk.CreateBucketCommand({ Bucket: storage.bucket }));
+            } catch (error) {
+                if (!['BucketAlreadyOwnedByYou', 'BucketAlreadyExists'].includes(error.name)) throw error;
+            }
+            return storage;
+        },
+        destroy: async (storage) => {
+            for (const key of await storage.listOlderThan(-HOUR)) {
+                await storage.delete(key);
+            }
+        }
+    }
+];
+
+/**
+ * Write a temporary local file to hand to put()
+ */
+function localFile(content) {
+    const filePath = path.join(os.tmpdir(), `pdfora-put-${process.pid}-${Math.random().toString(36).slice(2)}`);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+/**
+ * Read a stream to a string
+ */
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+}
+
+for (const backend of backends) {
+    describe(`${backend.name} storage`, { skip: backend.skip }, () => {
+        let storage;
+
+        before(async () => {
+            storage = await backend.create();
+            await storage.initialize();
+        });
+
+        after(async () => {
+            if (storage) await backend.destroy(storage);
+        });
+
+        it('stores a file, moving it out of its local path', async () => {
+            const filePath = localFile('hello storage');
+            const stored = await storage.put('out-1.pdf', filePath);
+
+            assert.deepStrictEqual(stored, { key: 'out-1.pdf', bytes: 13 });
+            assert.strictEqual(fs.existsSync(filePath), false);
+            assert.strictEqual(await storage.exists('out-1.pdf'), true);
+        });
+
+        it('streams a stored file back', async () => {
+            await storage.put('out-2.pdf', localFile('streamed content'));
+            assert.strictEqual(await readAll(await storage.getStream('out-2.pdf')), 'streamed content');
+        });
+
+        it('reports size and age, or null for missing files', async () => {
+            await storage.put('out-3.pdf', localFile('12345'));
+            const info = await storage.stat('out-3.pdf');
+
+            assert.strictEqual(info.bytes, 5);
+            assert.ok(Math.abs(Date.now() - info.modified) < HOUR);
+            assert.strictEqual(await storage.stat('missing.pdf'), null);
+            assert.strictEqual(await storage.exists('missing.pdf'), false);
+        });
+
+        it('deletes files, and ignores files already gone', async () => {
+            await storage.put('out-4.pdf', localFile('gone soon'));
+            await storage.delete('out-4.pdf');
+
+            assert.strictEqual(await storage.exists('out-4.pdf'), false);
+            await storage.delete('out-4.pdf');
+        });
+
+        it('lists only files older than the given age', async () => {
+            await storage.put('out-5.pdf', localFile('fresh'));
+
+            assert.ok(!(await storage.listOlderThan(HOUR)).includes('out-5.pdf'));
+            // A negative age puts the cutoff in the future, so everything counts as old
+            assert.ok((await storage.listOlderThan(-HOUR)).includes('out-5.pdf'));
+        });
+
+        it('refuses keys that are not plain file names', async () => {
+            for (const key of ['../escape.pdf', 'nested/out.pdf', '', '..']) {
+                assert.strictEqual(await storage.stat(key), null);
+                await assert.rejects(() => storage.getStream(key), { code: 'INVALID_KEY' });
+                await assert.rejects(() => storage.delete(key), { code: 'INVALID_KEY' });
+            }
+        });
+    });
+}
@@ -0,0 +1,62 @@
+/**
+ * Archive tool
+ * Converts a PDF to PDF/A for long-term storage and reports how well it conforms
+ */
+
+const path = require('path');
+const fileManager = require('../services/fileManager');
+const pdfArchiver = require('../services/pdfArchiver');
+
+module.exports = {
+    name: 'archive',
+    label: 'PDF/A',
+    action: 'Convert to PDF/A',
+    description: 'Convert to PDF/A-1b, 2b or 3b for archiving, with a conformance report',
+    order: 57,
+    configSection: 'pdfa',
+    upload: { field: 'pdf' },
+    quality: true,
+    password: true,
+    result: 'file',
+    errorMessage: 'Failed to convert to PDF/A. Please ensure the file is a valid PDF.',
+
+    fields: (settings) => [
+        {
+            name: 'level',
+            type: 'select',
+            label: 'Level',
+            options: [
+                { value: '1b', label: 'PDF/A-1b' },
+                { value: '2b', label: 'PDF/A-2b' },
+                { value: '3b', label: 'PDF/A-3b' }
+            ],
+            default: settings.defaultLevel
+        },
+        { name: 'compress', type: 'checkbox', label: 'Compress output', default: false }
+    ],
+
+    validate({ values }) {
+        return pdfArchiver.validateLevel(values.level);
+    },
+
+    async run({ files, options, password, outputDir, namePrefix, onProgress, signal }) {
+        const filename = `pdfa${namePrefix}-${fileManager.outputStamp()}.pdf`;
+        const result = await pdfArchiver.convert(files[0].path, path.join(outputDir, filename), {
+            pdfa: options.pdfa,
+            settings: options.quality,
+            compress: options.compress,
+            password,
+            onProgress,
+            signal
+        });
+        return { filename, ...result };
+    },
+
+    summarize(result) {
+        const { level, conformant, checks } = result.conformance;
+        const failed = checks.filter(check => !check.passed).length;
+        return conformant
+            ? `PDF/A-${level}; all checks passed`
+            : `PDF/A-${level}; ${failed} check${failed === 1 ? '' : 's'} failed`;
+    }
+};
@@ -0,0 +1,67 @@
+/**
+ * Color tool
+ * Converts a PDF to grayscale, RGB or CMYK, optionally through a configured ICC profile
+ */
+
+const path = require('path');
+const fileManager = require('../services/fileManager');
+const pdfColorConverter = require('../services/pdfColorConverter');
+
+module.exports = {
+    name: 'color',
+    label: 'Color',
+    action: 'Convert Colors',
+    description: 'Convert to grayscale, RGB or CMYK, optionally with an ICC profile',
+    order: 56,
+    configSection: 'color',
+    upload: { field: 'pdf' },
+    quality: true,
+    password: true,
+    result: 'file',
+    errorMessage: 'Failed to convert colors. Please ensure the file is a valid PDF.',
+
+    fields: () => [
+        {
+            name: 'colorSpace',
+            type: 'select',
+            label: 'Convert to',
+            options: pdfColorConverter.listColorSpaces().map(space => ({ value: space.name, label: space.label })),
+            default: 'gray'
+        },
+        {
+            name: 'iccProfile',
+            type: 'select',
+            label: 'ICC profile',
+            options: [
+                { value: 'default', label: 'Ghostscript default' },
+                ...pdfColorConverter.listProfiles().map(profile => ({
+                    value: profile.name,
+                    label: `${profile.name} (${profile.colorSpace.toUpperCase()})`
+                }))
+            ],
+            default: 'default'
+        },
+        { name: 'compress', type: 'checkbox', label: 'Compress output', default: false }
+    ],
+
+    validate({ values }) {
+        return pdfColorConverter.validateOptions(values);
+    },
+
+    async run({ files, options, password, outputDir, namePrefix, onProgress, signal }) {
+        const filename = `color${namePrefix}-${fileManager.outputStamp()}.pdf`;
+        const result = await pdfColorConverter.convert(files[0].path, path.join(outputDir, filename), {
+            color: options.color,
+            settings: options.quality,
+            compress: options.compress,
+            password,
+            onProgress,
+            signal
+        });
+        return { filename, ...result };
+    },
+
+    summarize(result) {
+        return `Converted to ${pdfColorConverter.label(result.colorSpace)}${result.iccProfile ? ` with ${result.iccProfile}` : ''}`;
+    }
+};
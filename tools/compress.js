@@ -0,0 +1,277 @@
+/**
+ * Compress tool
+ * Shrinks a PDF with a quality preset, saved profile or target size
+ */
+
+const path = require('path');
+const fileManager = require('../services/fileManager');
+const pdfArchiver = require('../services/pdfArchiver');
+const pdfColorConverter = require('../services/pdfColorConverter');
+const pdfCompressor = require('../services/pdfCompressor');
+const pdfConverter = require('../services/pdfConverter');
+const pdfInspector = require('../services/pdfInspector');
+const pdfMetadata = require('../services/pdfMetadata');
+const pdfSplitter = require('../services/pdfSplitter');
+const pdfStamper = require('../services/pdfStamper');
+const profileManager = require('../services/profileManager');
+
+/**
+ * PDF/A level to write, or null for ordinary output
+ * Checked against the other options, since PDF/A needs XMP and PDF/A-1 forbids transparency
+ */
+function parsePdfa(values, metadata, stamp) {
+    if (!values.pdfa || values.pdfa === 'none') {
+        return { success: true, pdfa: null };
+    }
+
+    const archival = pdfArchiver.validateLevel(values.pdfa);
+    if (!archival.success) {
+        return archival;
+    }
+    const { pdfa } = archival.options;
+    if (metadata) {
+        return { success: false, message: 'PDF/A output needs its XMP metadata, so it cannot be combined with scrubMetadata' };
+    }
+    if (pdfa.part === 1 && stamp && stamp.opacity < 1) {
+        return { success: false, message: 'PDF/A-1 does not allow transparency; use a stamp opacity of 1, or PDF/A-2b' };
+    }
+    return { success: true, pdfa };
+}
+
+/**
+ * Colour conversion to apply, or null to keep the colours
+ * PDF/A output is always converted to RGB for its output intent, so nothing else can be combined with it
+ */
+function parseColor(values, pdfa) {
+    if (!values.colorSpace || values.colorSpace === 'none') {
+        if (values.iccProfile && values.iccProfile !== 'default') {
+            return { success: false, message: 'iccProfile needs a colorSpace to convert to' };
+        }
+        return { success: true, color: null };
+    }
+
+    const conversion = pdfColorConverter.validateOptions(values);
+    if (!conversion.success) {
+        return conversion;
+    }
+    if (pdfa && (conversion.options.color.colorSpace !== 'rgb' || conversion.options.color.iccProfile)) {
+        return { success: false, message: 'PDF/A output is always converted to RGB with its own profile; leave colorSpace unset' };
+    }
+    return { success: true, color: pdfa ? null : conversion.options.color };
+}
+
+/**
+ * Stamp from the watermark shortcut or the full stamp JSON, or null for none
+ */
+function parseStamp(values) {
+    if (values.watermark !== undefined && values.stamp !== undefined) {
+        return { success: false, message: 'Give either watermark or stamp, not both' };
+    }
+    if (values.watermark !== undefined) {
+        const result = pdfStamper.validateStamp({ text: values.watermark });
+        return result.success ? { success: true, stamp: result.options.stamp } : result;
+    }
+    if (values.stamp === undefined) {
+        return { success: true, stamp: null };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(values.stamp);
+    } catch (error) {
+        data = null;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { success: false, message: 'stamp must be a JSON object such as {"text": "Page {n} of {total}"}' };
+    }
+    const result = pdfStamper.validateStamp(data);
+    return result.success ? { success: true, stamp: result.options.stamp } : result;
+}
+
+module.exports = {
+    name: 'compress',
+    label: 'Compress',
+    action: 'Compress PDF',
+    description: 'Reduce file size with a quality preset, saved profile or target size',
+    order: 10,
+    route: '/api/compress',
+    configSection: 'compression',
+    upload: { field: 'pdf' },
+    quality: true,
+    password: true,
+    result: 'file',
+    errorMessage: 'Failed to compress PDF. Please ensure the file is a valid PDF.',
+
+    fields: () => [
+        { name: 'targetSize', type: 'text', label: 'Target size (optional)', placeholder: 'e.g. 10MB' },
+        { name: 'watermark', type: 'text', label: 'Watermark (optional)', placeholder: 'e.g. CONFIDENTIAL' },
+        // Full stamp options as JSON, as for the stamp tool: { "text": "Page {n} of {total}", "position": "bottom-center" }
+        { name: 'stamp', type: 'text', label: 'Stamp', hidden: true },
+        {
+            name: 'pdfa',
+            type: 'select',
+            label: 'PDF/A archival output',
+            options: [
+                { value: 'none', label: 'No' },
+                { value: '1b', label: 'PDF/A-1b' },
+                { value: '2b', label: 'PDF/A-2b' },
+                { value: '3b', label: 'PDF/A-3b' }
+            ],
+            default: 'none'
+        },
+        {
+            name: 'colorSpace',
+            type: 'select',
+            label: 'Convert colors',
+            options: [
+                { value: 'none', label: 'Keep' },
+                ...pdfColorConverter.listColorSpaces().map(space => ({ value: space.name, label: space.label }))
+            ],
+            default: 'none'
+        },
+        // A configured ICC profile name for the color conversion, as for the color tool
+        { name: 'iccProfile', type: 'text', label: 'ICC profile', hidden: true },
+        { name: 'scrubMetadata', type: 'checkbox', label: 'Remove author, creator tool, dates and XMP', default: false },
+        { name: 'previewPages', type: 'text', label: 'Before/after preview pages', placeholder: 'e.g. 1,4' }
+    ],
+
+    validate({ values, config }) {
+        let metadata = null;
+        if (values.scrubMetadata) {
+            const edits = pdfMetadata.validateEdits({ scrub: true });
+            if (!edits.success) {
+                return edits;
+            }
+            metadata = edits.options;
+        }
+
+        const stamping = parseStamp(values);
+        if (!stamping.success) {
+            return stamping;
+        }
+        const { stamp } = stamping;
+
+        const archival = parsePdfa(values, metadata, stamp);
+        if (!archival.success) {
+            return archival;
+        }
+        const { pdfa } = archival;
+
+        const conversion = parseColor(values, pdfa);
+        if (!conversion.success) {
+            return conversion;
+        }
+        const { color } = conversion;
+
+        const previewPages = values.previewPages === undefined ? null : values.previewPages;
+        if (previewPages) {
+            const parsed = pdfSplitter.parseRanges(previewPages);
+            if (!parsed.success) {
+                return { success: false, message: `previewPages: ${parsed.message}` };
+            }
+        }
+
+        if (values.targetSize === undefined) {
+            return { success: true, options: { targetBytes: null, metadata, stamp, pdfa, color, previewPages } };
+        }
+
+        // A target size replaces the single preset with a ladder of stronger settings
+        const targetBytes = fileManager.parseBytes(values.targetSize);
+        const { minBytes } = config.targetSize;
+        if (!targetBytes || targetBytes < minBytes) {
+            return {
+                success: false,
+                message: `targetSize must be a size of at least ${fileManager.formatBytes(minBytes)} (e.g. "10MB")`
+            };
+        }
+        return { success: true, options: { targetBytes, metadata, stamp, pdfa, color, previewPages } };
+    },
+
+    buildArgs(inputPaths, outputPath, options) {
+        return pdfCompressor.buildGhostscriptCommand(
+            inputPaths, outputPath, pdfMetadata.applyToSettings(options.quality, options.metadata)
+        );
+    },
+
+    async run({ files, options, password, outputDir, namePrefix, onProgress, signal }) {
+        const inputPath = files[0].path;
+        const filename = `comp${namePrefix}-${fileManager.outputStamp()}.pdf`;
+        const outputPath = path.join(outputDir, filename);
+
+        // Count pages and catch corrupt or locked files with a specific error code
+        const inspection = await pdfInspector.assertValid(inputPath, { password, signal });
+
+        // Keeping the original when it is smaller would also keep the metadata being removed,
+        // leave out the stamp, keep the old colours or not be PDF/A
+        const withExtras = settings => pdfArchiver.applyToSettings(pdfColorConverter.applyToSettings(
+            pdfStamper.applyToSettings(
+                pdfMetadata.applyToSettings(settings, options.metadata), options.stamp, inspection.pageCount
+            ), options.color
+        ), options.pdfa);
+        const collector = options.pdfa ? pdfArchiver.createWarningCollector() : null;
+        const compressOptions = {
+            password,
+            totalPages: inspection.pageCount,
+            onProgress,
+            onLine: collector && collector.onLine,
+            signal,
+            forceOutput: Boolean(options.metadata || options.stamp || options.color || options.pdfa)
+        };
+        const result = options.targetBytes
+            ? await pdfCompressor.compressToTarget(
+                inputPath, outputPath, options.targetBytes, profileManager.targetLadder().map(withExtras), compressOptions
+            )
+            : await pdfCompressor.compress(inputPath, outputPath, withExtras(options.quality), compressOptions);
+
+        const conformance = options.pdfa
+            ? await pdfArchiver.checkConformance(outputPath, options.pdfa, collector.warnings, { signal })
+            : null;
+
+        // The same pages before and after, so damage such as unreadable scans shows before downloading
+        const previews = options.previewPages
+            ? await pdfConverter.comparePages(inputPath, outputPath, outputDir, {
+                pages: options.previewPages,
+                totalPages: inspection.pageCount,
+                namePrefix: `preview${namePrefix}`,
+                password,
+                signal
+            })
+            : null;
+
+        return {
+            success: true,
+            filename,
+            pageCount: inspection.pageCount,
+            pdfVersion: inspection.version,
+            metadataScrubbed: Boolean(options.metadata),
+            stamped: Boolean(options.stamp),
+            colorSpace: options.color ? options.color.colorSpace : null,
+            ...result,
+            ...(conformance ? { conformance } : {}),
+            ...(previews ? { previews } : {})
+        };
+    },
+
+    summarize(result) {
+        if (result.targetBytes) {
+            if (result.targetMet) {
+                return result.keptOriginal
+                    ? `Already under ${result.targetSize}`
+                    : `Fits under ${result.targetSize} using ${result.preset}`;
+            }
+            return result.keptOriginal
+                ? 'Could not be made smaller; original kept'
+                : `Could not reach ${result.targetSize}; smallest result (${result.preset}) kept`;
+        }
+        if (result.keptOriginal) {
+            return 'Already optimized; original kept';
+        }
+        const extras = [
+            result.conformance && `PDF/A-${result.conformance.level}${result.conformance.conformant ? '' : ' with issues'}`,
+            result.colorSpace && `Converted to ${pdfColorConverter.label(result.colorSpace)}`,
+            result.stamped && 'Stamped',
+            result.metadataScrubbed && 'Metadata removed'
+        ].filter(Boolean);
+        return extras.length > 0 ? extras.join('; ') : null;
+    }
+};
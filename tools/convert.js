@@ -0,0 +1,65 @@
+/**
+ * Convert tool
+ * Renders PDF pages to PNG or JPEG images
+ */
+
+const path = require('path');
+const pdfConverter = require('../services/pdfConverter');
+
+module.exports = {
+    name: 'convert',
+    label: 'To Image',
+    action: 'Convert to Images',
+    description: 'Render pages to PNG or JPEG at a chosen DPI',
+    order: 60,
+    route: '/api/convert',
+    configSection: 'convert',
+    upload: { field: 'pdf' },
+    password: true,
+    result: 'file',
+    errorMessage: 'Failed to convert PDF. Please ensure the file is a valid PDF.',
+
+    fields: (settings) => [
+        {
+            name: 'format',
+            type: 'select',
+            label: 'Format',
+            options: [
+                { value: 'png', label: 'PNG' },
+                { value: 'jpeg', label: 'JPEG' }
+            ],
+            default: settings.defaultFormat
+        },
+        {
+            name: 'dpi',
+            type: 'number',
+            label: 'DPI',
+            min: settings.minDpi,
+            max: settings.maxDpi,
+            integer: true,
+            default: settings.defaultDpi
+        },
+        { name: 'pages', type: 'text', label: 'Pages', placeholder: 'All pages (e.g. 1-3,5)' }
+    ],
+
+    validate({ values }) {
+        return pdfConverter.validateOptions(values);
+    },
+
+    async run({ files, options, password, outputDir, namePrefix, onProgress, signal }) {
+        return pdfConverter.convert(files[0].path, outputDir, { ...options, namePrefix, password, onProgress, signal });
+    },
+
+    downloadName(base, output) {
+        return output.imageCount === 1
+            ? `${base}-page${output.pages[0]}${path.extname(output.filename)}`
+            : `${base}-${output.format}.zip`;
+    },
+
+    summarize(result) {
+        const format = result.format.toUpperCase();
+        return result.imageCount === 1
+            ? `Page ${result.pages[0]} rendered as ${format} at ${result.dpi} DPI`
+            : `${result.imageCount} pages rendered as ${format} at ${result.dpi} DPI (ZIP)`;
+    }
+};
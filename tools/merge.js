@@ -0,0 +1,66 @@
+/**
+ * Merge tool
+ * Combines several PDFs into one, optionally compressing in the same pass
+ */
+
+const path = require('path');
+const config = require('../config/config');
+const fileManager = require('../services/fileManager');
+const pdfMerger = require('../services/pdfMerger');
+
+module.exports = {
+    name: 'merge',
+    label: 'Merge',
+    action: 'Merge PDFs',
+    description: 'Combine PDFs into one in the order given',
+    order: 20,
+    route: '/api/merge',
+    configSection: 'merge',
+    upload: { field: 'pdfs', minFiles: 2, maxFiles: config.merge.maxFiles },
+    quality: true,
+    result: 'file',
+    errorMessage: 'Failed to merge PDFs. Please ensure every file is a valid PDF.',
+
+    fields: (settings) => [
+        // The UI uploads files in list order, so only API callers need this
+        { name: 'order', type: 'text', label: 'Order', placeholder: 'e.g. 2,0,1', hidden: true },
+        { name: 'compress', type: 'checkbox', label: 'Compress while merging', default: settings.compressByDefault }
+    ],
+
+    validate({ values, files }) {
+        // Caller-specified order as upload indices, defaulting to upload order
+        const ordering = pdfMerger.parseOrder(values.order, files.length);
+        if (!ordering.success) {
+            return ordering;
+        }
+        return { success: true, options: { order: ordering.order } };
+    },
+
+    async run({ files, options, outputDir, onProgress, signal }) {
+        const orderedFiles = options.order.map(index => files[index]);
+        const filename = `merged-${fileManager.outputStamp()}.pdf`;
+
+        const result = await pdfMerger.merge(orderedFiles.map(file => file.path), path.join(outputDir, filename), {
+            settings: options.quality,
+            compress: options.compress,
+            onProgress,
+            signal
+        });
+
+        return {
+            filename,
+            originalNames: orderedFiles.map(file => file.originalname),
+            ...result
+        };
+    },
+
+    downloadName(base) {
+        return `${base}-merged.pdf`;
+    },
+
+    summarize(result) {
+        return result.totalPages
+            ? `Merged ${result.fileCount} PDFs into ${result.totalPages} pages`
+            : `Merged ${result.fileCount} PDFs`;
+    }
+};
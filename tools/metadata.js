@@ -0,0 +1,55 @@
+/**
+ * Metadata tool
+ * Sets a PDF's title, author and other document info, or scrubs it before sharing
+ */
+
+const path = require('path');
+const fileManager = require('../services/fileManager');
+const pdfMetadata = require('../services/pdfMetadata');
+
+module.exports = {
+    name: 'metadata',
+    label: 'Metadata',
+    action: 'Save Metadata',
+    description: 'Edit the title, author and keywords, or remove metadata before sharing',
+    order: 55,
+    configSection: 'metadata',
+    upload: { field: 'pdf' },
+    password: true,
+    result: 'file',
+    errorMessage: 'Failed to update metadata. Please ensure the file is a valid PDF.',
+
+    fields: (settings) => [
+        { name: 'title', type: 'text', label: 'Title', placeholder: 'Unchanged', maxLength: settings.maxFieldLength },
+        { name: 'author', type: 'text', label: 'Author', placeholder: 'Unchanged', maxLength: settings.maxFieldLength },
+        { name: 'subject', type: 'text', label: 'Subject', placeholder: 'Unchanged', maxLength: settings.maxFieldLength },
+        { name: 'keywords', type: 'text', label: 'Keywords', placeholder: 'Unchanged', maxLength: settings.maxFieldLength },
+        { name: 'creator', type: 'text', label: 'Creator tool', placeholder: 'Unchanged', maxLength: settings.maxFieldLength },
+        { name: 'scrub', type: 'checkbox', label: 'Remove author, creator tool, dates and XMP', default: false }
+    ],
+
+    validate({ values }) {
+        return pdfMetadata.validateEdits(values, { requireChange: true });
+    },
+
+    async run({ files, options, password, outputDir, namePrefix, onProgress, signal }) {
+        const filename = `meta${namePrefix}-${fileManager.outputStamp()}.pdf`;
+        const result = await pdfMetadata.edit(files[0].path, path.join(outputDir, filename), {
+            fields: options.fields,
+            scrub: options.scrub,
+            password,
+            onProgress,
+            signal
+        });
+        return { filename, ...result };
+    },
+
+    summarize(result) {
+        const updated = result.updatedFields.length;
+        const fields = `${updated} field${updated === 1 ? '' : 's'} updated`;
+        if (result.scrubbed) {
+            return updated > 0 ? `Metadata removed; ${fields}` : 'Metadata removed';
+        }
+        return fields.charAt(0).toUpperCase() + fields.slice(1);
+    }
+};
@@ -0,0 +1,62 @@
+/**
+ * Pages tool
+ * Rotates, deletes and reorders pages in one pass, optionally compressing at the same time
+ */
+
+const path = require('path');
+const fileManager = require('../services/fileManager');
+const pdfPageEditor = require('../services/pdfPageEditor');
+
+module.exports = {
+    name: 'pages',
+    label: 'Pages',
+    action: 'Apply Page Changes',
+    description: 'Rotate, delete and reorder pages',
+    order: 35,
+    configSection: 'pages',
+    upload: { field: 'pdf' },
+    quality: true,
+    password: true,
+    result: 'file',
+    errorMessage: 'Failed to edit pages. Please ensure the file is a valid PDF.',
+
+    // The UI builds the operation list from its page grid, so the field itself is API-only
+    fields: () => [
+        {
+            name: 'operations',
+            type: 'text',
+            label: 'Page operations',
+            placeholder: '[{"op":"rotate","pages":[4],"angle":90}]',
+            required: true,
+            hidden: true
+        },
+        { name: 'compress', type: 'checkbox', label: 'Compress output', default: false }
+    ],
+
+    validate({ values }) {
+        const parsed = pdfPageEditor.parseOperations(values.operations);
+        return parsed.success ? { success: true, options: { operations: parsed.operations } } : parsed;
+    },
+
+    async run({ files, options, password, outputDir, namePrefix, onProgress, signal }) {
+        const filename = `pages${namePrefix}-${fileManager.outputStamp()}.pdf`;
+        const result = await pdfPageEditor.apply(files[0].path, path.join(outputDir, filename), {
+            operations: options.operations,
+            settings: options.quality,
+            compress: options.compress,
+            password,
+            onProgress,
+            signal
+        });
+        return { filename, ...result };
+    },
+
+    summarize(result) {
+        const changes = [];
+        if (result.deleted > 0) changes.push(`${result.deleted} deleted`);
+        if (result.rotated > 0) changes.push(`${result.rotated} rotated`);
+        if (result.reordered) changes.push('reordered');
+        const pages = `${result.pageCount} page${result.pageCount === 1 ? '' : 's'}`;
+        return changes.length > 0 ? `${pages}: ${changes.join(', ')}` : pages;
+    }
+};
@@ -0,0 +1,67 @@
+/**
+ * Protect tool
+ * Encrypts a PDF with an owner password, an optional open password and permission flags
+ */
+
+const path = require('path');
+const fileManager = require('../services/fileManager');
+const pdfProtector = require('../services/pdfProtector');
+
+// Permissions without their own control in the UI; API callers can still turn them off
+const API_ONLY_PERMISSIONS = [
+    ['allowPrintHighQuality', 'Allow high-quality printing'],
+    ['allowModify', 'Allow editing'],
+    ['allowAnnotate', 'Allow comments'],
+    ['allowFillForms', 'Allow filling forms'],
+    ['allowExtractForAccessibility', 'Allow accessibility tools'],
+    ['allowAssemble', 'Allow page assembly']
+];
+
+module.exports = {
+    name: 'protect',
+    label: 'Protect',
+    action: 'Add Password',
+    description: 'Add password protection with print and copy permissions',
+    order: 40,
+    route: '/api/protect',
+    configSection: 'protect',
+    upload: { field: 'pdf' },
+    password: true,
+    result: 'file',
+    errorMessage: 'Failed to protect PDF. Please ensure the file is a valid PDF.',
+
+    fields: (settings) => [
+        {
+            name: 'ownerPassword',
+            type: 'password',
+            label: 'Owner password',
+            required: true,
+            minLength: settings.minPasswordLength
+        },
+        { name: 'userPassword', type: 'password', label: 'Open password (optional)' },
+        { name: 'allowPrint', type: 'checkbox', label: 'Allow printing', default: true },
+        { name: 'allowCopy', type: 'checkbox', label: 'Allow copying text', default: true },
+        ...API_ONLY_PERMISSIONS.map(([name, label]) => ({ name, type: 'checkbox', label, default: true, hidden: true }))
+    ],
+
+    validate({ values }) {
+        return pdfProtector.validateOptions(values);
+    },
+
+    async run({ files, options, password, outputDir, namePrefix, onProgress, signal }) {
+        const filename = `prot${namePrefix}-${fileManager.outputStamp()}.pdf`;
+        const result = await pdfProtector.protect(files[0].path, path.join(outputDir, filename), {
+            ...options,
+            password,
+            onProgress,
+            signal
+        });
+        return { filename, ...result };
+    },
+
+    summarize(result) {
+        return result.requiresPasswordToOpen
+            ? 'A password is now required to open this PDF'
+            : 'Permissions are now restricted';
+    }
+};
@@ -0,0 +1,70 @@
+/**
+ * Stamp tool
+ * Overlays a text watermark, or page numbers such as "Page {n} of {total}" or Bates numbers
+ */
+
+const path = require('path');
+const fileManager = require('../services/fileManager');
+const pdfStamper = require('../services/pdfStamper');
+
+const POSITION_OPTIONS = [
+    { value: 'center', label: 'Centre (diagonal)' },
+    { value: 'top-left', label: 'Top left' },
+    { value: 'top-center', label: 'Top centre' },
+    { value: 'top-right', label: 'Top right' },
+    { value: 'bottom-left', label: 'Bottom left' },
+    { value: 'bottom-center', label: 'Bottom centre' },
+    { value: 'bottom-right', label: 'Bottom right' }
+];
+
+module.exports = {
+    name: 'stamp',
+    label: 'Stamp',
+    action: 'Add Stamp',
+    description: 'Add a watermark such as CONFIDENTIAL, or page numbers like "Page {n} of {total}"',
+    order: 45,
+    configSection: 'stamp',
+    upload: { field: 'pdf' },
+    password: true,
+    result: 'file',
+    errorMessage: 'Failed to stamp PDF. Please ensure the file is a valid PDF.',
+
+    // Size, opacity and angle default by position, so they are left empty unless set
+    fields: (settings) => [
+        {
+            name: 'text',
+            type: 'text',
+            label: 'Text',
+            placeholder: 'CONFIDENTIAL, or Page {n} of {total}',
+            required: true,
+            maxLength: settings.maxTextLength
+        },
+        { name: 'position', type: 'select', label: 'Position', options: POSITION_OPTIONS, default: 'center' },
+        { name: 'fontSize', type: 'number', label: 'Font size (pt)', min: 4, max: 400, placeholder: 'Automatic' },
+        { name: 'opacity', type: 'number', label: 'Opacity', min: 0, max: 1, step: 0.05, placeholder: 'Automatic' },
+        { name: 'angle', type: 'number', label: 'Angle (°)', min: -360, max: 360, placeholder: 'Automatic' },
+        { name: 'color', type: 'text', label: 'Color', placeholder: settings.defaultColor },
+        { name: 'pages', type: 'text', label: 'Pages', placeholder: 'All pages (e.g. 2-)' },
+        { name: 'startAt', type: 'number', label: 'First page number', min: 0, max: 999999999, integer: true, placeholder: '1' }
+    ],
+
+    validate({ values }) {
+        return pdfStamper.validateStamp(values);
+    },
+
+    async run({ files, options, password, outputDir, namePrefix, onProgress, signal }) {
+        const filename = `stamp${namePrefix}-${fileManager.outputStamp()}.pdf`;
+        const result = await pdfStamper.stamp(files[0].path, path.join(outputDir, filename), {
+            stamp: options.stamp,
+            password,
+            onProgress,
+            signal
+        });
+        return { filename, ...result };
+    },
+
+    summarize(result) {
+        const pages = `${result.stampedPages} page${result.stampedPages === 1 ? '' : 's'}`;
+        return result.stampedPages === result.totalPages ? `Stamped ${pages}` : `Stamped ${pages} of ${result.totalPages}`;
+    }
+};
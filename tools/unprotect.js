@@ -0,0 +1,36 @@
+/**
+ * Unprotect tool
+ * Saves an encrypted PDF without its password protection
+ */
+
+const pdfCompressor = require('../services/pdfCompressor');
+const pdfInspector = require('../services/pdfInspector');
+
+module.exports = {
+    name: 'unprotect',
+    label: 'Unlock',
+    action: 'Remove Password',
+    description: 'Remove password protection from a PDF you can open',
+    order: 50,
+    route: '/api/unprotect',
+    upload: { field: 'pdf' },
+    password: true,
+    result: 'file',
+    outputPrefix: 'unlock',
+    errorMessage: 'Failed to remove protection. Please ensure the file is a valid PDF.',
+
+    async validate({ files }) {
+        if (!(await pdfInspector.isEncrypted(files[0].path))) {
+            return { success: false, code: 'NOT_ENCRYPTED', message: 'This PDF is not password-protected' };
+        }
+        return { success: true, options: {} };
+    },
+
+    buildArgs(inputPaths, outputPath) {
+        return pdfCompressor.buildGhostscriptCommand(inputPaths, outputPath, pdfCompressor.passthroughSettings);
+    },
+
+    summarize() {
+        return 'Password protection removed';
+    }
+};